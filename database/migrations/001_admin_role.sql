@@ -0,0 +1,5 @@
+-- Adds the Admin role, which is allowed to provision recruiter accounts.
+-- The id must match rolesEnum.Admin.
+INSERT INTO role(id, name)
+VALUES (3, 'admin')
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,14 @@
+-- Accounts that existed before email verification was introduced are treated as verified.
+ALTER TABLE login_info ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE login_info ALTER COLUMN email_verified SET DEFAULT FALSE;
+
+-- Single-use email verification tokens, only the SHA-256 hash of a token is stored.
+-- A token is only valid for the email address it was sent to.
+CREATE TABLE IF NOT EXISTS email_verification_token (
+    id SERIAL PRIMARY KEY,
+    person_id INTEGER NOT NULL REFERENCES person(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ
+);
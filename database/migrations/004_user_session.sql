@@ -0,0 +1,16 @@
+-- Server side sessions referenced by the sid claim of the auth JWT.
+-- Only the SHA-256 hashes of the rotating refresh tokens are stored, the previous
+-- hash is kept to detect the reuse of a refresh token that was already rotated.
+CREATE TABLE IF NOT EXISTS user_session (
+    id SERIAL PRIMARY KEY,
+    person_id INTEGER NOT NULL REFERENCES person(id) ON DELETE CASCADE,
+    refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+    previous_refresh_token_hash CHAR(64),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS user_session_previous_refresh_token_hash_idx
+    ON user_session(previous_refresh_token_hash);
+CREATE INDEX IF NOT EXISTS user_session_person_id_idx ON user_session(person_id);
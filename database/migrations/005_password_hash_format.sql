@@ -0,0 +1,2 @@
+-- Password hashes are stored as scrypt$N$r$p$salt$hash, which does not fit the legacy column size.
+ALTER TABLE login_info ALTER COLUMN password TYPE TEXT;
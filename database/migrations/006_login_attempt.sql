@@ -0,0 +1,6 @@
+-- Failed signin attempts per username or client IP address, used for the signin lockout.
+CREATE TABLE IF NOT EXISTS login_attempt (
+    attempt_key VARCHAR(255) PRIMARY KEY,
+    failure_count INTEGER NOT NULL,
+    last_failure_at TIMESTAMPTZ NOT NULL
+);
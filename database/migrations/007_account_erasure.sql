@@ -0,0 +1,3 @@
+-- Erased accounts keep their person row, so that the anonymized applications and decisions remain.
+ALTER TABLE person ADD COLUMN IF NOT EXISTS erased_at TIMESTAMPTZ;
+ALTER TABLE person ALTER COLUMN personal_number DROP NOT NULL;
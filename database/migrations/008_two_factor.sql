@@ -0,0 +1,20 @@
+-- TOTP second factor. The secret is stored while enrolling, but only used for signin once enabled.
+-- The last accepted time step is kept so that a code can not be replayed.
+ALTER TABLE login_info ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+ALTER TABLE login_info ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE login_info ADD COLUMN IF NOT EXISTS totp_last_time_step BIGINT;
+
+-- Single-use recovery codes for signing in without the authenticator, only the SHA-256 hash is stored.
+CREATE TABLE IF NOT EXISTS recovery_code (
+    id SERIAL PRIMARY KEY,
+    person_id INTEGER NOT NULL REFERENCES person(id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS recovery_code_person_id_idx ON recovery_code(person_id);
+
+-- Roles whose users must complete a second factor before using their permissions.
+ALTER TABLE role ADD COLUMN IF NOT EXISTS two_factor_required BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE user_session ADD COLUMN IF NOT EXISTS second_factor_completed BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,26 @@
+-- An application can hold several competences, each with its own years of experience.
+-- Several availability periods were already possible through applicant_availability.application_id.
+CREATE TABLE IF NOT EXISTS application_competence (
+    id SERIAL PRIMARY KEY,
+    application_id INTEGER NOT NULL REFERENCES application(id) ON DELETE CASCADE,
+    competence_id INTEGER NOT NULL REFERENCES competence(id),
+    years_of_experience NUMERIC(4,2) NOT NULL,
+    UNIQUE (application_id, competence_id)
+);
+
+CREATE INDEX IF NOT EXISTS application_competence_competence_id_idx ON application_competence(competence_id);
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns
+               WHERE table_name = 'application' AND column_name = 'competence_id') THEN
+        INSERT INTO application_competence(application_id, competence_id, years_of_experience)
+            SELECT id, competence_id, years_of_experience
+            FROM application
+            WHERE competence_id IS NOT NULL
+        ON CONFLICT (application_id, competence_id) DO NOTHING;
+    END IF;
+END $$;
+
+ALTER TABLE application DROP COLUMN IF EXISTS competence_id;
+ALTER TABLE application DROP COLUMN IF EXISTS years_of_experience;
@@ -0,0 +1,21 @@
+-- Every decision taken on an application, application_status keeps pointing out the current one.
+-- A revision references the decision that it replaces, which gives the chain of previous decisions.
+CREATE TABLE IF NOT EXISTS application_decision (
+    id SERIAL PRIMARY KEY,
+    application_id INTEGER NOT NULL REFERENCES application(id) ON DELETE CASCADE,
+    decision VARCHAR(255) NOT NULL,
+    recruiter_id INTEGER REFERENCES person(id),
+    reason TEXT,
+    previous_decision_id INTEGER REFERENCES application_decision(id),
+    decided_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS application_decision_application_id_idx ON application_decision(application_id);
+
+-- The decisions that were taken before the chain existed become its first links.
+INSERT INTO application_decision(application_id, decision, recruiter_id)
+    SELECT application_status.application_id, application_status.decision, application_status.recruiter_id
+    FROM application_status
+    WHERE application_status.decision IN ('Accepted', 'Rejected')
+        AND NOT EXISTS (SELECT 1 FROM application_decision
+                        WHERE application_decision.application_id = application_status.application_id);
@@ -0,0 +1,19 @@
+-- application_decision becomes the history of every status change of an application.
+-- A change without a recruiter was made by the applicant, for example a withdrawal.
+ALTER TABLE application_decision ADD COLUMN IF NOT EXISTS previous_decision VARCHAR(255);
+
+UPDATE application_decision
+SET    previous_decision = COALESCE((SELECT previous.decision
+                                     FROM   application_decision AS previous
+                                     WHERE  previous.id = application_decision.previous_decision_id), 'Unhandled')
+WHERE  previous_decision IS NULL;
+
+ALTER TABLE application_decision ALTER COLUMN previous_decision SET NOT NULL;
+
+-- Withdrawals from before the history was recorded, their time is unknown.
+INSERT INTO application_decision(application_id, decision, previous_decision)
+    SELECT application_status.application_id, application_status.decision, 'Unhandled'
+    FROM application_status
+    WHERE application_status.decision = 'Withdrawn'
+        AND NOT EXISTS (SELECT 1 FROM application_decision
+                        WHERE application_decision.application_id = application_status.application_id);
@@ -0,0 +1,3 @@
+-- Incremented on every change of an application, it is sent as the ETag of the application
+-- and has to match the If-Match header when a decision is submitted.
+ALTER TABLE application_status ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,14 @@
+-- Notes that recruiters write on an application, a reply references the note that it answers.
+-- A deleted note keeps its row without the text, so that the replies to it stay in the thread.
+CREATE TABLE IF NOT EXISTS application_note (
+    id SERIAL PRIMARY KEY,
+    application_id INTEGER NOT NULL REFERENCES application(id) ON DELETE CASCADE,
+    author_id INTEGER NOT NULL REFERENCES person(id),
+    parent_id INTEGER REFERENCES application_note(id) ON DELETE CASCADE,
+    text TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ,
+    deleted_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS application_note_application_id_idx ON application_note(application_id);
@@ -0,0 +1,22 @@
+-- Criteria that the recruiters score applications against, each with its own scale.
+CREATE TABLE IF NOT EXISTS score_criterion (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+    min_score INTEGER NOT NULL DEFAULT 1,
+    max_score INTEGER NOT NULL DEFAULT 5,
+    CHECK (min_score < max_score)
+);
+
+-- Every recruiter has at most one score per criterion on an application, scoring again replaces it.
+CREATE TABLE IF NOT EXISTS application_score (
+    id SERIAL PRIMARY KEY,
+    application_id INTEGER NOT NULL REFERENCES application(id) ON DELETE CASCADE,
+    recruiter_id INTEGER NOT NULL REFERENCES person(id),
+    criterion_id INTEGER NOT NULL REFERENCES score_criterion(id),
+    score INTEGER NOT NULL,
+    scored_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (application_id, recruiter_id, criterion_id)
+);
+
+CREATE INDEX IF NOT EXISTS application_score_application_id_idx ON application_score(application_id);
@@ -0,0 +1,14 @@
+-- Files that applicants attach to their applications, the content is kept by the attachment storage
+-- under the storage key.
+CREATE TABLE IF NOT EXISTS application_attachment (
+    id SERIAL PRIMARY KEY,
+    application_id INTEGER NOT NULL REFERENCES application(id) ON DELETE CASCADE,
+    storage_key VARCHAR(64) NOT NULL UNIQUE,
+    filename VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(255) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    category VARCHAR(32) NOT NULL,
+    uploaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS application_attachment_application_id_idx ON application_attachment(application_id);
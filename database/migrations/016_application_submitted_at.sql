@@ -0,0 +1,3 @@
+-- The time that an application was registered, so that the application list can be sorted by it.
+-- Applications registered before this migration get the time of the migration, their ids keep their order.
+ALTER TABLE application ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
@@ -0,0 +1,13 @@
+-- Applicants are searched by any part of their full name, regardless of case and accents.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+-- unaccent is only STABLE since its dictionary could change, the wrapper is IMMUTABLE so that it can be indexed.
+-- The dictionary is schema qualified, since the search path of an index expression can not be relied upon.
+CREATE OR REPLACE FUNCTION name_search_text(value TEXT) RETURNS TEXT AS $$
+    SELECT lower(public.unaccent('public.unaccent'::REGDICTIONARY, value));
+$$ LANGUAGE SQL IMMUTABLE PARALLEL SAFE;
+
+-- Serves both the substring match (LIKE) and the similarity match (<%) in the application list.
+CREATE INDEX IF NOT EXISTS person_name_search_idx
+    ON person USING GIN (name_search_text(first_name || ' ' || last_name) gin_trgm_ops);
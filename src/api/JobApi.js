@@ -1,12 +1,21 @@
 'use strict';
 
 const {check, validationResult} = require('express-validator');
+const multer = require('multer');
 const RequestHandler = require('./RequestHandler');
 const Authorization = require('./auth/Authorization');
 const registrationErrEnum = require('../util/registrationErrEnum');
 const Validators = require('../util/Validators');
 const applicationErrorCodes = require('../util/applicationErrorCodes');
 const decisionErrorCodes = require('../util/decisionErrorCodes');
+const noteErrorCodes = require('../util/noteErrorCodes');
+const scoreErrorCodes = require('../util/scoreErrorCodes');
+const applicationSortEnum = require('../util/applicationSortEnum');
+const sortOrderEnum = require('../util/sortOrderEnum');
+const ApplicationCursor = require('../util/ApplicationCursor');
+const applicationPageSizeEnum = require('../util/applicationPageSizeEnum');
+const bulkDecisionModeEnum = require('../util/bulkDecisionModeEnum');
+const permissions = require('../util/permissionsEnum');
 
 /**
  * Handles the REST API requests for the job endpoint.
@@ -17,6 +26,7 @@ class JobApi extends RequestHandler {
      */
     constructor() {
         super();
+        this.MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
     }
 
     /**
@@ -42,30 +52,26 @@ class JobApi extends RequestHandler {
 
             /**
              * Gets the available jobs and their competences.
+             * This endpoint requires the 'jobs:read' permission.
              * Errors caused by database related issues, are handled by the
              * {JobErrorHandler}.
              *
              * Sends   200: If the user was successfully authenticated, and returns {JobDTO}
-             *         401: If authentication verification failed.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'jobs:read'.
              * throws  {Error} In case that the controller returns unexpected data.
              */
             this.router.get(
                 '/getJobs',
+                this.requirePermission(permissions.JobsRead),
                 async (req, res, next) => {
                     try {
-                        const userDTO = await Authorization.verifyAuthCookie(req, res);
-
-                        if (userDTO === null) {
-                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
-                            return;
-                        } else {
-                            const jobDTO = await this.controller.getJobs();
-                            if (jobDTO === null) {
-                                throw new Error('Expected JobDTO object, received null.');
-                            }
-                            this.sendHttpResponse(res, 200, jobDTO);
-                            return;
+                        const jobDTO = await this.controller.getJobs();
+                        if (jobDTO === null) {
+                            throw new Error('Expected JobDTO object, received null.');
                         }
+                        this.sendHttpResponse(res, 200, jobDTO);
+                        return;
                     } catch (err) {
                         next(err);
                     }
@@ -74,39 +80,34 @@ class JobApi extends RequestHandler {
 
             /**
              * Registers a new job application.
-             * This endpoint is only accessible by applicants.
+             * This endpoint requires the 'applications:create' permission.
              * Errors caused by database related issues, are handled by the
              * {JobErrorHandler}.
              *
-             * parameter competenceId: The competence id and must be a positive whole number.
-             * parameter yearsOfExperience: The years of experience and must be a non-negative number.
-             * parameter dateFrom: The availability start date and must follow the format (YYYY-MM-DD).
-             * parameter dateTo: The availability end date and must follow the format (YYYY-MM-DD).
+             * parameter competences: A non-empty list of {competenceId, yearsOfExperience}, where the competence id
+             *                       must be a positive whole number that occurs only once in the list,
+             *                       and the years of experience must be a non-negative number.
+             * parameter availabilities: A non-empty list of {dateFrom, dateTo}, where both dates must follow
+             *                           the format (YYYY-MM-DD) and the period must not end before it starts.
              *
              * Sends   200: If the application was successfully registered.
-             *         400: If the request body did not contain properly formatted fields.
-             *         401: If authentication verification fails or the authorization role
-             *              of the signed in user is not 'Applicant'.
+             *         400: If the request body did not contain properly formatted fields,
+             *              or the email address of the applicant has not been verified.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'applications:create'.
              * throws  {Error} In case that the controller returns unexpected data.
              */
             this.router.post(
                 '/registerApplication',
-                check('competenceId').custom((value) => {
+                this.requirePermission(permissions.ApplicationsCreate),
+                check('competences').custom((value) => {
                     // This will throw an AssertionError if the validation fails
-                    Validators.isPositiveWholeNumber(value, 'competenceId');
+                    this._validateCompetences(value);
                     // Indicates the success of the custom validator check
                     return true;
                 }),
-                check('yearsOfExperience').custom((value) => {
-                    Validators.isNonNegativeNumber(value, 'yearsOfExperience');
-                    return true;
-                }),
-                check('dateFrom').custom((value) => {
-                    Validators.isDateFormat(value, 'dateFrom');
-                    return true;
-                }),
-                check('dateTo').custom((value) => {
-                    Validators.isDateFormat(value, 'dateTo');
+                check('availabilities').custom((value) => {
+                    this._validateAvailabilities(value);
                     return true;
                 }),
                 async (req, res, next) => {
@@ -117,33 +118,32 @@ class JobApi extends RequestHandler {
                             return;
                         }
 
-                        const userDTO = await Authorization.verifyApplicantAuthorization(req);
-                        if (userDTO === null) {
-                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
-                            return;
-                        } else {
-                            const registrationDTO = await this.controller.registerApplication(userDTO.username, req.body.competenceId, req.body.yearsOfExperience,
-                                req.body.dateFrom, req.body.dateTo);
+                        const userDTO = res.locals.userDTO;
 
-                            if (registrationDTO === null) {
-                                throw new Error('Expected RegistrationDTO object, received null.');
-                            }
-                            if (registrationDTO.errorCode === registrationErrEnum.OK) {
-                                this.sendHttpResponse(res, 200, registrationDTO);
-                                return;
-                            } else if (registrationDTO.errorCode === registrationErrEnum.ExistentApplication) {
-                                this.sendHttpResponse(res, 400, 'An application with the same information already exists.');
-                                return;
-                            } else if (registrationDTO.errorCode === registrationErrEnum.InvalidUsername) {
-                                this.sendHttpResponse(res, 400, 'The username is invalid.');
-                                return;
-                            } else if (registrationDTO.errorCode === registrationErrEnum.InvalidCompetence) {
-                                this.sendHttpResponse(res, 400, 'The chosen competence is not a valid competence for this job.');
-                                return;
-                            } else if (registrationDTO.errorCode === registrationErrEnum.InvalidRole) {
-                                this.sendHttpResponse(res, 400, 'The signed in user is not authorized to register a job application.');
-                                return;
-                            }
+                        const registrationDTO = await this.controller.registerApplication(userDTO.username, req.body.competences,
+                            req.body.availabilities);
+
+                        if (registrationDTO === null) {
+                            throw new Error('Expected RegistrationDTO object, received null.');
+                        }
+                        if (registrationDTO.errorCode === registrationErrEnum.OK) {
+                            this.sendHttpResponse(res, 200, registrationDTO);
+                            return;
+                        } else if (registrationDTO.errorCode === registrationErrEnum.ExistentApplication) {
+                            this.sendHttpResponse(res, 400, 'An application with the same information already exists.');
+                            return;
+                        } else if (registrationDTO.errorCode === registrationErrEnum.InvalidUsername) {
+                            this.sendHttpResponse(res, 400, 'The username is invalid.');
+                            return;
+                        } else if (registrationDTO.errorCode === registrationErrEnum.InvalidCompetence) {
+                            this.sendHttpResponse(res, 400, 'One of the chosen competences is not a valid competence.');
+                            return;
+                        } else if (registrationDTO.errorCode === registrationErrEnum.InvalidRole) {
+                            this.sendHttpResponse(res, 400, 'The signed in user is not authorized to register a job application.');
+                            return;
+                        } else if (registrationDTO.errorCode === registrationErrEnum.UnverifiedEmail) {
+                            this.sendHttpResponse(res, 400, 'The email address of the signed in user has not been verified.');
+                            return;
                         }
                     } catch (err) {
                         next(err);
@@ -153,34 +153,57 @@ class JobApi extends RequestHandler {
 
             /**
              * Gets a list of existing job applications.
-             * Supports filtering and paging, where each page contains 25 applications.
-             * This endpoint is only accessible by recruiters.
+             * Supports filtering and paging, where each page contains 25 applications unless another page size is requested.
+             * This endpoint requires the 'applications:read' permission.
              * Errors caused by database related issues, are handled by the
              * {JobErrorHandler}.
              *
-             * parameter name: The requested first or last name, can be '' in order to ignore the filter by name option.
+             * parameter name: A part of the requested full name, such as 'anders' or 'Anna Berg', case and accents are
+             *                 ignored and close misspellings are also matched. Can be '' in order to ignore the filter by name option.
              * parameter competenceId: The competence id and must be a positive whole number.
              * parameter dateFrom: The availability start date and must follow the format (YYYY-MM-DD),
              *                     can be '' in order to ignore the filter by availability start date option.
              * parameter dateTo: The availability end date and must follow the format (YYYY-MM-DD),
              *                   can be '' in order to ignore the filter by availability end date option.
              * parameter page: The requested page and must be a non-negative whole number (0 to show all applications).
+             * parameter pageSize: Optional, how many applications each page contains, between 1 and 100, the default is 25.
+             * parameter hideWithdrawn: Optional, 'true' in order to leave out the applications withdrawn by the applicants.
+             * parameter decision: Optional, the decision that the applications have, can be repeated in order to
+             *                     list applications with any of the decisions, 'Withdrawn' lists the withdrawn applications.
+             * parameter jobId: Optional, the job that the applications have any competence of, 0 to ignore it.
+             * parameter minExperience: Optional, the least years of experience in a competence of the application.
+             * parameter maxExperience: Optional, the most years of experience in a competence of the application.
+             *                          The competence, job and experience filters must all be met by the same competence.
+             * parameter sort: Optional, what the applications are sorted by, one of 'id', 'averageScore', 'lastName',
+             *                 'firstName', 'experience' (the most years of experience in any competence),
+             *                 'availabilityStart' (the earliest availability date), 'submittedAt' or 'decision'.
+             *                 The default is 'id', and applications with the same value are ordered by id.
+             * parameter order: Optional, 'asc' or 'desc'. The default is 'desc' when sorting by 'averageScore'
+             *                  and 'asc' otherwise, unscored applications come last in both orders.
+             * parameter cursor: Optional, pages by cursor instead of page number, in which case page can be left out.
+             *                   '' for the first page, or the nextCursor or prevCursor of an earlier response.
+             *                   A cursor keeps the sort and order that it was created with, and pages do not skip or
+             *                   repeat applications when applications are added or decided between the requests.
+             *                   A cursor can only be used with the filters that it was created with.
              *
              * Sends   200: If the applications list has been successfully retrieved.
-             *         400: If the request query did not contain properly formatted fields.
-             *         401: If authentication verification fails or the authorization role
-             *              of the signed in user is not 'Recruiter'.
+             *         400: If the request query did not contain properly formatted fields,
+             *              or the minimum experience is greater than the maximum experience,
+             *              or the cursor was created with other filters.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'applications:read'.
              * throws  {Error} In case that the controller returns unexpected data.
              */
             this.router.get(
                 '/listApplications',
+                this.requirePermission(permissions.ApplicationsRead),
                 check('name').custom((value) => {
                     // Allow empty name.
                     if (value === '') {
                         return true;
                     }
                     // This will throw an AssertionError if the validation fails
-                    Validators.isAlphaString(value, 'name');
+                    Validators.isNameSearch(value, 'name');
                     // Indicates the success of the custom validator check
                     return true;
                 }),
@@ -204,10 +227,28 @@ class JobApi extends RequestHandler {
                     Validators.isDateFormat(value, 'dateTo');
                     return true;
                 }),
-                check('page').custom((value) => {
+                check('page').custom((value, {req}) => {
+                    // The page number is not used when paging by cursor.
+                    if (value === undefined && req.query.cursor !== undefined) {
+                        return true;
+                    }
                     Validators.isNonNegativeWholeNumber(value, 'page');
                     return true;
                 }),
+                check('pageSize').optional().custom((value) => {
+                    Validators.isIntegerBetween(value, applicationPageSizeEnum.Min, applicationPageSizeEnum.Max, 'pageSize');
+                    return true;
+                }),
+                check('cursor').optional().custom((value) => {
+                    if (value !== '' && ApplicationCursor.decode(value) === null) {
+                        throw new Error('cursor is not a valid cursor.');
+                    }
+                    return true;
+                }),
+                check('hideWithdrawn').optional().isIn(['true', 'false']),
+                this._checkApplicationFilters(),
+                check('sort').optional().isIn(Object.values(applicationSortEnum)),
+                check('order').optional().isIn(Object.values(sortOrderEnum)),
                 async (req, res, next) => {
                     try {
                         const errors = validationResult(req);
@@ -216,20 +257,20 @@ class JobApi extends RequestHandler {
                             return;
                         }
 
-                        const userDTO = await Authorization.verifyRecruiterAuthorization(req);
-                        if (userDTO === null) {
-                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
-                            return;
-                        } else {
-                            const applicationsListDTO = await this.controller.listApplications(req.query.name, req.query.competenceId,
-                                req.query.dateFrom, req.query.dateTo, req.query.page);
-
-                            if (applicationsListDTO === null) {
-                                throw new Error('Expected ApplicationsListDTO object, received null.');
-                            }
+                        const applicationsListDTO = await this.controller.listApplications(req.query.name, req.query.competenceId,
+                            req.query.dateFrom, req.query.dateTo, req.query.page, req.query.pageSize, req.query.hideWithdrawn === 'true',
+                            req.query.sort, req.query.order, this._getApplicationFilters(req),
+                            req.query.cursor);
 
-                            this.sendHttpResponse(res, 200, applicationsListDTO);
+                        if (applicationsListDTO === null) {
+                            throw new Error('Expected ApplicationsListDTO object, received null.');
+                        }
+                        if (applicationsListDTO.errorCode === applicationErrorCodes.InvalidCursor) {
+                            this.sendHttpResponse(res, 400, 'The cursor was created for a list with other filters.');
+                            return;
                         }
+
+                        this.sendHttpResponse(res, 200, applicationsListDTO);
                     } catch (err) {
                         next(err);
                     }
@@ -238,33 +279,44 @@ class JobApi extends RequestHandler {
 
             /**
              * Gets the job applications total page count.
-             * Supports filtering, and a page shall contain 25 applications.
-             * This endpoint is only accessible by recruiters.
+             * Supports filtering, and a page shall contain 25 applications unless another page size is requested.
+             * This endpoint requires the 'applications:read' permission.
              * Errors caused by database related issues, are handled by the
              * {JobErrorHandler}.
              *
-             * parameter name: The requested first or last name, can be '' in order to ignore the filter by name option.
+             * parameter name: A part of the requested full name, such as 'anders' or 'Anna Berg', case and accents are
+             *                 ignored and close misspellings are also matched. Can be '' in order to ignore the filter by name option.
              * parameter competenceId: The competence id and must be a positive whole number.
              * parameter dateFrom: The availability start date and must follow the format (YYYY-MM-DD),
              *                      can be '' in order to ignore the filter by availability start date option.
              * parameter dateTo: The availability end date and must follow the format (YYYY-MM-DD),
              *                   can be '' in order to ignore the filter by availability end date option.
+             * parameter pageSize: Optional, how many applications each page contains, between 1 and 100, the default is 25.
+             * parameter hideWithdrawn: Optional, 'true' in order to leave out the applications withdrawn by the applicants.
+             * parameter decision: Optional, the decision that the applications have, can be repeated in order to
+             *                     list applications with any of the decisions, 'Withdrawn' lists the withdrawn applications.
+             * parameter jobId: Optional, the job that the applications have any competence of, 0 to ignore it.
+             * parameter minExperience: Optional, the least years of experience in a competence of the application.
+             * parameter maxExperience: Optional, the most years of experience in a competence of the application.
+             *                          The competence, job and experience filters must all be met by the same competence.
              *
              * Sends   200: If the applications total page count has been successfully retrieved.
-             *         400: If the request query did not contain properly formatted fields.
-             *         401: If authentication verification fails or the authorization role
-             *              of the signed in user is not 'Recruiter'.
+             *         400: If the request query did not contain properly formatted fields,
+             *              or the minimum experience is greater than the maximum experience.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'applications:read'.
              * throws  {Error} In case that the controller returns unexpected data.
              */
             this.router.get(
                 '/getApplicationsPageCount',
+                this.requirePermission(permissions.ApplicationsRead),
                 check('name').custom((value) => {
                     // Allow empty name.
                     if (value === '') {
                         return true;
                     }
                     // This will throw an AssertionError if the validation fails
-                    Validators.isAlphaString(value, 'name');
+                    Validators.isNameSearch(value, 'name');
                     // Indicates the success of the custom validator check
                     return true;
                 }),
@@ -288,6 +340,163 @@ class JobApi extends RequestHandler {
                     Validators.isDateFormat(value, 'dateTo');
                     return true;
                 }),
+                check('pageSize').optional().custom((value) => {
+                    Validators.isIntegerBetween(value, applicationPageSizeEnum.Min, applicationPageSizeEnum.Max, 'pageSize');
+                    return true;
+                }),
+                check('hideWithdrawn').optional().isIn(['true', 'false']),
+                this._checkApplicationFilters(),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+
+                        const pageCount = await this.controller.getApplicationsPageCount(req.query.name, req.query.competenceId,
+                            req.query.dateFrom, req.query.dateTo, req.query.pageSize, req.query.hideWithdrawn === 'true',
+                            this._getApplicationFilters(req));
+                        const pageCountObject = {'pageCount': pageCount};
+                        if (pageCount === null) {
+                            throw new Error('Expected pageCount, received null.');
+                        }
+
+                        this.sendHttpResponse(res, 200, pageCountObject);
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Gets the applications of the signed in applicant, with the current decision of each one.
+             * This endpoint requires the 'ownapplications:read' permission.
+             * Errors caused by database related issues, are handled by the
+             * {JobErrorHandler}.
+             *
+             * Sends   200: If the applications were successfully retrieved, and returns an array of {ApplicationDTO}
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'ownapplications:read'.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.get(
+                '/myApplications',
+                this.requirePermission(permissions.OwnApplicationsRead),
+                async (req, res, next) => {
+                    try {
+                        const applications = await this.controller.getOwnApplications(res.locals.userDTO.username);
+                        if (applications === null) {
+                            throw new Error('Expected an array of ApplicationDTO objects, received null.');
+                        }
+                        this.sendHttpResponse(res, 200, applications);
+                        return;
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Replaces the competences and the availability periods of an application of the signed in applicant.
+             * The application can only be updated while it is Unhandled.
+             * This endpoint requires the 'ownapplications:manage' permission.
+             * Errors caused by database related issues, are handled by the
+             * {JobErrorHandler}.
+             *
+             * parameter applicationId: The application's ID, must be a positive integer.
+             * parameter competences: A non-empty list of {competenceId, yearsOfExperience},
+             *                       formatted as for /registerApplication.
+             * parameter availabilities: A non-empty list of {dateFrom, dateTo},
+             *                           formatted as for /registerApplication.
+             *
+             * Sends   200: If the application was successfully updated, and returns {ApplicationDTO}
+             *         400: If the request body did not contain properly formatted fields,
+             *              or contained an invalid or non-existent application ID or competence,
+             *              or the application has already been decided or withdrawn.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'ownapplications:manage'.
+             *         403: If the application belongs to another applicant.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.put(
+                '/updateApplication',
+                this.requirePermission(permissions.OwnApplicationsManage),
+                check('applicationId').custom((value) => {
+                    Validators.isPositiveWholeNumber(value, 'applicationId');
+                    return true;
+                }),
+                check('competences').custom((value) => {
+                    this._validateCompetences(value);
+                    return true;
+                }),
+                check('availabilities').custom((value) => {
+                    this._validateAvailabilities(value);
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+
+                        const applicationDTO = await this.controller.updateApplication(res.locals.userDTO.username,
+                            req.body.applicationId, req.body.competences, req.body.availabilities);
+
+                        this._sendApplicationChangeResponse(res, applicationDTO);
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Attaches a file, such as a CV, to an application of the signed in applicant.
+             * The request is sent as multipart/form-data, and the file can only be attached while the
+             * application is Unhandled. The content of the file must match its type, and only
+             * PDF, PNG, JPEG and DOCX files are accepted.
+             * This endpoint requires the 'ownapplications:manage' permission.
+             * Errors caused by database related issues, are handled by the
+             * {JobErrorHandler}.
+             *
+             * parameter applicationId: The application's ID, must be a positive integer.
+             * parameter category: What the file is, one of the categories in attachmentCategoriesEnum.js.
+             * parameter file: The file, at most 5 MB, with a filename of at most 255 characters.
+             *
+             * Sends   200: If the file was successfully attached, and returns {AttachmentDTO}
+             *         400: If the request did not contain a properly formatted application ID, category or file,
+             *              or the file is not of an accepted type or its filename is too long,
+             *              or contained an invalid or non-existent application ID,
+             *              or the application has already been decided or withdrawn,
+             *              or the application already has the maximum number of attachments.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'ownapplications:manage'.
+             *         403: If the application belongs to another applicant.
+             *         413: If the file is larger than 5 MB.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/uploadAttachment',
+                this.requirePermission(permissions.OwnApplicationsManage),
+                this._parseAttachmentUpload(),
+                check('applicationId').custom((value) => {
+                    Validators.isPositiveWholeNumber(value, 'applicationId');
+                    return true;
+                }),
+                check('category').custom((value) => {
+                    Validators.isAttachmentCategory(value, 'category');
+                    return true;
+                }),
+                check('file').custom((value, {req}) => {
+                    if (req.file === undefined) {
+                        throw new Error('file is missing.');
+                    }
+                    Validators.isAttachmentContent(req.file.mimetype, req.file.buffer, 'file');
+                    Validators.isFreeText(req.file.originalname, 255, 'file name');
+                    return true;
+                }),
                 async (req, res, next) => {
                     try {
                         const errors = validationResult(req);
@@ -296,20 +505,108 @@ class JobApi extends RequestHandler {
                             return;
                         }
 
-                        const userDTO = await Authorization.verifyRecruiterAuthorization(req);
-                        if (userDTO === null) {
-                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                        const attachmentDTO = await this.controller.uploadAttachment(res.locals.userDTO.username,
+                            req.body.applicationId, req.file, req.body.category);
+                        if (attachmentDTO === null) {
+                            throw new Error('Expected AttachmentDTO object, received null.');
+                        }
+
+                        this._sendAttachmentResponse(res, attachmentDTO);
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Downloads a file that is attached to an application. Applicants can only download the files
+             * attached to their own applications, while users that can read all applications can download any file.
+             * This endpoint requires the 'attachments:read' permission.
+             * Errors caused by database related issues, are handled by the
+             * {JobErrorHandler}.
+             *
+             * parameter attachmentId: The attachment's ID, must be a positive integer.
+             *
+             * Sends   200: If the file was found, and returns its content with its type and filename.
+             *         400: If the request did not contain a properly formatted attachment ID,
+             *              or contained an invalid or non-existent attachment ID.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'attachments:read'.
+             *         403: If the file is attached to another applicant's application.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.get(
+                '/getAttachment',
+                this.requirePermission(permissions.AttachmentsRead),
+                check('attachmentId').custom((value) => {
+                    Validators.isPositiveWholeNumber(value, 'attachmentId');
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
                             return;
+                        }
+
+                        const userDTO = res.locals.userDTO;
+                        const attachment = await this.controller.getAttachment(userDTO.username,
+                            req.query.attachmentId,
+                            Authorization.hasPermission(userDTO.roleID, permissions.ApplicationsRead));
+                        if (attachment === null) {
+                            throw new Error('Expected AttachmentDTO object, received null.');
+                        }
+
+                        if (attachment.attachmentDTO.errorCode === applicationErrorCodes.OK) {
+                            res.attachment(attachment.attachmentDTO.filename);
+                            res.status(200).type(attachment.attachmentDTO.mimeType).send(attachment.content);
                         } else {
-                            const pageCount = await this.controller.getApplicationsPageCount(req.query.name, req.query.competenceId,
-                                req.query.dateFrom, req.query.dateTo);
-                            const pageCountObject = {'pageCount': pageCount};
-                            if (pageCount === null) {
-                                throw new Error('Expected pageCount, received null.');
-                            }
+                            this._sendAttachmentResponse(res, attachment.attachmentDTO);
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
 
-                            this.sendHttpResponse(res, 200, pageCountObject);
+            /**
+             * Withdraws an application of the signed in applicant, so that it is no longer considered.
+             * The application can only be withdrawn while it is Unhandled.
+             * This endpoint requires the 'ownapplications:manage' permission.
+             * Errors caused by database related issues, are handled by the
+             * {JobErrorHandler}.
+             *
+             * parameter applicationId: The application's ID, must be a positive integer.
+             *
+             * Sends   200: If the application was successfully withdrawn, and returns {ApplicationDTO}
+             *         400: If the request body did not contain a properly formatted application ID,
+             *              or contained an invalid or non-existent application ID,
+             *              or the application has already been decided or withdrawn.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'ownapplications:manage'.
+             *         403: If the application belongs to another applicant.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.put(
+                '/withdrawApplication',
+                this.requirePermission(permissions.OwnApplicationsManage),
+                check('applicationId').custom((value) => {
+                    Validators.isPositiveWholeNumber(value, 'applicationId');
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
                         }
+
+                        const applicationDTO = await this.controller.withdrawApplication(res.locals.userDTO.username,
+                            req.body.applicationId);
+
+                        this._sendApplicationChangeResponse(res, applicationDTO);
                     } catch (err) {
                         next(err);
                     }
@@ -318,21 +615,23 @@ class JobApi extends RequestHandler {
 
             /**
              * Gets detailed information about a specific job application
-             * This endpoint is only accessible by recruiters.
+             * This endpoint requires the 'applications:read' permission.
              * Errors caused by database related issues, are handled by the
              * {JobErrorHandler}.
              *
              * parameter applicationId: The requested application's ID, must be an integer.
              *
-             * Sends   200: If the applications was successfully retrieved.
+             * Sends   200: If the applications was successfully retrieved, the ETag header holds
+             *              the version of the application that is required to submit a decision.
              *         400: If the request query did not contain properly formatted fields
              *              or contained an invalid or non-existent application ID.
-             *         401: If authentication verification fails or the authorization role
-             *              of the signed in user is not 'Recruiter'.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'applications:read'.
              * throws  {Error} In case that the controller returns unexpected data.
              */
             this.router.get(
                 '/getApplication',
+                this.requirePermission(permissions.ApplicationsRead),
                 check('applicationId').isInt(),
                 async (req, res, next) => {
                     try {
@@ -342,23 +641,66 @@ class JobApi extends RequestHandler {
                             return;
                         }
 
-                        const userDTO = await Authorization.verifyRecruiterAuthorization(req);
+                        const applicationDTO = await this.controller.getApplication(req.query.applicationId);
+                        if (applicationDTO === null) {
+                            throw new Error('Expected ApplicationDTO object, received null.');
+                        }
+                        if (applicationDTO.errorCode === applicationErrorCodes.OK) {
+                            this._setETag(res, applicationDTO.version);
+                            this.sendHttpResponse(res, 200, applicationDTO);
+                            return;
+                        } else if (applicationDTO.errorCode === applicationErrorCodes.InvalidID) {
+                            this.sendHttpResponse(res, 400, 'Invalid or non-existent application ID.');
+                            return;
+                        }
+                        return;
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Gets the history of the status changes of a specific job application,
+             * every change holds the new and the previous decision, the recruiter that made it,
+             * the time it was made and the reason in case it was a revision.
+             * This endpoint requires the 'applications:read' permission.
+             * Errors caused by database related issues, are handled by the
+             * {JobErrorHandler}.
+             *
+             * parameter applicationId: The requested application's ID, must be a positive integer.
+             *
+             * Sends   200: If the history was successfully retrieved, and returns {DecisionHistoryDTO}
+             *         400: If the request query did not contain properly formatted fields
+             *              or contained an invalid or non-existent application ID.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'applications:read'.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.get(
+                '/getApplication/history',
+                this.requirePermission(permissions.ApplicationsRead),
+                check('applicationId').custom((value) => {
+                    Validators.isPositiveWholeNumber(value, 'applicationId');
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
 
-                        if (userDTO === null) {
-                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                        const decisionHistoryDTO = await this.controller.getDecisionHistory(req.query.applicationId);
+                        if (decisionHistoryDTO === null) {
+                            throw new Error('Expected DecisionHistoryDTO object, received null.');
+                        }
+                        if (decisionHistoryDTO.errorCode === decisionErrorCodes.OK) {
+                            this.sendHttpResponse(res, 200, decisionHistoryDTO);
                             return;
-                        } else {
-                            const applicationDTO = await this.controller.getApplication(req.query.applicationId);
-                            if (applicationDTO === null) {
-                                throw new Error('Expected ApplicationDTO object, received null.');
-                            }
-                            if (applicationDTO.errorCode === applicationErrorCodes.OK) {
-                                this.sendHttpResponse(res, 200, applicationDTO);
-                                return;
-                            } else if (applicationDTO.errorCode === applicationErrorCodes.InvalidID) {
-                                this.sendHttpResponse(res, 400, 'Invalid or non-existent application ID.');
-                                return;
-                            }
+                        } else if (decisionHistoryDTO.errorCode === decisionErrorCodes.InvalidApplication) {
+                            this.sendHttpResponse(res, 400, 'Invalid or non-existent application ID.');
                             return;
                         }
                     } catch (err) {
@@ -368,28 +710,26 @@ class JobApi extends RequestHandler {
             );
 
             /**
-             * Submits a decision for a specific job application
-             * This endpoint is only accessible by recruiters.
+             * Gets the notes that recruiters have written on a specific job application, as threads where
+             * every note holds its replies. Notes are only meant for recruiters and never sent to applicants.
+             * This endpoint requires the 'applicationnotes:manage' permission.
              * Errors caused by database related issues, are handled by the
              * {JobErrorHandler}.
              *
-             * parameter applicationId: The job application's ID, must be a positive integer.
-             * parameter decision: The taken decision, must be either 'Unhandled', 'Accepted' or 'Rejected'.
+             * parameter applicationId: The requested application's ID, must be a positive integer.
              *
-             * Sends   200: If the decision was successfully registered.
-             *         400: If the request body did not contain properly formatted fields
-             *              or contained an invalid or non-existent application ID,
-             *              an invalid decision or an application were the decision is already taken.
-             *         401: If authentication verification fails or the authorization role
-             *              of the signed in user is not 'Recruiter'.
+             * Sends   200: If the notes were successfully retrieved, and returns {ApplicationNotesDTO}
+             *         400: If the request query did not contain properly formatted fields
+             *              or contained an invalid or non-existent application ID.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'applicationnotes:manage'.
              * throws  {Error} In case that the controller returns unexpected data.
              */
-            this.router.put(
-                '/submitDecision',
-                check('applicationId').isInt(),
-                check('decision').custom((value) => {
-                    // This will throw an AssertionError if the validation fails
-                    Validators.isDecision(value, 'decision');
+            this.router.get(
+                '/getApplicationNotes',
+                this.requirePermission(permissions.ApplicationNotesManage),
+                check('applicationId').custom((value) => {
+                    Validators.isPositiveWholeNumber(value, 'applicationId');
                     return true;
                 }),
                 async (req, res, next) => {
@@ -400,36 +740,594 @@ class JobApi extends RequestHandler {
                             return;
                         }
 
-                        const userDTO = await Authorization.verifyRecruiterAuthorization(req);
-                        if (userDTO === null) {
-                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                        const applicationNotesDTO = await this.controller.getApplicationNotes(req.query.applicationId);
+                        if (applicationNotesDTO === null) {
+                            throw new Error('Expected ApplicationNotesDTO object, received null.');
+                        }
+                        if (applicationNotesDTO.errorCode === noteErrorCodes.OK) {
+                            this.sendHttpResponse(res, 200, applicationNotesDTO);
                             return;
-                        } else {
-                            const decisionDTO = await this.controller.submitApplicationDecision(userDTO.username, req.body.applicationId,
-                                req.body.decision);
+                        } else if (applicationNotesDTO.errorCode === noteErrorCodes.InvalidApplication) {
+                            this.sendHttpResponse(res, 400, 'Invalid or non-existent application ID.');
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
 
-                            if (decisionDTO === null) {
-                                throw new Error('Expected DecisionDTO object, received null.');
-                            }
-                            if (decisionDTO.errorCode === decisionErrorCodes.OK) {
-                                this.sendHttpResponse(res, 200, decisionDTO);
-                                return;
-                            } else if (decisionDTO.errorCode === decisionErrorCodes.ExistentDecision) {
-                                this.sendHttpResponse(res, 400, 'A decision has been already taken for this application.');
-                                return;
-                            } else if (decisionDTO.errorCode === decisionErrorCodes.InvalidUsername) {
-                                this.sendHttpResponse(res, 400, 'The username is invalid.');
-                                return;
-                            } else if (decisionDTO.errorCode === decisionErrorCodes.InvalidApplication) {
-                                this.sendHttpResponse(res, 400, 'Invalid or non-existent application ID.');
-                                return;
-                            } else if (decisionDTO.errorCode === decisionErrorCodes.InvalidDecision) {
-                                this.sendHttpResponse(res, 400, 'Invalid decision.');
-                                return;
-                            } else if (decisionDTO.errorCode === decisionErrorCodes.InvalidRole) {
-                                this.sendHttpResponse(res, 400, 'The signed in user is not authorized to make a decision on job applications.');
-                                return;
-                            }
+            /**
+             * Writes a note on a specific job application, either starting a new thread or replying to a note.
+             * This endpoint requires the 'applicationnotes:manage' permission.
+             * Errors caused by database related issues, are handled by the
+             * {JobErrorHandler}.
+             *
+             * parameter applicationId: The application's ID, must be a positive integer.
+             * parameter parentId: Optional, the ID of the note that is replied to, must be a positive integer.
+             * parameter text: The text of the note, a non empty text of at most 2000 characters.
+             *
+             * Sends   200: If the note was successfully written, and returns {NoteDTO}
+             *         400: If the request body did not contain properly formatted fields,
+             *              or contained an invalid or non-existent application ID,
+             *              or a note to reply to that does not exist on the application.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'applicationnotes:manage'.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/addApplicationNote',
+                this.requirePermission(permissions.ApplicationNotesManage),
+                check('applicationId').custom((value) => {
+                    Validators.isPositiveWholeNumber(value, 'applicationId');
+                    return true;
+                }),
+                check('parentId').optional().custom((value) => {
+                    Validators.isPositiveWholeNumber(value, 'parentId');
+                    return true;
+                }),
+                check('text').custom((value) => {
+                    Validators.isFreeText(value, 2000, 'text');
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+
+                        const noteDTO = await this.controller.addApplicationNote(res.locals.userDTO.username,
+                            req.body.applicationId, req.body.parentId, req.body.text);
+
+                        this._sendNoteResponse(res, noteDTO);
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Edits the text of a note that the signed in recruiter has written.
+             * This endpoint requires the 'applicationnotes:manage' permission.
+             * Errors caused by database related issues, are handled by the
+             * {JobErrorHandler}.
+             *
+             * parameter noteId: The note's ID, must be a positive integer.
+             * parameter text: The new text of the note, a non empty text of at most 2000 characters.
+             *
+             * Sends   200: If the note was successfully edited, and returns {NoteDTO}
+             *         400: If the request body did not contain properly formatted fields,
+             *              or contained an invalid, non-existent or deleted note ID.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'applicationnotes:manage'.
+             *         403: If the note was written by another recruiter.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.put(
+                '/editApplicationNote',
+                this.requirePermission(permissions.ApplicationNotesManage),
+                check('noteId').custom((value) => {
+                    Validators.isPositiveWholeNumber(value, 'noteId');
+                    return true;
+                }),
+                check('text').custom((value) => {
+                    Validators.isFreeText(value, 2000, 'text');
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+
+                        const noteDTO = await this.controller.editApplicationNote(res.locals.userDTO.username,
+                            req.body.noteId, req.body.text);
+
+                        this._sendNoteResponse(res, noteDTO);
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Deletes a note that the signed in recruiter has written, the replies to the note are kept.
+             * This endpoint requires the 'applicationnotes:manage' permission.
+             * Errors caused by database related issues, are handled by the
+             * {JobErrorHandler}.
+             *
+             * parameter noteId: The note's ID, must be a positive integer.
+             *
+             * Sends   200: If the note was successfully deleted, and returns {NoteDTO}
+             *         400: If the request body did not contain a properly formatted note ID,
+             *              or contained an invalid, non-existent or already deleted note ID.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'applicationnotes:manage'.
+             *         403: If the note was written by another recruiter.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.put(
+                '/deleteApplicationNote',
+                this.requirePermission(permissions.ApplicationNotesManage),
+                check('noteId').custom((value) => {
+                    Validators.isPositiveWholeNumber(value, 'noteId');
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+
+                        const noteDTO = await this.controller.deleteApplicationNote(res.locals.userDTO.username,
+                            req.body.noteId);
+
+                        this._sendNoteResponse(res, noteDTO);
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Gets the criteria that the recruiters score applications against.
+             * This endpoint requires the 'applications:read' permission.
+             * Errors caused by database related issues, are handled by the
+             * {JobErrorHandler}.
+             *
+             * Sends   200: If the criteria were successfully retrieved, and returns an array of {ScoreCriterionDTO}
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'applications:read'.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.get(
+                '/getScoreCriteria',
+                this.requirePermission(permissions.ApplicationsRead),
+                async (req, res, next) => {
+                    try {
+                        const scoreCriteria = await this.controller.getScoreCriteria();
+                        if (scoreCriteria === null) {
+                            throw new Error('Expected an array of ScoreCriterionDTO objects, received null.');
+                        }
+                        this.sendHttpResponse(res, 200, scoreCriteria);
+                        return;
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Adds a criterion that the recruiters can score applications against.
+             * This endpoint requires the 'scorecriteria:manage' permission.
+             * Errors caused by database related issues, are handled by the
+             * {JobErrorHandler}.
+             *
+             * parameter name: The name of the criterion, a non empty text of at most 100 characters.
+             * parameter description: Optional, what to consider when scoring, a text of at most 1000 characters.
+             * parameter minScore: Optional, the lowest score of the scale, a non-negative whole number (default 1).
+             * parameter maxScore: Optional, the highest score of the scale, a whole number greater than
+             *                     the lowest score (default 5).
+             *
+             * Sends   200: If the criterion was successfully added, and returns {ScoreCriterionDTO}
+             *         400: If the request body did not contain properly formatted fields,
+             *              the highest score is not greater than the lowest score,
+             *              or another criterion has the same name.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'scorecriteria:manage'.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/addScoreCriterion',
+                this.requirePermission(permissions.ScoreCriteriaManage),
+                check('name').custom((value) => {
+                    Validators.isFreeText(value, 100, 'name');
+                    return true;
+                }),
+                check('description').optional().custom((value) => {
+                    Validators.isFreeText(value, 1000, 'description');
+                    return true;
+                }),
+                check('minScore').optional().custom((value) => {
+                    Validators.isNonNegativeWholeNumber(value, 'minScore');
+                    return true;
+                }),
+                check('maxScore').optional().custom((value) => {
+                    Validators.isNonNegativeWholeNumber(value, 'maxScore');
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+
+                        const minScore = req.body.minScore === undefined ? 1 : req.body.minScore;
+                        const maxScore = req.body.maxScore === undefined ? 5 : req.body.maxScore;
+
+                        if (parseInt(maxScore) <= parseInt(minScore)) {
+                            this.sendHttpResponse(res, 400, 'The highest score must be greater than the lowest score.');
+                            return;
+                        }
+
+                        const scoreCriterionDTO = await this.controller.addScoreCriterion(req.body.name,
+                            req.body.description, minScore, maxScore);
+
+                        if (scoreCriterionDTO === null) {
+                            throw new Error('Expected ScoreCriterionDTO object, received null.');
+                        }
+                        if (scoreCriterionDTO.errorCode === scoreErrorCodes.OK) {
+                            this.sendHttpResponse(res, 200, scoreCriterionDTO);
+                            return;
+                        } else if (scoreCriterionDTO.errorCode === scoreErrorCodes.ExistentCriterion) {
+                            this.sendHttpResponse(res, 400, 'A criterion with the same name already exists.');
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Scores a specific job application against one or more criteria, the scores that the
+             * signed in recruiter has given these criteria on the application before are replaced.
+             * This endpoint requires the 'applications:score' permission.
+             * Errors caused by database related issues, are handled by the
+             * {JobErrorHandler}.
+             *
+             * parameter applicationId: The application's ID, must be a positive integer.
+             * parameter scores: A non-empty list of {criterionId, score}, where the criterion id must be
+             *                   a positive whole number that occurs only once in the list,
+             *                   and the score must be a whole number on the scale of the criterion.
+             *
+             * Sends   200: If the application was successfully scored, and returns {ApplicationScoresDTO}
+             *         400: If the request body did not contain properly formatted fields,
+             *              or contained an invalid or non-existent application ID or criterion,
+             *              or a score outside the scale of its criterion.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'applications:score'.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.put(
+                '/scoreApplication',
+                this.requirePermission(permissions.ApplicationsScore),
+                check('applicationId').custom((value) => {
+                    Validators.isPositiveWholeNumber(value, 'applicationId');
+                    return true;
+                }),
+                check('scores').custom((value) => {
+                    Validators.isNonEmptyArray(value, 'scores');
+                    value.forEach((score) => Validators.isCriterionScore({
+                        criterionID: score !== null && typeof score === 'object' ? score.criterionId : undefined,
+                        score: score !== null && typeof score === 'object' ? score.score : undefined,
+                    }, 'score'));
+                    Validators.hasUniqueValues(value.map((score) => score.criterionId), 'scores');
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+
+                        const applicationScoresDTO = await this.controller.scoreApplication(res.locals.userDTO.username,
+                            req.body.applicationId, req.body.scores);
+
+                        this._sendApplicationScoresResponse(res, applicationScoresDTO);
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Gets the scores that the recruiters have given a specific job application,
+             * the average of all the scores, the average per criterion and the scores of the signed in user.
+             * This endpoint requires the 'applications:read' permission.
+             * Errors caused by database related issues, are handled by the
+             * {JobErrorHandler}.
+             *
+             * parameter applicationId: The requested application's ID, must be a positive integer.
+             *
+             * Sends   200: If the scores were successfully retrieved, and returns {ApplicationScoresDTO}
+             *         400: If the request query did not contain properly formatted fields
+             *              or contained an invalid or non-existent application ID.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'applications:read'.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.get(
+                '/getApplicationScores',
+                this.requirePermission(permissions.ApplicationsRead),
+                check('applicationId').custom((value) => {
+                    Validators.isPositiveWholeNumber(value, 'applicationId');
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+
+                        const applicationScoresDTO = await this.controller.getApplicationScores(res.locals.userDTO.username,
+                            req.query.applicationId);
+
+                        this._sendApplicationScoresResponse(res, applicationScoresDTO);
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Submits a decision for a specific job application
+             * This endpoint requires the 'applications:decide' permission.
+             * Errors caused by database related issues, are handled by the
+             * {JobErrorHandler}.
+             *
+             * parameter applicationId: The job application's ID, must be a positive integer.
+             * parameter decision: The taken decision, must be either 'Unhandled', 'Accepted' or 'Rejected'.
+             * header If-Match: The ETag of the application as it was sent by /getApplication,
+             *                  or '*' in order to decide upon the application whatever its version is.
+             *                  Weak ETags are not accepted.
+             *
+             * Sends   200: If the decision was successfully registered, the ETag header holds the new version.
+             *         400: If the request body did not contain properly formatted fields
+             *              or contained an invalid or non-existent application ID,
+             *              an invalid decision or an application were the decision is already taken,
+             *              or the If-Match header is not a strong ETag of an application.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'applications:decide'.
+             *         412: If the application has been changed since the ETag in If-Match was sent,
+             *              and returns the current {ApplicationDTO} with its ETag.
+             *         428: If the If-Match header is missing.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.put(
+                '/submitDecision',
+                this.requirePermission(permissions.ApplicationsDecide),
+                check('applicationId').isInt(),
+                check('decision').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isDecision(value, 'decision');
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+
+                        if (req.get('If-Match') === undefined) {
+                            this.sendHttpResponse(res, 428, 'The If-Match header with the ETag of the application is required.');
+                            return;
+                        }
+
+                        // Any version of the application matches '*'.
+                        const anyVersion = req.get('If-Match').trim() === '*';
+                        const version = anyVersion ? null : this._parseETag(req.get('If-Match'));
+                        if (!anyVersion && version === null) {
+                            this.sendHttpResponse(res, 400, 'The If-Match header is not a valid ETag of an application.');
+                            return;
+                        }
+
+                        const userDTO = res.locals.userDTO;
+
+                        const decisionDTO = await this.controller.submitApplicationDecision(userDTO.username, req.body.applicationId,
+                            req.body.decision, version);
+
+                        if (decisionDTO === null) {
+                            throw new Error('Expected DecisionDTO object, received null.');
+                        }
+                        if (decisionDTO.errorCode === decisionErrorCodes.OK) {
+                            this._setETag(res, decisionDTO.version);
+                            this.sendHttpResponse(res, 200, decisionDTO);
+                            return;
+                        } else if (decisionDTO.errorCode === decisionErrorCodes.StaleVersion) {
+                            const applicationDTO = await this.controller.getApplication(req.body.applicationId);
+                            if (applicationDTO === null) {
+                                throw new Error('Expected ApplicationDTO object, received null.');
+                            }
+                            this._setETag(res, applicationDTO.version);
+                            this.sendHttpResponse(res, 412, applicationDTO);
+                            return;
+                        } else if (decisionDTO.errorCode === decisionErrorCodes.ExistentDecision) {
+                            this.sendHttpResponse(res, 400, 'A decision has been already taken for this application.');
+                            return;
+                        } else if (decisionDTO.errorCode === decisionErrorCodes.InvalidUsername) {
+                            this.sendHttpResponse(res, 400, 'The username is invalid.');
+                            return;
+                        } else if (decisionDTO.errorCode === decisionErrorCodes.InvalidApplication) {
+                            this.sendHttpResponse(res, 400, 'Invalid or non-existent application ID.');
+                            return;
+                        } else if (decisionDTO.errorCode === decisionErrorCodes.InvalidDecision) {
+                            this.sendHttpResponse(res, 400, 'Invalid decision.');
+                            return;
+                        } else if (decisionDTO.errorCode === decisionErrorCodes.InvalidRole) {
+                            this.sendHttpResponse(res, 400, 'The signed in user is not authorized to make a decision on job applications.');
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Submits decisions for several job applications at once.
+             * Every decision is checked like a decision submitted to /submitDecision.
+             * This endpoint requires the 'applications:decide' permission.
+             * Errors caused by database related issues, are handled by the
+             * {JobErrorHandler}.
+             *
+             * parameter decisions: A list of at most 100 {applicationId, decision, version}, where the application id
+             *                      must be a positive integer that occurs only once in the list, the decision must be
+             *                      either 'Unhandled', 'Accepted' or 'Rejected', and the version is the one in
+             *                      the ETag of the application as it was sent by /getApplication.
+             * parameter mode: Optional, 'atomic' (default) in order to register no decision unless all of them
+             *                 are without errors, or 'bestEffort' in order to register the ones without errors.
+             *
+             * Sends   200: If the decisions were processed, and returns {BulkDecisionDTO} with the result
+             *              of every decision, the error codes are enumerated in decisionErrorCodes.js.
+             *         400: If the request body did not contain properly formatted fields,
+             *              or in atomic mode any of the decisions has an error, and returns {BulkDecisionDTO}
+             *              where the decisions without errors have the RolledBack error code.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'applications:decide'.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.put(
+                '/submitDecisions',
+                this.requirePermission(permissions.ApplicationsDecide),
+                check('decisions').custom((value) => {
+                    Validators.isNonEmptyArray(value, 'decisions');
+                    Validators.isIntegerBetween(value.length, 1, 100, 'The number of decisions');
+                    value.forEach((item) => {
+                        Validators.isPositiveWholeNumber(item.applicationId, 'applicationId');
+                        Validators.isDecision(item.decision, 'decision');
+                        Validators.isPositiveWholeNumber(item.version, 'version');
+                    });
+                    Validators.hasUniqueValues(value.map((item) => item.applicationId), 'decisions');
+                    return true;
+                }),
+                check('mode').optional().isIn(Object.values(bulkDecisionModeEnum)),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+
+                        const bulkDecisionDTO = await this.controller.submitApplicationDecisions(res.locals.userDTO.username,
+                            req.body.decisions, req.body.mode);
+
+                        if (bulkDecisionDTO === null) {
+                            throw new Error('Expected BulkDecisionDTO object, received null.');
+                        }
+                        if (bulkDecisionDTO.committed) {
+                            this.sendHttpResponse(res, 200, bulkDecisionDTO);
+                            return;
+                        } else {
+                            this.sendHttpResponse(res, 400, bulkDecisionDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Revises the decision of a job application that has already been decided,
+             * or reopens the application by reverting the decision to 'Unhandled'.
+             * The previous decisions of the application are kept.
+             * This endpoint requires the 'applications:revise' permission.
+             * Errors caused by database related issues, are handled by the
+             * {JobErrorHandler}.
+             *
+             * parameter applicationId: The job application's ID, must be a positive integer.
+             * parameter decision: The new decision, must be either 'Unhandled', 'Accepted' or 'Rejected'
+             *                     and differ from the current decision.
+             * parameter reason: The reason to revise the decision, a non empty text of at most 1000 characters.
+             *
+             * Sends   200: If the decision was successfully revised, and returns {DecisionDTO}
+             *         400: If the request body did not contain properly formatted fields
+             *              or contained an invalid or non-existent application ID, an invalid decision,
+             *              an application that is not decided yet or has been withdrawn,
+             *              or a decision that was changed by another recruiter meanwhile.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'applications:revise'.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.put(
+                '/reviseDecision',
+                this.requirePermission(permissions.ApplicationsRevise),
+                check('applicationId').custom((value) => {
+                    Validators.isPositiveWholeNumber(value, 'applicationId');
+                    return true;
+                }),
+                check('decision').custom((value) => {
+                    Validators.isDecision(value, 'decision');
+                    return true;
+                }),
+                check('reason').custom((value) => {
+                    Validators.isFreeText(value, 1000, 'reason');
+                    return true;
+                }),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+
+                        const decisionDTO = await this.controller.reviseApplicationDecision(res.locals.userDTO.username,
+                            req.body.applicationId, req.body.decision, req.body.reason);
+
+                        if (decisionDTO === null) {
+                            throw new Error('Expected DecisionDTO object, received null.');
+                        }
+                        if (decisionDTO.errorCode === decisionErrorCodes.OK) {
+                            this.sendHttpResponse(res, 200, decisionDTO);
+                            return;
+                        } else if (decisionDTO.errorCode === decisionErrorCodes.NotDecided) {
+                            this.sendHttpResponse(res, 400, 'No decision has been taken for this application yet.');
+                            return;
+                        } else if (decisionDTO.errorCode === decisionErrorCodes.WithdrawnApplication) {
+                            this.sendHttpResponse(res, 400, 'The application has been withdrawn by the applicant.');
+                            return;
+                        } else if (decisionDTO.errorCode === decisionErrorCodes.InvalidDecision) {
+                            this.sendHttpResponse(res, 400, 'Invalid decision, it must differ from the current decision.');
+                            return;
+                        } else if (decisionDTO.errorCode === decisionErrorCodes.StaleVersion) {
+                            this.sendHttpResponse(res, 400, 'The decision was changed by another recruiter meanwhile, please try again.');
+                            return;
+                        } else if (decisionDTO.errorCode === decisionErrorCodes.InvalidApplication) {
+                            this.sendHttpResponse(res, 400, 'Invalid or non-existent application ID.');
+                            return;
+                        } else if (decisionDTO.errorCode === decisionErrorCodes.InvalidUsername) {
+                            this.sendHttpResponse(res, 400, 'The username is invalid.');
+                            return;
+                        } else if (decisionDTO.errorCode === decisionErrorCodes.InvalidRole) {
+                            this.sendHttpResponse(res, 400, 'The signed in user is not authorized to revise decisions on job applications.');
+                            return;
                         }
                     } catch (err) {
                         next(err);
@@ -440,6 +1338,159 @@ class JobApi extends RequestHandler {
             this.logger.logException(err);
         }
     }
+
+    // eslint-disable-next-line require-jsdoc
+    _sendApplicationChangeResponse(res, applicationDTO) {
+        if (applicationDTO === null) {
+            throw new Error('Expected ApplicationDTO object, received null.');
+        }
+        if (applicationDTO.errorCode === applicationErrorCodes.OK) {
+            this.sendHttpResponse(res, 200, applicationDTO);
+        } else if (applicationDTO.errorCode === applicationErrorCodes.InvalidID) {
+            this.sendHttpResponse(res, 400, 'Invalid or non-existent application ID.');
+        } else if (applicationDTO.errorCode === applicationErrorCodes.ExistentDecision) {
+            this.sendHttpResponse(res, 400, 'The application has already been decided or withdrawn.');
+        } else if (applicationDTO.errorCode === applicationErrorCodes.InvalidCompetence) {
+            this.sendHttpResponse(res, 400, 'One of the chosen competences is not a valid competence.');
+        } else if (applicationDTO.errorCode === applicationErrorCodes.NotOwner) {
+            this.sendHttpResponse(res, 403, 'The application belongs to another applicant.');
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _parseAttachmentUpload() {
+        const upload = multer({
+            storage: multer.memoryStorage(),
+            limits: {fileSize: this.MAX_ATTACHMENT_SIZE, files: 1},
+        }).single('file');
+
+        return (req, res, next) => {
+            upload(req, res, (err) => {
+                if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+                    this.sendHttpResponse(res, 413, 'The file is larger than 5 MB.');
+                } else if (err instanceof multer.MulterError) {
+                    this.sendHttpResponse(res, 400, 'The request must contain a single file in the file field.');
+                } else {
+                    next(err);
+                }
+            });
+        };
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _sendAttachmentResponse(res, attachmentDTO) {
+        if (attachmentDTO.errorCode === applicationErrorCodes.OK) {
+            this.sendHttpResponse(res, 200, attachmentDTO);
+        } else if (attachmentDTO.errorCode === applicationErrorCodes.InvalidAttachment) {
+            this.sendHttpResponse(res, 400, 'Invalid or non-existent attachment ID.');
+        } else if (attachmentDTO.errorCode === applicationErrorCodes.TooManyAttachments) {
+            this.sendHttpResponse(res, 400, 'The application already has the maximum number of attachments.');
+        } else if (attachmentDTO.errorCode === applicationErrorCodes.NotOwner) {
+            this.sendHttpResponse(res, 403, 'The application belongs to another applicant.');
+        } else {
+            this._sendApplicationChangeResponse(res, attachmentDTO);
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _sendNoteResponse(res, noteDTO) {
+        if (noteDTO === null) {
+            throw new Error('Expected NoteDTO object, received null.');
+        }
+        if (noteDTO.errorCode === noteErrorCodes.OK) {
+            this.sendHttpResponse(res, 200, noteDTO);
+        } else if (noteDTO.errorCode === noteErrorCodes.InvalidApplication) {
+            this.sendHttpResponse(res, 400, 'Invalid or non-existent application ID.');
+        } else if (noteDTO.errorCode === noteErrorCodes.InvalidParent) {
+            this.sendHttpResponse(res, 400, 'The replied note does not exist on this application.');
+        } else if (noteDTO.errorCode === noteErrorCodes.InvalidNote) {
+            this.sendHttpResponse(res, 400, 'Invalid, non-existent or deleted note ID.');
+        } else if (noteDTO.errorCode === noteErrorCodes.NotAuthor) {
+            this.sendHttpResponse(res, 403, 'The note was written by another recruiter.');
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _sendApplicationScoresResponse(res, applicationScoresDTO) {
+        if (applicationScoresDTO === null) {
+            throw new Error('Expected ApplicationScoresDTO object, received null.');
+        }
+        if (applicationScoresDTO.errorCode === scoreErrorCodes.OK) {
+            this.sendHttpResponse(res, 200, applicationScoresDTO);
+        } else if (applicationScoresDTO.errorCode === scoreErrorCodes.InvalidApplication) {
+            this.sendHttpResponse(res, 400, 'Invalid or non-existent application ID.');
+        } else if (applicationScoresDTO.errorCode === scoreErrorCodes.InvalidCriterion) {
+            this.sendHttpResponse(res, 400, 'One of the scored criteria does not exist.');
+        } else if (applicationScoresDTO.errorCode === scoreErrorCodes.InvalidScore) {
+            this.sendHttpResponse(res, 400, 'A score is outside the scale of its criterion.');
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _setETag(res, version) {
+        res.set('ETag', `"${version}"`);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _parseETag(header) {
+        // If-Match uses the strong comparison, so weak ETags never match.
+        const match = /^"(\d+)"$/.exec(header.trim());
+        if (match === null) {
+            return null;
+        }
+        return parseInt(match[1]);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _checkApplicationFilters() {
+        return [
+            check('decision').optional().custom((value) => {
+                [].concat(value).forEach((decision) => Validators.isApplicationStatus(decision, 'decision'));
+                return true;
+            }),
+            check('jobId').optional().custom((value) => {
+                Validators.isNonNegativeWholeNumber(value, 'jobId');
+                return true;
+            }),
+            check('minExperience').optional().custom((value) => {
+                Validators.isYearsOfExperience(value, 'minExperience');
+                return true;
+            }),
+            check('maxExperience').optional().custom((value, {req}) => {
+                Validators.isYearsOfExperience(value, 'maxExperience');
+                if (req.query.minExperience !== undefined && parseFloat(req.query.minExperience) > parseFloat(value)) {
+                    throw new Error('maxExperience should not be less than minExperience.');
+                }
+                return true;
+            }),
+        ];
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _getApplicationFilters(req) {
+        return {
+            decisions: req.query.decision,
+            jobId: req.query.jobId,
+            minExperience: req.query.minExperience,
+            maxExperience: req.query.maxExperience,
+        };
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _validateCompetences(competences) {
+        Validators.isNonEmptyArray(competences, 'competences');
+        competences.forEach((competence) => Validators.isCompetenceExperience({
+            competenceID: competence !== null && typeof competence === 'object' ? competence.competenceId : undefined,
+            yearsOfExperience: competence !== null && typeof competence === 'object' ? competence.yearsOfExperience : undefined,
+        }, 'competence'));
+        Validators.hasUniqueValues(competences.map((competence) => competence.competenceId), 'competences');
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _validateAvailabilities(availabilities) {
+        Validators.isNonEmptyArray(availabilities, 'availabilities');
+        availabilities.forEach((availability) => Validators.isAvailabilityPeriod(availability, 'availability'));
+    }
 }
 
 module.exports = JobApi;
@@ -4,6 +4,7 @@ const express = require('express');
 const Controller = require('../controller/Controller');
 const Validators = require('../util/Validators');
 const Logger = require('../util/Logger');
+const Authorization = require('./auth/Authorization');
 
 /**
  * Superclass for the request handlers.
@@ -35,6 +36,34 @@ class RequestHandler {
         this.controller = await Controller.createController();
     }
 
+    /**
+     * Creates a route middleware that only lets requests through if the signed in user
+     * is granted the specified permission. The verified user is stored in res.locals.userDTO
+     * for the following request handling functions.
+     *
+     * @param {string} permission The permission required by the route, one of the values in permissionsEnum.js.
+     * @param {boolean} allowPendingSecondFactor Whether users that still have to complete a required
+     *                                           second factor are let through, defaults to false.
+     * @return {Function} The express middleware, which sends 401 if the authentication cookie
+     *                    is missing or invalid or the user is not granted the permission.
+     */
+    requirePermission(permission, allowPendingSecondFactor = false) {
+        return async (req, res, next) => {
+            try {
+                const userDTO = await Authorization.verifyPermission(req, this.controller, permission,
+                    allowPendingSecondFactor);
+                if (userDTO === null) {
+                    this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                    return;
+                }
+                res.locals.userDTO = userDTO;
+                next();
+            } catch (err) {
+                next(err);
+            }
+        };
+    }
+
     /**
      * Sends an http response with the specified http status and body.
      * @param {Response} res The express Response object.
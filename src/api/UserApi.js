@@ -5,6 +5,7 @@ const RequestHandler = require('./RequestHandler');
 const Validators = require('../util/Validators');
 const userErrorCodes = require('../util/userErrCodes');
 const Authorization = require('./auth/Authorization');
+const permissions = require('../util/permissionsEnum');
 
 /**
  * Handles the REST API requests for the user endpoint.
@@ -47,17 +48,22 @@ class UserApi extends RequestHandler {
              * parameter username: The username is also used as display name and must be alphanumeric.
              * parameter password: The password parameter is used for the authentication process,
              *                     and must have a minimum length of eight.
+             * parameter secondFactorCode: The TOTP code or a recovery code, it is the second step of the signin
+             *                             and only needed if the user has enabled TOTP.
              * Sends   200: If the user was successfully authenticated, and returns {UserDTO}
              *         400: If the body did not contain a JSON-formatted property
              *             called 'username' and 'password'
              *             or contained malformed data in these properties.
-             *         401: If authentication failed.
+             *         401: If authentication failed, or the second factor code is missing or wrong.
+             *         429: If too many signin attempts failed for the username or the client,
+             *              the Retry-After header holds the seconds until the lockout ends.
              * throws  {Error} In case that the controller returns unexpected data.
              */
             this.router.post(
                 '/signin',
                 check('username').isAlphanumeric(),
                 check('password').isLength({min: 8}),
+                check('secondFactorCode').optional().isAlphanumeric(),
                 async (req, res, next) => {
                     try {
                         const errors = validationResult(req);
@@ -66,17 +72,32 @@ class UserApi extends RequestHandler {
                             this.sendHttpResponse(res, 400, errors);
                             return;
                         }
-                        const signedinUserDTO = await this.controller.signinUser(req.body.username, req.body.password);
+                        const signedinUserDTO = await this.controller.signinUser(req.body.username, req.body.password,
+                            req.ip, req.body.secondFactorCode);
 
                         if (signedinUserDTO === null) {
                             Authorization.clearAuthCookie(res);
                             throw new Error('Expected UserDTO object, received null.');
+                        } else if (signedinUserDTO.errorCode === userErrorCodes.LockedOut) {
+                            const retryAfter = await this.controller.getSigninRetryAfter(req.body.username, req.ip);
+                            Authorization.clearAuthCookie(res);
+                            res.set('Retry-After', retryAfter.toString());
+                            this.sendHttpResponse(res, 429, 'Too many failed signin attempts, try again later.');
+                            return;
+                        } else if (signedinUserDTO.errorCode === userErrorCodes.SecondFactorRequired) {
+                            Authorization.clearAuthCookie(res);
+                            this.sendHttpResponse(res, 401, 'Second factor code required.');
+                            return;
+                        } else if (signedinUserDTO.errorCode === userErrorCodes.InvalidSecondFactor) {
+                            Authorization.clearAuthCookie(res);
+                            this.sendHttpResponse(res, 401, 'Invalid second factor code.');
+                            return;
                         } else if (signedinUserDTO.errorCode !== userErrorCodes.OK) {
                             Authorization.clearAuthCookie(res);
                             this.sendHttpResponse(res, 401, 'User signin failed.');
                             return;
                         } else {
-                            Authorization.setAuthCookie(signedinUserDTO, res);
+                            await Authorization.startSession(signedinUserDTO, res, this.controller);
                             this.sendHttpResponse(res, 200, signedinUserDTO);
                             return;
                         }
@@ -143,7 +164,7 @@ class UserApi extends RequestHandler {
                                 this.sendHttpResponse(res, 400, 'User signup failed.');
                             }
                         } else {
-                            Authorization.setAuthCookie(signedupUserDTO, res);
+                            await Authorization.startSession(signedupUserDTO, res, this.controller);
                             this.sendHttpResponse(res, 200, signedupUserDTO);
                             return;
                         }
@@ -153,6 +174,681 @@ class UserApi extends RequestHandler {
                 },
             );
 
+            /**
+             * Provisions a new recruiter account.
+             * This endpoint requires the 'recruiters:create' permission.
+             * All the fields received in the request are validated.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter firstname The new recruiter name.
+             * parameter lastname The new recruiter surname.
+             * parameter personalNumber The personal number of the new recruiter.
+             *                          It should follow the following format YYYYMMDD-XXXX.
+             * parameter email The new recruiter email address.
+             * parameter username The username that is chosen for the new recruiter.
+             * parameter password The password that is chosen for the new recruiter.
+             *                     and must have a minimum length of eight.
+             * Sends   200: If the recruiter was successfully registered, and returns {UserDTO}
+             *         400: If the request body did not contain properly formatted fields,
+             *              or the email or username already exist.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'recruiters:create'.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/recruiters',
+                this.requirePermission(permissions.RecruitersCreate),
+                check('firstname').isAlpha(),
+                check('lastname').isAlpha(),
+                check('personalNumber').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isPersonalNumberFormat(value, 'personalNumber');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                check('email').normalizeEmail().isEmail(),
+                check('username').isAlphanumeric(),
+                check('password').isLength({min: 8}),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+
+                        const recruiterDTO = await this.controller.signupRecruiter(req.body.firstname, req.body.lastname,
+                            req.body.personalNumber, req.body.email, req.body.username, req.body.password);
+
+                        if (recruiterDTO === null) {
+                            throw new Error('Expected UserDTO object, received null.');
+                        } else if (recruiterDTO.errorCode === userErrorCodes.ExistentEmail) {
+                            this.sendHttpResponse(res, 400, 'E-Mail already exists.');
+                            return;
+                        } else if (recruiterDTO.errorCode === userErrorCodes.ExistentUsername) {
+                            this.sendHttpResponse(res, 400, 'Username already exists.');
+                            return;
+                        } else if (recruiterDTO.errorCode !== userErrorCodes.OK) {
+                            this.sendHttpResponse(res, 400, 'Recruiter signup failed.');
+                            return;
+                        } else {
+                            this.sendHttpResponse(res, 200, recruiterDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Requests a password reset. A single-use reset link is mailed to the user,
+             * the response is the same whether the email is registered or not.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter email The email address of the user that forgot the password.
+             * Sends   200: If the request was processed.
+             *         400: If the request body did not contain a properly formatted email.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/requestPasswordReset',
+                check('email').normalizeEmail().isEmail(),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+
+                        const passwordResetDTO = await this.controller.requestPasswordReset(req.body.email);
+
+                        if (passwordResetDTO === null) {
+                            throw new Error('Expected PasswordResetDTO object, received null.');
+                        }
+                        this.sendHttpResponse(res, 200, 'If the email is registered, a password reset link has been sent.');
+                        return;
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Resets the password of a user using a password reset token.
+             * Every existing session of the user is invalidated by the reset.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter token The password reset token that was mailed to the user.
+             * parameter password The new password, and must have a minimum length of eight.
+             * Sends   200: If the password was successfully reset.
+             *         400: If the request body did not contain properly formatted fields,
+             *              or the token is invalid, expired or already used.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/resetPassword',
+                check('token').isHexadecimal().isLength({min: 64, max: 64}),
+                check('password').isLength({min: 8}),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+
+                        const userDTO = await this.controller.resetPassword(req.body.token, req.body.password);
+
+                        if (userDTO === null) {
+                            throw new Error('Expected UserDTO object, received null.');
+                        } else if (userDTO.errorCode !== userErrorCodes.OK) {
+                            this.sendHttpResponse(res, 400, 'Invalid or expired password reset token.');
+                            return;
+                        } else {
+                            Authorization.clearAuthCookie(res);
+                            this.sendHttpResponse(res, 200, 'Password reset successfully.');
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Verifies the email address of a user using an email verification token.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter token The email verification token that was mailed to the user.
+             * Sends   200: If the email address was successfully verified.
+             *         400: If the request body did not contain a properly formatted token,
+             *              or the token is invalid, expired or already used.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/verifyEmail',
+                check('token').isHexadecimal().isLength({min: 64, max: 64}),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+
+                        const userDTO = await this.controller.verifyEmail(req.body.token);
+
+                        if (userDTO === null) {
+                            throw new Error('Expected UserDTO object, received null.');
+                        } else if (userDTO.errorCode !== userErrorCodes.OK) {
+                            this.sendHttpResponse(res, 400, 'Invalid or expired email verification token.');
+                            return;
+                        } else {
+                            this.sendHttpResponse(res, 200, 'Email verified successfully.');
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Sends a new email verification mail to the signed in user.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * Sends   200: If the verification mail was sent.
+             *         400: If the email address of the user is already verified.
+             *         401: If the authentication cookie was missing or invalid.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/resendVerification',
+                async (req, res, next) => {
+                    try {
+                        const userDTO = await Authorization.verifyAuthCookie(req, res, this.controller);
+                        if (userDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        }
+
+                        const emailVerificationDTO = await this.controller.sendEmailVerification(userDTO.username);
+
+                        if (emailVerificationDTO === null) {
+                            throw new Error('Expected EmailVerificationDTO object, received null.');
+                        } else if (emailVerificationDTO.errorCode === userErrorCodes.VerifiedEmail) {
+                            this.sendHttpResponse(res, 400, 'The email address is already verified.');
+                            return;
+                        } else if (emailVerificationDTO.errorCode !== userErrorCodes.OK) {
+                            this.sendHttpResponse(res, 400, 'Sending the verification mail failed.');
+                            return;
+                        } else {
+                            this.sendHttpResponse(res, 200, 'A verification mail has been sent.');
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Gets the personal data of the signed in user.
+             * This endpoint requires the 'profile:manage' permission.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * Sends   200: If the personal data was found, and returns {ProfileDTO}
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'profile:manage'.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.get(
+                '/profile',
+                this.requirePermission(permissions.ProfileManage),
+                async (req, res, next) => {
+                    try {
+                        const profileDTO = await this.controller.getProfile(res.locals.userDTO.username);
+                        if (profileDTO === null) {
+                            throw new Error('Expected ProfileDTO object, received null.');
+                        } else if (profileDTO.errorCode !== userErrorCodes.OK) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            this.sendHttpResponse(res, 200, profileDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Updates the names and the email address of the signed in user.
+             * This endpoint requires the 'profile:manage' permission.
+             * The fields are validated the same way as in the signup.
+             * A changed email address is unverified until the mailed verification link is used.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter firstname The new name of the user.
+             * parameter lastname The new surname of the user.
+             * parameter email The new email address of the user.
+             * Sends   200: If the personal data was updated, and returns {ProfileDTO}
+             *         400: If the request body did not contain properly formatted fields,
+             *              or the email address belongs to another user.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'profile:manage'.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.put(
+                '/profile',
+                this.requirePermission(permissions.ProfileManage),
+                check('firstname').isAlpha(),
+                check('lastname').isAlpha(),
+                check('email').normalizeEmail().isEmail(),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const profileDTO = await this.controller.updateProfile(res.locals.userDTO.username,
+                            req.body.firstname, req.body.lastname, req.body.email);
+
+                        if (profileDTO === null) {
+                            throw new Error('Expected ProfileDTO object, received null.');
+                        } else if (profileDTO.errorCode === userErrorCodes.ExistentEmail) {
+                            this.sendHttpResponse(res, 400, 'E-Mail already exists.');
+                            return;
+                        } else if (profileDTO.errorCode !== userErrorCodes.OK) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            this.sendHttpResponse(res, 200, profileDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Changes the password of the signed in user.
+             * This endpoint requires the 'profile:manage' permission.
+             * Every other session of the user is ended, the current session stays signed in.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter currentPassword The current password of the user.
+             * parameter newPassword The new password of the user, and must have a minimum length of eight.
+             * Sends   200: If the password was changed.
+             *         400: If the request body did not contain properly formatted fields,
+             *              or the current password is wrong.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'profile:manage'.
+             *         429: If too many attempts failed for the username or the client,
+             *              the Retry-After header holds the seconds until the lockout ends.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.put(
+                '/password',
+                this.requirePermission(permissions.ProfileManage),
+                check('currentPassword').isLength({min: 8}),
+                check('newPassword').isLength({min: 8}),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const username = res.locals.userDTO.username;
+                        const userDTO = await this.controller.changePassword(username, req.body.currentPassword,
+                            req.body.newPassword, req.ip, Authorization.getSessionID(req));
+
+                        if (userDTO === null) {
+                            throw new Error('Expected UserDTO object, received null.');
+                        } else if (userDTO.errorCode === userErrorCodes.LockedOut) {
+                            const retryAfter = await this.controller.getSigninRetryAfter(username, req.ip);
+                            res.set('Retry-After', retryAfter.toString());
+                            this.sendHttpResponse(res, 429, 'Too many failed attempts, try again later.');
+                            return;
+                        } else if (userDTO.errorCode !== userErrorCodes.OK) {
+                            this.sendHttpResponse(res, 400, 'The current password is wrong.');
+                            return;
+                        } else {
+                            this.sendHttpResponse(res, 200, 'The password has been changed.');
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Exports all the personal data that is stored about the signed in user as a JSON archive.
+             * This endpoint requires the 'personaldata:manage' permission.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * Sends   200: If the personal data was found, and returns {PersonalDataDTO}
+             *              as an attachment.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'personaldata:manage'.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.get(
+                '/personalData',
+                this.requirePermission(permissions.PersonalDataManage),
+                async (req, res, next) => {
+                    try {
+                        const username = res.locals.userDTO.username;
+                        const personalDataDTO = await this.controller.exportPersonalData(username);
+                        if (personalDataDTO === null) {
+                            throw new Error('Expected PersonalDataDTO object, received null.');
+                        } else if (personalDataDTO.errorCode !== userErrorCodes.OK) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            res.attachment(`${username}-personal-data.json`);
+                            this.sendHttpResponse(res, 200, personalDataDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Erases the account of the signed in user. The personal data is anonymized, while
+             * the applications and decisions are kept. The user is signed out.
+             * This endpoint requires the 'personaldata:manage' permission.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter password The password of the user, confirming the erasure.
+             * Sends   200: If the account was erased.
+             *         400: If the request body did not contain a properly formatted password,
+             *              or the password is wrong.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'personaldata:manage'.
+             *         429: If too many attempts failed for the username or the client,
+             *              the Retry-After header holds the seconds until the lockout ends.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/eraseAccount',
+                this.requirePermission(permissions.PersonalDataManage),
+                check('password').isLength({min: 8}),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const username = res.locals.userDTO.username;
+                        const userDTO = await this.controller.eraseAccount(username, req.body.password, req.ip);
+
+                        if (userDTO === null) {
+                            throw new Error('Expected UserDTO object, received null.');
+                        } else if (userDTO.errorCode === userErrorCodes.LockedOut) {
+                            const retryAfter = await this.controller.getSigninRetryAfter(username, req.ip);
+                            res.set('Retry-After', retryAfter.toString());
+                            this.sendHttpResponse(res, 429, 'Too many failed attempts, try again later.');
+                            return;
+                        } else if (userDTO.errorCode !== userErrorCodes.OK) {
+                            this.sendHttpResponse(res, 400, 'The password is wrong.');
+                            return;
+                        } else {
+                            Authorization.clearAuthCookie(res);
+                            this.sendHttpResponse(res, 200, 'The account has been erased.');
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Gets the two-factor authentication state of the signed in user.
+             * This endpoint requires the 'twofactor:manage' permission, a pending second factor is allowed.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * Sends   200: If the state was found, and returns {TwoFactorDTO}
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'twofactor:manage'.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.get(
+                '/twoFactor',
+                this.requirePermission(permissions.TwoFactorManage, true),
+                async (req, res, next) => {
+                    try {
+                        const twoFactorDTO = await this.controller.getTwoFactorStatus(res.locals.userDTO.username);
+                        if (twoFactorDTO === null) {
+                            throw new Error('Expected TwoFactorDTO object, received null.');
+                        } else if (twoFactorDTO.errorCode !== userErrorCodes.OK) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            this.sendHttpResponse(res, 200, twoFactorDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Starts the TOTP enrollment of the signed in user. A new secret is created,
+             * replacing the secret of any enrollment that was not confirmed.
+             * This endpoint requires the 'twofactor:manage' permission, a pending second factor is allowed.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * Sends   200: If the enrollment was started, and returns {TotpEnrollmentDTO} holding the secret
+             *              and the otpauth provisioning URI that is shown as a QR code.
+             *         400: If TOTP is already enabled.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'twofactor:manage'.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/twoFactor/enroll',
+                this.requirePermission(permissions.TwoFactorManage, true),
+                async (req, res, next) => {
+                    try {
+                        const enrollmentDTO = await this.controller.startTotpEnrollment(res.locals.userDTO.username);
+                        if (enrollmentDTO === null) {
+                            throw new Error('Expected TotpEnrollmentDTO object, received null.');
+                        } else if (enrollmentDTO.errorCode === userErrorCodes.TwoFactorEnabled) {
+                            this.sendHttpResponse(res, 400, 'Two-factor authentication is already enabled.');
+                            return;
+                        } else if (enrollmentDTO.errorCode !== userErrorCodes.OK) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
+                            return;
+                        } else {
+                            this.sendHttpResponse(res, 200, enrollmentDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Confirms the TOTP enrollment of the signed in user with a code from the authenticator,
+             * which enables TOTP. The current session completes the second factor, and the cookies are renewed.
+             * This endpoint requires the 'twofactor:manage' permission, a pending second factor is allowed.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter code The code shown by the authenticator.
+             * Sends   200: If TOTP was enabled, and returns {TotpEnrollmentDTO} holding the recovery codes,
+             *              which are only shown this once.
+             *         400: If the code is malformed or wrong, no enrollment was started, or TOTP is already enabled.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'twofactor:manage'.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/twoFactor/confirm',
+                this.requirePermission(permissions.TwoFactorManage, true),
+                check('code').isNumeric().isLength({min: 6, max: 6}),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const enrollmentDTO = await this.controller.confirmTotpEnrollment(res.locals.userDTO.username,
+                            req.body.code, Authorization.getSessionID(req));
+
+                        if (enrollmentDTO === null) {
+                            throw new Error('Expected TotpEnrollmentDTO object, received null.');
+                        } else if (enrollmentDTO.errorCode === userErrorCodes.TwoFactorEnabled) {
+                            this.sendHttpResponse(res, 400, 'Two-factor authentication is already enabled.');
+                            return;
+                        } else if (enrollmentDTO.errorCode !== userErrorCodes.OK) {
+                            this.sendHttpResponse(res, 400, 'Invalid second factor code.');
+                            return;
+                        } else {
+                            await Authorization.refreshSession(req, res, this.controller);
+                            this.sendHttpResponse(res, 200, enrollmentDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Disables TOTP for the signed in user, which requires a TOTP code or a recovery code.
+             * This endpoint requires the 'twofactor:manage' permission.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter code A TOTP code or a recovery code.
+             * Sends   200: If TOTP was disabled.
+             *         400: If the code is malformed or wrong, or the role of the user requires a second factor.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'twofactor:manage'.
+             *         429: If too many attempts failed for the username or the client,
+             *              the Retry-After header holds the seconds until the lockout ends.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/twoFactor/disable',
+                this.requirePermission(permissions.TwoFactorManage),
+                check('code').isAlphanumeric(),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const username = res.locals.userDTO.username;
+                        const twoFactorDTO = await this.controller.disableTotp(username, req.body.code, req.ip);
+
+                        if (twoFactorDTO === null) {
+                            throw new Error('Expected TwoFactorDTO object, received null.');
+                        } else if (twoFactorDTO.errorCode === userErrorCodes.LockedOut) {
+                            const retryAfter = await this.controller.getSigninRetryAfter(username, req.ip);
+                            res.set('Retry-After', retryAfter.toString());
+                            this.sendHttpResponse(res, 429, 'Too many failed attempts, try again later.');
+                            return;
+                        } else if (twoFactorDTO.errorCode === userErrorCodes.TwoFactorMandatory) {
+                            this.sendHttpResponse(res, 400, 'Two-factor authentication is mandatory for the role.');
+                            return;
+                        } else if (twoFactorDTO.errorCode !== userErrorCodes.OK) {
+                            this.sendHttpResponse(res, 400, 'Invalid second factor code.');
+                            return;
+                        } else {
+                            this.sendHttpResponse(res, 200, 'Two-factor authentication has been disabled.');
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Sets whether the users of a role must complete a second factor before using their permissions.
+             * Users of the role that have not enabled TOTP can only enroll until they have done so.
+             * This endpoint requires the 'twofactor:policy' permission.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * parameter roleID The id of the role, the role must be granted 'twofactor:manage'.
+             * parameter required Whether a second factor is required.
+             * Sends   200: If the policy of the role was updated.
+             *         400: If the request body did not contain properly formatted fields,
+             *              or the role can not enroll a second factor.
+             *         401: If authentication verification fails or the role
+             *              of the signed in user is not granted 'twofactor:policy'.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.put(
+                '/twoFactorPolicy',
+                this.requirePermission(permissions.TwoFactorPolicyManage),
+                check('roleID').custom((value) => {
+                    // This will throw an AssertionError if the validation fails
+                    Validators.isIntegerBetween(value, 1, 3, 'roleID');
+                    // Indicates the success of the custom validator check
+                    return true;
+                }),
+                check('required').custom((value) => typeof value === 'boolean'),
+                async (req, res, next) => {
+                    try {
+                        const errors = validationResult(req);
+                        if (!errors.isEmpty()) {
+                            this.sendHttpResponse(res, 400, errors);
+                            return;
+                        }
+                        const roleID = parseInt(req.body.roleID);
+                        if (!Authorization.hasPermission(roleID, permissions.TwoFactorManage)) {
+                            this.sendHttpResponse(res, 400, 'The role can not enroll a second factor.');
+                            return;
+                        }
+                        const updated = await this.controller.setTwoFactorRequired(roleID, req.body.required);
+
+                        if (updated === null) {
+                            throw new Error('Expected boolean, received null.');
+                        } else if (!updated) {
+                            this.sendHttpResponse(res, 400, 'The role does not exist.');
+                            return;
+                        } else {
+                            this.sendHttpResponse(res, 200, 'The two-factor policy has been updated.');
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
             /**
              * Checks whether a user is signed in or not, by verifying the authentication cookie.
              *
@@ -164,7 +860,7 @@ class UserApi extends RequestHandler {
                 '/checkSignin',
                 async (req, res, next) => {
                     try {
-                        const userDTO = await Authorization.verifyAuthCookie(req, res);
+                        const userDTO = await Authorization.verifyAuthCookie(req, res, this.controller);
                         if (userDTO === null) {
                             Authorization.clearAuthCookie(res);
                             this.sendHttpResponse(res, 401, 'Missing or invalid authorization cookie.');
@@ -180,15 +876,45 @@ class UserApi extends RequestHandler {
             );
 
             /**
-             * Signs out a user by clearing the authentication cookie.
+             * Refreshes the session of a user using the refresh cookie. The refresh token
+             * is rotated and a new short-lived authentication cookie is issued.
+             * Errors caused by database related issues, are handled by the
+             * {UserErrorHandler}.
+             *
+             * Sends   200: If the session was successfully refreshed, the response body
+             *              contains the signed in user info.
+             *         401: If the refresh cookie was missing or invalid, or the session
+             *              was revoked or has expired.
+             * throws  {Error} In case that the controller returns unexpected data.
+             */
+            this.router.post(
+                '/refresh',
+                async (req, res, next) => {
+                    try {
+                        const userDTO = await Authorization.refreshSession(req, res, this.controller);
+                        if (userDTO === null) {
+                            this.sendHttpResponse(res, 401, 'Missing or invalid refresh cookie.');
+                            return;
+                        } else {
+                            this.sendHttpResponse(res, 200, userDTO);
+                            return;
+                        }
+                    } catch (err) {
+                        next(err);
+                    }
+                },
+            );
+
+            /**
+             * Signs out a user by revoking the session and clearing the authentication cookies.
              *
-             * Sends   200: If the authentication cookie was successfully cleared.
+             * Sends   200: If the authentication cookies were successfully cleared.
              */
             this.router.get(
                 '/signout',
                 async (req, res, next) => {
                     try {
-                        Authorization.clearAuthCookie(res);
+                        await Authorization.endSession(req, res, this.controller);
                         this.sendHttpResponse(res, 200, 'Signed out successfully.');
                         return;
                     } catch (err) {
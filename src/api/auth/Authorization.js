@@ -1,7 +1,9 @@
 'use strict';
 
 const jwt = require('jsonwebtoken');
-const recruitmentRoles = require('../../util/rolesEnum');
+const rolePermissions = require('../../util/rolePermissions');
+const userErrorCodes = require('../../util/userErrCodes');
+const UserDTO = require('../../model/UserDTO');
 
 /**
  * Handles user authorization,
@@ -14,104 +16,205 @@ class Authorization {
         return 'recruitmentAuth';
     }
 
+    /**
+     * The refresh cookie name.
+     */
+    static get REFRESH_COOKIE_NAME() {
+        return 'recruitmentRefresh';
+    }
+
+    /**
+     * The path that the refresh cookie is sent to, it is only needed by the user endpoints.
+     */
+    static get REFRESH_COOKIE_PATH() {
+        return '/user';
+    }
+
+    /**
+     * The lifetime of the JWT token in the auth cookie, in minutes.
+     */
+    static get ACCESS_TOKEN_TTL_MINUTES() {
+        return 15;
+    }
+
     /**
      * Verifies the authentication of a user using the JWT token contained in the auth cookie.
      * The authentication cookie is also cleared in case of verification failure.
      *
      * @param {Request} req The express Request object.
      * @param {Response} res The express Response object.
+     * @param {Controller} controller The controller used to check whether the session is active.
      * @return {UserDTO | null} An object containing the username and the role of the user
      *                           or null in case of verification failure.
      */
-    static async verifyAuthCookie(req, res) {
+    static async verifyAuthCookie(req, res, controller) {
         const authCookie = req.cookies.recruitmentAuth;
         if (!authCookie) {
             return null;
         }
-        try {
-            const userDTOPayload = jwt.verify(authCookie, process.env.JWT_SECRET);
-            const userDTO = userDTOPayload.userDTO;
-            return userDTO;
-        } catch (err) {
+        const payload = await this._verifyToken(authCookie, controller);
+        if (payload === null) {
             res.clearCookie(this.AUTH_COOKIE_NAME);
             return null;
         }
+        return payload.userDTO;
     }
 
     /**
-     * Verifies the authentication and authorization level of a user using
+     * Verifies the authentication and the permissions of a user using
      * the JWT token contained in the auth cookie.
-     * For the verification to succeed, the user role MUST be 'Applicant'.
+     * For the verification to succeed, the role of the user MUST be granted
+     * the permission in rolePermissions.js, and the second factor MUST be completed
+     * in case the user is required to complete it.
      *
      * @param {Request} req The express Request object.
+     * @param {Controller} controller The controller used to check whether the session is active.
+     * @param {string} permission The required permission, one of the values in permissionsEnum.js.
+     * @param {boolean} allowPendingSecondFactor Whether a required second factor may still be pending,
+     *                                           which is only the case when setting up the second factor.
      * @return {UserDTO | null} An object containing the username and the role of the user
      *                           or null in case of verification failure.
      */
-    static async verifyApplicantAuthorization(req) {
+    static async verifyPermission(req, controller, permission, allowPendingSecondFactor = false) {
         const authCookie = req.cookies.recruitmentAuth;
         if (!authCookie) {
             return null;
         }
-        try {
-            const userDTOPayload = jwt.verify(authCookie, process.env.JWT_SECRET);
-            const userDTO = userDTOPayload.userDTO;
-            if (userDTO.roleID === recruitmentRoles.Applicant) {
-                return userDTO;
-            } else {
-                return null;
-            }
-        } catch (err) {
+        const payload = await this._verifyToken(authCookie, controller);
+        if (payload === null || !this.hasPermission(payload.userDTO.roleID, permission)) {
             return null;
         }
+        if (!allowPendingSecondFactor && payload.secondFactorRequired && !payload.secondFactorCompleted) {
+            return null;
+        }
+        return payload.userDTO;
     }
 
     /**
-     * Verifies the authentication and authorization level of a user using
-     * the JWT token contained in the auth cookie.
-     * For the verification to succeed, the user role MUST be 'Recruiter'.
+     * Gets the id of the server side session that the auth cookie references.
+     * The cookie is expected to be verified already.
      *
      * @param {Request} req The express Request object.
-     * @return {UserDTO | null} An object containing the username and the role of the user
-     *                           or null in case of verification failure.
+     * @return {number | null} The id of the session or null if the auth cookie is missing or invalid.
      */
-    static async verifyRecruiterAuthorization(req) {
+    static getSessionID(req) {
         const authCookie = req.cookies.recruitmentAuth;
         if (!authCookie) {
             return null;
         }
         try {
-            const userDTOPayload = jwt.verify(authCookie, process.env.JWT_SECRET);
-            const userDTO = userDTOPayload.userDTO;
-            if (userDTO.roleID === recruitmentRoles.Recruiter) {
-                return userDTO;
-            } else {
-                return null;
-            }
+            const payload = jwt.verify(authCookie, process.env.JWT_SECRET);
+            return payload.sid === undefined ? null : payload.sid;
         } catch (err) {
             return null;
         }
     }
 
+    /**
+     * Checks whether a role is granted a permission.
+     *
+     * @param {number} roleID The role of the user, one of the values in rolesEnum.js.
+     * @param {string} permission The permission, one of the values in permissionsEnum.js.
+     * @return {boolean} true if the role is granted the permission, false otherwise.
+     */
+    static hasPermission(roleID, permission) {
+        const grantedPermissions = rolePermissions[roleID] || [];
+        return grantedPermissions.includes(permission);
+    }
+
+    /**
+     * Starts a new server side session for the user, and sets the auth cookie
+     * and the refresh cookie of the session in the express response object.
+     *
+     * @param {UserDTO} userDTO An object containing the username and the role of the user.
+     * @param {Response} res The express Response object.
+     * @param {Controller} controller The controller used to create the session.
+     * @throws {Error} In case that the controller returns unexpected data.
+     */
+    static async startSession(userDTO, res, controller) {
+        const sessionDTO = await controller.createSession(userDTO.username);
+        if (sessionDTO === null) {
+            throw new Error('Expected SessionDTO object, received null.');
+        }
+        this.setAuthCookie(userDTO, sessionDTO, res);
+        this.setRefreshCookie(sessionDTO, res);
+    }
+
+    /**
+     * Refreshes the session referenced by the refresh cookie. The refresh token is rotated,
+     * and new auth and refresh cookies are set in the express response object.
+     * Both cookies are cleared in case the session can not be refreshed.
+     *
+     * @param {Request} req The express Request object.
+     * @param {Response} res The express Response object.
+     * @param {Controller} controller The controller used to refresh the session.
+     * @return {UserDTO | null} An object containing the username and the role of the user
+     *                           or null in case the session can not be refreshed.
+     * @throws {Error} In case that the controller returns unexpected data.
+     */
+    static async refreshSession(req, res, controller) {
+        const refreshCookie = req.cookies[this.REFRESH_COOKIE_NAME];
+        if (!refreshCookie) {
+            this.clearAuthCookie(res);
+            return null;
+        }
+        const sessionDTO = await controller.refreshSession(refreshCookie);
+        if (sessionDTO === null) {
+            throw new Error('Expected SessionDTO object, received null.');
+        }
+        if (sessionDTO.errorCode !== userErrorCodes.OK) {
+            this.clearAuthCookie(res);
+            return null;
+        }
+        const userDTO = new UserDTO(sessionDTO.username, sessionDTO.roleID, userErrorCodes.OK);
+        this.setAuthCookie(userDTO, sessionDTO, res);
+        this.setRefreshCookie(sessionDTO, res);
+        return userDTO;
+    }
+
+    /**
+     * Ends the session referenced by the refresh cookie, so that neither the auth cookie
+     * nor the refresh cookie of the session can be used anymore, and clears both cookies.
+     *
+     * @param {Request} req The express Request object.
+     * @param {Response} res The express Response object.
+     * @param {Controller} controller The controller used to revoke the session.
+     */
+    static async endSession(req, res, controller) {
+        const refreshCookie = req.cookies[this.REFRESH_COOKIE_NAME];
+        if (refreshCookie) {
+            await controller.revokeSession(refreshCookie);
+        }
+        this.clearAuthCookie(res);
+    }
 
     /**
      * Sets the auth cookie containing the signed JSON Web Token
-     * in the express response object.
+     * in the express response object. The token references the server side session,
+     * records whether the second factor was completed and whether it is required,
+     * and is only valid for ACCESS_TOKEN_TTL_MINUTES minutes.
      * Note: sameSite and secure cookie is required since the Express app
      *       is hosted on different host than the React WebApp
      *
      * @param {UserDTO} userDTO An object containing the username and the role of the user.
+     * @param {SessionDTO} sessionDTO The server side session.
      * @param {Response} res The express Response object.
      */
-    static setAuthCookie(userDTO, res) {
+    static setAuthCookie(userDTO, sessionDTO, res) {
         const httpOnlyCookie = {httpOnly: true};
-        const cookieAge = {maxAge: 7 * 24 * 60 * 60 * 1000}; // 1 Week (maxAge is in seconds, but in cookie it's in ms.)
+        const cookieAge = {maxAge: this.ACCESS_TOKEN_TTL_MINUTES * 60 * 1000}; // maxAge is in seconds, but in cookie it's in ms.
         const sameSite = {sameSite: 'None'};
         const secureCookie = {secure: true};
         const jwtToken = jwt.sign(
-            {userDTO},
+            {
+                userDTO,
+                sid: sessionDTO.sessionID,
+                secondFactorCompleted: sessionDTO.secondFactor.completed,
+                secondFactorRequired: sessionDTO.secondFactor.required,
+            },
             process.env.JWT_SECRET,
             {
-                expiresIn: '7 days',
+                expiresIn: `${this.ACCESS_TOKEN_TTL_MINUTES}m`,
             },
         );
 
@@ -125,7 +228,33 @@ class Authorization {
     }
 
     /**
-     * Clears auth cookie.
+     * Sets the refresh cookie containing the refresh token of the session
+     * in the express response object. The cookie expires together with the session.
+     * Note: sameSite and secure cookie is required since the Express app
+     *       is hosted on different host than the React WebApp
+     *
+     * @param {SessionDTO} sessionDTO The session holding the refresh token.
+     * @param {Response} res The express Response object.
+     */
+    static setRefreshCookie(sessionDTO, res) {
+        const httpOnlyCookie = {httpOnly: true};
+        const cookieExpiry = {expires: sessionDTO.expiresAt};
+        const cookiePath = {path: this.REFRESH_COOKIE_PATH};
+        const sameSite = {sameSite: 'None'};
+        const secureCookie = {secure: true};
+
+        const cookieOptions = {
+            ...httpOnlyCookie,
+            ...cookieExpiry,
+            ...cookiePath,
+            ...sameSite,
+            ...secureCookie,
+        };
+        res.cookie(this.REFRESH_COOKIE_NAME, sessionDTO.refreshToken, cookieOptions);
+    }
+
+    /**
+     * Clears the auth cookie and the refresh cookie.
      * Note: sameSite and secure cookie is required since the Express app
      *       is hosted on different host than the React WebApp
      *
@@ -143,6 +272,31 @@ class Authorization {
         };
 
         res.clearCookie(this.AUTH_COOKIE_NAME, cookieOptions);
+        res.clearCookie(this.REFRESH_COOKIE_NAME, {...cookieOptions, path: this.REFRESH_COOKIE_PATH});
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static async _verifyToken(authCookie, controller) {
+        let userDTOPayload;
+        try {
+            userDTOPayload = jwt.verify(authCookie, process.env.JWT_SECRET);
+        } catch (err) {
+            return null;
+        }
+        if (await this._isRevoked(userDTOPayload, controller)) {
+            return null;
+        }
+        return userDTOPayload;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static async _isRevoked(userDTOPayload, controller) {
+        if (userDTOPayload.sid === undefined) {
+            return true;
+        }
+        const active = await controller.isSessionActive(userDTOPayload.sid);
+        // A failed session check is treated as a revoked session.
+        return active !== true;
     }
 }
 
@@ -1,10 +1,29 @@
 'use strict';
 
+const crypto = require('crypto');
 const RecruitmentDAO = require('../integration/RecruitmentDAO');
 const SignupDTO = require('../model/SignupDTO');
+const ProfileUpdateDTO = require('../model/ProfileUpdateDTO');
 const ApplicationInfoDTO = require('../model/ApplicationInfoDTO');
+const ApplicationUpdateDTO = require('../model/ApplicationUpdateDTO');
 const ApplicationFilterDTO = require('../model/ApplicationFilterDTO');
 const filterEmptyParamEnum = require('../util/filterEmptyParamEnum');
+const applicationSortEnum = require('../util/applicationSortEnum');
+const sortOrderEnum = require('../util/sortOrderEnum');
+const cursorDirectionEnum = require('../util/cursorDirectionEnum');
+const ApplicationCursor = require('../util/ApplicationCursor');
+const applicationPageSizeEnum = require('../util/applicationPageSizeEnum');
+const bulkDecisionModeEnum = require('../util/bulkDecisionModeEnum');
+const OutboxMailTransport = require('../integration/mail/OutboxMailTransport');
+const MailDTO = require('../model/MailDTO');
+const userErrorCodes = require('../util/userErrCodes');
+const recruitmentRoles = require('../util/rolesEnum');
+const UserDTO = require('../model/UserDTO');
+const TwoFactorDTO = require('../model/TwoFactorDTO');
+const DatabaseLoginAttemptStore = require('../integration/attempts/DatabaseLoginAttemptStore');
+const LocalAttachmentStorage = require('../integration/storage/LocalAttachmentStorage');
+const applicationErrorCodes = require('../util/applicationErrorCodes');
+const LoginThrottle = require('./LoginThrottle');
 
 /**
  * The application's controller.
@@ -14,9 +33,19 @@ class Controller {
     /**
      * Constructs an instance of {Controller}.
      * Also creates an instance of the {RecruitmentDAO}.
+     *
+     * @param {MailTransport} mailTransport The transport used to deliver mails,
+     *                                      defaults to the {OutboxMailTransport}.
+     * @param {LoginAttemptStore} loginAttemptStore The store that keeps track of failed signin attempts,
+     *                                              defaults to the {DatabaseLoginAttemptStore}.
+     * @param {AttachmentStorage} attachmentStorage The storage that keeps the files attached to applications,
+     *                                              defaults to the {LocalAttachmentStorage}.
      */
-    constructor() {
+    constructor(mailTransport, loginAttemptStore, attachmentStorage) {
         this.recruitmentDAO = new RecruitmentDAO();
+        this.mailTransport = mailTransport || new OutboxMailTransport();
+        this.loginThrottle = new LoginThrottle(loginAttemptStore || new DatabaseLoginAttemptStore(this.recruitmentDAO));
+        this.attachmentStorage = attachmentStorage || new LocalAttachmentStorage();
     }
 
     /**
@@ -24,10 +53,16 @@ class Controller {
      * and establishes a connection to the database,
      * and returns the newly created instance of the controller.
      *
+     * @param {MailTransport} mailTransport The transport used to deliver mails,
+     *                                      defaults to the {OutboxMailTransport}.
+     * @param {LoginAttemptStore} loginAttemptStore The store that keeps track of failed signin attempts,
+     *                                              defaults to the {DatabaseLoginAttemptStore}.
+     * @param {AttachmentStorage} attachmentStorage The storage that keeps the files attached to applications,
+     *                                              defaults to the {LocalAttachmentStorage}.
      * @return {Controller} The newly created controller.
      */
-    static async createController() {
-        const controller = new Controller();
+    static async createController(mailTransport, loginAttemptStore, attachmentStorage) {
+        const controller = new Controller(mailTransport, loginAttemptStore, attachmentStorage);
         await controller.recruitmentDAO.establishConnection();
         return controller;
     }
@@ -36,21 +71,71 @@ class Controller {
      * Signs in a user. This method issues a call to the signinUser method in the {RecruitmentDAO},
      * which either returns a {UserDTO} with the result of the authentication or null in case of an error
      * while contacting the database.
+     * Failed attempts are tracked per username and client IP address, and once too many attempts
+     * have failed the signin is locked out without checking the password.
+     * Users that have enabled TOTP must also give a TOTP code or a recovery code as the second factor,
+     * wrong codes count as failed attempts.
      *
      * @param {string} username The username of the user that is signing in.
      * @param {string} password The password of the user that is signing in.
-     * @return {UserDTO|null} The signed in user's UserDTO or null in case an error
-     *                         while contacting the database.
+     * @param {string} clientIP The IP address of the client that is signing in.
+     * @param {string} secondFactorCode The TOTP code or recovery code, if the user has enabled TOTP.
+     * @return {UserDTO|null} The signed in user's UserDTO, with the LockedOut error code in case of a lockout,
+     *                         the SecondFactorRequired error code in case the code is missing,
+     *                         the InvalidSecondFactor error code in case the code is wrong,
+     *                         or null in case an error while contacting the database.
      */
-    async signinUser(username, password) {
+    async signinUser(username, password, clientIP, secondFactorCode) {
+        const retryAfter = await this.loginThrottle.getRetryAfter(username, clientIP);
+        if (retryAfter > 0) {
+            return new UserDTO(username, recruitmentRoles.Invalid, userErrorCodes.LockedOut);
+        }
+
         const userDTO = await this.recruitmentDAO.signinUser(username, password);
+        if (userDTO !== null && userDTO.errorCode === userErrorCodes.LoginFailure) {
+            await this.loginThrottle.recordFailure(username, clientIP);
+            return userDTO;
+        } else if (userDTO === null || userDTO.errorCode !== userErrorCodes.OK) {
+            return userDTO;
+        }
+
+        const twoFactorDTO = await this.recruitmentDAO.getTwoFactorStatus(username);
+        if (twoFactorDTO === null) {
+            return null;
+        }
+        if (twoFactorDTO.enabled) {
+            if (!secondFactorCode) {
+                return new UserDTO(username, recruitmentRoles.Invalid, userErrorCodes.SecondFactorRequired);
+            }
+            const verified = await this.recruitmentDAO.verifySecondFactor(username, secondFactorCode);
+            if (verified === null) {
+                return null;
+            } else if (!verified) {
+                await this.loginThrottle.recordFailure(username, clientIP);
+                return new UserDTO(username, recruitmentRoles.Invalid, userErrorCodes.InvalidSecondFactor);
+            }
+        }
+
+        await this.loginThrottle.recordSuccess(username);
         return userDTO;
     }
 
+    /**
+     * Gets the number of seconds until a locked out signin may be attempted again.
+     *
+     * @param {string} username The username of the user that is signing in.
+     * @param {string} clientIP The IP address of the client that is signing in.
+     * @return {number} The seconds until the lockout ends, or 0 if there is no lockout.
+     */
+    async getSigninRetryAfter(username, clientIP) {
+        const retryAfter = await this.loginThrottle.getRetryAfter(username, clientIP);
+        return retryAfter;
+    }
+
     /**
      * Signs up a user. This method issues a call to the signupUser method in the {RecruitmentDAO},
      * which either returns a {UserDTO} with the result of the authentication or null in case of an error
-     * while contacting the database.
+     * while contacting the database. A verification mail is sent to the new user's email address.
      *
      * @param {String} firstName The new user name.
      * @param {String} lastName The new user surname.
@@ -65,6 +150,318 @@ class Controller {
     async signupUser(firstName, lastName, personalNumber, email, username, password) {
         const signupDTO = new SignupDTO(firstName, lastName, personalNumber, email, username, password);
         const userDTO = await this.recruitmentDAO.signupUser(signupDTO);
+        if (userDTO !== null && userDTO.errorCode === userErrorCodes.OK) {
+            await this.sendEmailVerification(userDTO.username);
+        }
+        return userDTO;
+    }
+
+    /**
+     * Sends a mail with a single-use verification token to the current email address of a user,
+     * unless the email address is already verified.
+     *
+     * @param {String} username The username of the user whose email is verified.
+     * @return {EmailVerificationDTO | null} The result of the verification request or null in case of an error
+     *                                       while contacting the database.
+     */
+    async sendEmailVerification(username) {
+        const emailVerificationDTO = await this.recruitmentDAO.createEmailVerificationToken(username);
+        if (emailVerificationDTO !== null && emailVerificationDTO.errorCode === userErrorCodes.OK) {
+            await this.mailTransport.send(this._createEmailVerificationMail(emailVerificationDTO));
+        }
+        return emailVerificationDTO;
+    }
+
+    /**
+     * Verifies the email address of a user using an email verification token.
+     *
+     * @param {String} token The email verification token that was mailed to the user.
+     * @return {UserDTO | null} The user whose email was verified or null in case of an error
+     *                         while contacting the database.
+     */
+    async verifyEmail(token) {
+        const userDTO = await this.recruitmentDAO.verifyEmail(token);
+        return userDTO;
+    }
+
+    /**
+     * Signs up a recruiter on behalf of an administrator. This method issues a call to the signupRecruiter method
+     * in the {RecruitmentDAO}, which either returns a {UserDTO} with the result of the registration or null
+     * in case of an error while contacting the database.
+     *
+     * @param {String} firstName The new recruiter name.
+     * @param {String} lastName The new recruiter surname.
+     * @param {String} personalNumber The personal number of the new recruiter.
+     *                                It should follow the following format YYYYMMDD-XXXX.
+     * @param {String} email The new recruiter email address.
+     * @param {String} username The username that is chosen for the new recruiter.
+     * @param {String} password The password that is chosen for the new recruiter.
+     * @return {UserDTO | null} The signed up recruiter's UserDTO or null in case of an error
+     *                         while contacting the database.
+     */
+    async signupRecruiter(firstName, lastName, personalNumber, email, username, password) {
+        const signupDTO = new SignupDTO(firstName, lastName, personalNumber, email, username, password);
+        const userDTO = await this.recruitmentDAO.signupRecruiter(signupDTO);
+        return userDTO;
+    }
+
+    /**
+     * Requests a password reset for the user with the specified email. A single-use reset token is
+     * created by the {RecruitmentDAO} and mailed to the user through the mail transport.
+     *
+     * @param {String} email The email address of the user that forgot the password.
+     * @return {PasswordResetDTO | null} The result of the reset request or null in case of an error
+     *                                   while contacting the database.
+     */
+    async requestPasswordReset(email) {
+        const passwordResetDTO = await this.recruitmentDAO.createPasswordResetToken(email);
+        if (passwordResetDTO !== null && passwordResetDTO.errorCode === userErrorCodes.OK) {
+            await this.mailTransport.send(this._createPasswordResetMail(passwordResetDTO));
+        }
+        return passwordResetDTO;
+    }
+
+    /**
+     * Resets the password of a user using a password reset token.
+     * The existing sessions of the user are revoked by the password change.
+     *
+     * @param {String} token The password reset token that was mailed to the user.
+     * @param {String} password The new password of the user.
+     * @return {UserDTO | null} The user whose password was reset or null in case of an error
+     *                         while contacting the database.
+     */
+    async resetPassword(token, password) {
+        const userDTO = await this.recruitmentDAO.resetPassword(token, password);
+        return userDTO;
+    }
+
+    /**
+     * Creates a new server side session for a signed in user.
+     *
+     * @param {String} username The username of the user that signed in.
+     * @return {SessionDTO | null} The new session or null in case of an error
+     *                             while contacting the database.
+     */
+    async createSession(username) {
+        const sessionDTO = await this.recruitmentDAO.createSession(username);
+        return sessionDTO;
+    }
+
+    /**
+     * Refreshes a session by rotating its refresh token.
+     *
+     * @param {String} refreshToken The current refresh token of the session.
+     * @return {SessionDTO | null} The session with its new refresh token or null in case of an error
+     *                             while contacting the database.
+     */
+    async refreshSession(refreshToken) {
+        const sessionDTO = await this.recruitmentDAO.refreshSession(refreshToken);
+        return sessionDTO;
+    }
+
+    /**
+     * Checks whether a session is active, that is it exists and is neither revoked nor expired.
+     *
+     * @param {number} sessionID The id of the session.
+     * @return {boolean | null} true if the session is active, false otherwise or null in case of an error
+     *                          while contacting the database.
+     */
+    async isSessionActive(sessionID) {
+        const active = await this.recruitmentDAO.isSessionActive(sessionID);
+        return active;
+    }
+
+    /**
+     * Revokes the session that a refresh token belongs to.
+     *
+     * @param {String} refreshToken The current refresh token of the session.
+     * @return {boolean | null} true if a session was revoked, false otherwise or null in case of an error
+     *                          while contacting the database.
+     */
+    async revokeSession(refreshToken) {
+        const revoked = await this.recruitmentDAO.revokeSession(refreshToken);
+        return revoked;
+    }
+
+    /**
+     * Gets the personal data of a user.
+     *
+     * @param {String} username The username of the signed in user.
+     * @return {ProfileDTO | null} The personal data of the user or null in case of an error
+     *                             while contacting the database.
+     */
+    async getProfile(username) {
+        const profileDTO = await this.recruitmentDAO.getProfile(username);
+        return profileDTO;
+    }
+
+    /**
+     * Updates the names and the email address of a user.
+     * When the email address changes it has to be verified again, so a verification mail is sent to the new address.
+     *
+     * @param {String} username The username of the signed in user.
+     * @param {String} firstName The new name of the user.
+     * @param {String} lastName The new surname of the user.
+     * @param {String} email The new email address of the user.
+     * @return {ProfileDTO | null} The updated personal data of the user or null in case of an error
+     *                             while contacting the database.
+     */
+    async updateProfile(username, firstName, lastName, email) {
+        const profileUpdateDTO = new ProfileUpdateDTO(username, firstName, lastName, email);
+        const profileDTO = await this.recruitmentDAO.updateProfile(profileUpdateDTO);
+        if (profileDTO !== null && profileDTO.errorCode === userErrorCodes.OK && !profileDTO.emailVerified) {
+            await this.sendEmailVerification(profileDTO.username);
+        }
+        return profileDTO;
+    }
+
+    /**
+     * Changes the password of a signed in user. The current password is checked the same way as a signin,
+     * so failed attempts count towards the signin lockout. Every session except the current one is ended.
+     *
+     * @param {String} username The username of the signed in user.
+     * @param {String} currentPassword The current password of the user.
+     * @param {String} newPassword The new password of the user.
+     * @param {String} clientIP The IP address of the client that changes the password.
+     * @param {number} sessionID The id of the session that the password is changed in.
+     * @return {UserDTO | null} The user whose password was changed, with the LoginFailure error code if the
+     *                          current password is wrong or the LockedOut error code in case of a lockout,
+     *                          or null in case of an error while contacting the database.
+     */
+    async changePassword(username, currentPassword, newPassword, clientIP, sessionID) {
+        const retryAfter = await this.loginThrottle.getRetryAfter(username, clientIP);
+        if (retryAfter > 0) {
+            return new UserDTO(username, recruitmentRoles.Invalid, userErrorCodes.LockedOut);
+        }
+
+        const userDTO = await this.recruitmentDAO.changePassword(username, currentPassword, newPassword, sessionID);
+        if (userDTO !== null && userDTO.errorCode === userErrorCodes.LoginFailure) {
+            await this.loginThrottle.recordFailure(username, clientIP);
+        } else if (userDTO !== null && userDTO.errorCode === userErrorCodes.OK) {
+            await this.loginThrottle.recordSuccess(username);
+        }
+        return userDTO;
+    }
+
+    /**
+     * Gets the two-factor authentication state of a user.
+     *
+     * @param {String} username The username of the signed in user.
+     * @return {TwoFactorDTO | null} Whether TOTP is enabled and whether a second factor is required,
+     *                               or null in case of an error while contacting the database.
+     */
+    async getTwoFactorStatus(username) {
+        const twoFactorDTO = await this.recruitmentDAO.getTwoFactorStatus(username);
+        return twoFactorDTO;
+    }
+
+    /**
+     * Starts the TOTP enrollment of a user, by creating a new secret that is shown to the user as a QR code.
+     *
+     * @param {String} username The username of the signed in user.
+     * @return {TotpEnrollmentDTO | null} The new secret and its provisioning URI or null in case of an error
+     *                                    while contacting the database.
+     */
+    async startTotpEnrollment(username) {
+        const totpEnrollmentDTO = await this.recruitmentDAO.startTotpEnrollment(username);
+        return totpEnrollmentDTO;
+    }
+
+    /**
+     * Confirms the TOTP enrollment of a user with a code from the authenticator, which enables TOTP.
+     *
+     * @param {String} username The username of the signed in user.
+     * @param {String} code The code shown by the authenticator.
+     * @param {number} sessionID The id of the session that the enrollment is confirmed in.
+     * @return {TotpEnrollmentDTO | null} The recovery codes of the user or null in case of an error
+     *                                    while contacting the database.
+     */
+    async confirmTotpEnrollment(username, code, sessionID) {
+        const totpEnrollmentDTO = await this.recruitmentDAO.confirmTotpEnrollment(username, code, sessionID);
+        return totpEnrollmentDTO;
+    }
+
+    /**
+     * Disables TOTP for a user, which requires a TOTP code or a recovery code.
+     * Wrong codes count towards the signin lockout.
+     *
+     * @param {String} username The username of the signed in user.
+     * @param {String} code A TOTP code or a recovery code.
+     * @param {String} clientIP The IP address of the client that disables TOTP.
+     * @return {TwoFactorDTO | null} The two-factor authentication state of the user, with the LockedOut
+     *                               error code in case of a lockout, or null in case of an error
+     *                               while contacting the database.
+     */
+    async disableTotp(username, code, clientIP) {
+        const retryAfter = await this.loginThrottle.getRetryAfter(username, clientIP);
+        if (retryAfter > 0) {
+            return new TwoFactorDTO(username, true, true, userErrorCodes.LockedOut);
+        }
+
+        const twoFactorDTO = await this.recruitmentDAO.disableTotp(username, code);
+        if (twoFactorDTO !== null && twoFactorDTO.errorCode === userErrorCodes.InvalidSecondFactor) {
+            await this.loginThrottle.recordFailure(username, clientIP);
+        }
+        return twoFactorDTO;
+    }
+
+    /**
+     * Sets whether the users of a role must complete a second factor before using their permissions.
+     *
+     * @param {number} roleID The id of the role, one of the values in rolesEnum.js.
+     * @param {boolean} required Whether a second factor is required.
+     * @return {boolean | null} true if the role was updated, false in case the role does not exist,
+     *                          or null in case of an error while contacting the database.
+     */
+    async setTwoFactorRequired(roleID, required) {
+        const updated = await this.recruitmentDAO.setTwoFactorRequired(roleID, required);
+        return updated;
+    }
+
+    /**
+     * Gets all the personal data that is stored about a user.
+     *
+     * @param {String} username The username of the signed in user.
+     * @return {PersonalDataDTO | null} The personal data of the user or null in case of an error
+     *                                  while contacting the database.
+     */
+    async exportPersonalData(username) {
+        const personalDataDTO = await this.recruitmentDAO.exportPersonalData(username);
+        return personalDataDTO;
+    }
+
+    /**
+     * Erases the account of a user by anonymizing the personal data. The password confirms the erasure,
+     * failed attempts count towards the signin lockout. The files that the user has attached to
+     * applications are removed from the attachment storage once the erasure has succeeded.
+     *
+     * @param {String} username The username of the signed in user.
+     * @param {String} password The password of the user.
+     * @param {String} clientIP The IP address of the client that erases the account.
+     * @return {UserDTO | null} The erased user, with the LoginFailure error code if the password is wrong
+     *                          or the LockedOut error code in case of a lockout,
+     *                          or null in case of an error while contacting the database.
+     */
+    async eraseAccount(username, password, clientIP) {
+        const retryAfter = await this.loginThrottle.getRetryAfter(username, clientIP);
+        if (retryAfter > 0) {
+            return new UserDTO(username, recruitmentRoles.Invalid, userErrorCodes.LockedOut);
+        }
+
+        const storageKeys = await this.recruitmentDAO.getAttachmentStorageKeys(username);
+        if (storageKeys === null) {
+            return null;
+        }
+
+        const userDTO = await this.recruitmentDAO.eraseAccount(username, password);
+        if (userDTO !== null && userDTO.errorCode === userErrorCodes.LoginFailure) {
+            await this.loginThrottle.recordFailure(username, clientIP);
+        } else if (userDTO !== null && userDTO.errorCode === userErrorCodes.OK) {
+            await this.loginThrottle.recordSuccess(username);
+            for (const storageKey of storageKeys) {
+                await this.attachmentStorage.remove(storageKey);
+            }
+        }
         return userDTO;
     }
 
@@ -87,16 +484,14 @@ class Controller {
      * or null in case of an error while contacting the database.
      *
      * @param {string} username The username of the applicant.
-     * @param {number} competenceId The competence id.
-     * @param {number} yearsOfExperience The years of experience in the specified competence.
-     * @param {string} dateFrom The availability date range start.
-     * @param {string} dateTo The availability date range end.
+     * @param {[{competenceId, yearsOfExperience}]} competences The competences with the years of experience in each.
+     * @param {[{dateFrom, dateTo}]} availabilities The availability date ranges.
      * @return {RegistrationDTO | null} The application registration result {RegistrationDTO} or null
      *                                   in case of an error while contacting the database.
      */
-    async registerApplication(username, competenceId, yearsOfExperience, dateFrom, dateTo) {
-        const applicationInfoDTO = new ApplicationInfoDTO(username, competenceId, yearsOfExperience,
-            dateFrom, dateTo);
+    async registerApplication(username, competences, availabilities) {
+        const applicationInfoDTO = new ApplicationInfoDTO(username, this._createCompetenceExperiences(competences),
+            this._createAvailabilityPeriods(availabilities));
         const registrationDTO = await this.recruitmentDAO.registerNewApplication(applicationInfoDTO);
 
         return registrationDTO;
@@ -105,22 +500,38 @@ class Controller {
 
     /**
      * Gets a list of existing job applications,
-     * Supports filtering and paging, where each page contains 25 applications.
+     * Supports filtering and paging, where each page contains 25 applications unless another page size is requested.
      * returns an {ApplicationsListDTO} that contains information about the registered applications
      * or null in case of an error while contacting the database.
      *
-     * @param {string} name The requested first or last name, can be '' in order to ignore the filter by name option.
+     * @param {string} name A part of the requested full name, case and accents are ignored,
+     *                      can be '' in order to ignore the filter by name option.
      * @param {number} competenceId The competence id and must be a positive whole number.
      * @param {string} dateFrom The availability start date and must follow the format (YYYY-MM-DD),
      *                          can be '' in order to ignore the filter by availability start date option.
      * @param {string} dateTo The availability end date and must follow the format (YYYY-MM-DD),
      *                        can be '' in order to ignore the filter by availability end date option.
      * @param {number} page The requested page and must be a non-negative whole number (0 to show all applications).
-     * @return {ApplicationsListDTO | null} The applications list result {ApplicationsListDTO} or null
-     *                                       in case of an error while contacting the database.
+     * @param {number} pageSize Optional, how many applications each page contains, between 1 and 100.
+     * @param {boolean} hideWithdrawn Whether the withdrawn applications are left out of the list.
+     * @param {string} sortBy Optional, what the applications are ordered by, one of the values in applicationSortEnum.js,
+     *                        the applications are ordered by their id otherwise.
+     * @param {string} sortOrder Optional, 'asc' or 'desc', the default is descending for the average score
+     *                           and ascending for everything else.
+     * @param {{decisions, jobId, minExperience, maxExperience}} filters The optional filters, the decisions that the
+     *                                       applications have, the job that they have a competence of, and the least and
+     *                                       most years of experience in a competence that matches the other filters.
+     * @param {string} cursor Optional, a cursor from an earlier list in order to page by cursor instead of page number,
+     *                        or '' for the first page. The cursor keeps the sort and order that it was created with,
+     *                        and can only be used with the filters that it was created with.
+     * @return {ApplicationsListDTO | null} The applications list result {ApplicationsListDTO}, with the error code
+     *                                       InvalidCursor in case the cursor was created with other filters,
+     *                                       or null in case of an error while contacting the database.
      */
-    async listApplications(name, competenceId, dateFrom, dateTo, page) {
-        const applicationFilterDTO = await this._createApplicationFilterDTO(name, competenceId, dateFrom, dateTo, page);
+    async listApplications(name, competenceId, dateFrom, dateTo, page, pageSize, hideWithdrawn, sortBy, sortOrder,
+        filters, cursor) {
+        const applicationFilterDTO = await this._createApplicationFilterDTO(name, competenceId, dateFrom, dateTo, page,
+            pageSize, hideWithdrawn, sortBy, sortOrder, filters, cursor);
         const applicationsListDTO = await this.recruitmentDAO.getApplicationsList(applicationFilterDTO);
 
         return applicationsListDTO;
@@ -128,25 +539,121 @@ class Controller {
 
     /**
      * Gets the job applications total page count.
-     * Supports filtering, each page shall contain 25 applications.
+     * Supports filtering, each page shall contain 25 applications unless another page size is requested.
      * returns a {number} that contains the total job applications page count
      * for the specified filter options or null in case of an error while contacting the database.
      *
-     * @param {string} name The requested first or last name, can be '' in order to ignore the filter by name option.
+     * @param {string} name A part of the requested full name, case and accents are ignored,
+     *                      can be '' in order to ignore the filter by name option.
      * @param {number} competenceId The competence id and must be a positive whole number.
      * @param {string} dateFrom The availability start date and must follow the format (YYYY-MM-DD),
      *                          can be '' in order to ignore the filter by availability start date option.
      * @param {string} dateTo The availability end date and must follow the format (YYYY-MM-DD),
      *                        can be '' in order to ignore the filter by availability end date option.
+     * @param {number} pageSize Optional, how many applications each page contains, between 1 and 100.
+     * @param {boolean} hideWithdrawn Whether the withdrawn applications are left out of the count.
+     * @param {{decisions, jobId, minExperience, maxExperience}} filters The optional filters, the same as in listApplications.
      * @return {number | null} The total job applications page count or null
      *                          in case of an error while contacting the database.
      */
-    async getApplicationsPageCount(name, competenceId, dateFrom, dateTo) {
-        const applicationFilterDTO = await this._createApplicationFilterDTO(name, competenceId, dateFrom, dateTo, 0);
+    async getApplicationsPageCount(name, competenceId, dateFrom, dateTo, pageSize, hideWithdrawn, filters) {
+        const applicationFilterDTO = await this._createApplicationFilterDTO(name, competenceId, dateFrom, dateTo, 0,
+            pageSize, hideWithdrawn, undefined, undefined, filters);
         const pageCount = await this.recruitmentDAO.getPageCount(applicationFilterDTO);
         return pageCount;
     }
 
+    /**
+     * Gets the applications that a user has registered, and the current decision of each one.
+     *
+     * @param {String} username The username of the signed in applicant.
+     * @return {[ApplicationDTO] | null} The applications of the user or null
+     *                                   in case of an error while contacting the database.
+     */
+    async getOwnApplications(username) {
+        const applications = await this.recruitmentDAO.getOwnApplications(username);
+        return applications;
+    }
+
+    /**
+     * Replaces the competences and the availability periods of an application,
+     * as long as the application belongs to the applicant and is still Unhandled.
+     *
+     * @param {String} username The username of the signed in applicant.
+     * @param {number} applicationId The application's ID, must be a positive integer.
+     * @param {[{competenceId, yearsOfExperience}]} competences The new competences with the years of experience in each.
+     * @param {[{dateFrom, dateTo}]} availabilities The new availability date ranges.
+     * @return {ApplicationDTO | null} The updated application or null
+     *                                 in case of an error while contacting the database.
+     */
+    async updateApplication(username, applicationId, competences, availabilities) {
+        const applicationUpdateDTO = new ApplicationUpdateDTO(username, parseInt(applicationId),
+            this._createCompetenceExperiences(competences), this._createAvailabilityPeriods(availabilities));
+        const applicationDTO = await this.recruitmentDAO.updateApplication(applicationUpdateDTO);
+        return applicationDTO;
+    }
+
+    /**
+     * Attaches a file to an application, as long as the application belongs to the applicant and is still Unhandled.
+     * The content is written to the attachment storage under a random storage key before the metadata is
+     * registered, and removed again in case the attachment is rejected.
+     *
+     * @param {String} username The username of the signed in applicant.
+     * @param {number} applicationId The application's ID, must be a positive integer.
+     * @param {{originalname, mimetype, size, buffer}} file The uploaded file.
+     * @param {String} category What the file is, one of the categories in attachmentCategoriesEnum.js.
+     * @return {AttachmentDTO | null} The metadata of the attachment or null
+     *                                in case of an error while contacting the database.
+     */
+    async uploadAttachment(username, applicationId, file, category) {
+        const storageKey = crypto.randomBytes(16).toString('hex');
+        await this.attachmentStorage.save(storageKey, file.buffer);
+
+        const attachmentDTO = await this.recruitmentDAO.addApplicationAttachment(username, parseInt(applicationId),
+            storageKey, file.originalname, file.mimetype, file.size, category);
+        if (attachmentDTO === null || attachmentDTO.errorCode !== applicationErrorCodes.OK) {
+            await this.attachmentStorage.remove(storageKey);
+        }
+        return attachmentDTO;
+    }
+
+    /**
+     * Gets a file that is attached to an application, together with its metadata.
+     *
+     * @param {String} username The username of the signed in user.
+     * @param {number} attachmentId The attachment's ID, must be a positive integer.
+     * @param {boolean} canReadAll Whether the user can read the attachments of all the applications,
+     *                             otherwise only the attachments of the user's own applications can be read.
+     * @return {{attachmentDTO, content} | null} The metadata of the attachment and the content of the file,
+     *                                           the content is null in case the attachment can not be read,
+     *                                           or null in case of an error while contacting the database.
+     */
+    async getAttachment(username, attachmentId, canReadAll) {
+        const attachment = await this.recruitmentDAO.getAttachment(username, parseInt(attachmentId), canReadAll);
+        if (attachment === null) {
+            return null;
+        }
+
+        let content = null;
+        if (attachment.storageKey !== null) {
+            content = await this.attachmentStorage.read(attachment.storageKey);
+        }
+        return {attachmentDTO: attachment.attachmentDTO, content: content};
+    }
+
+    /**
+     * Withdraws an application, as long as the application belongs to the applicant and is still Unhandled.
+     *
+     * @param {String} username The username of the signed in applicant.
+     * @param {number} applicationId The application's ID, must be a positive integer.
+     * @return {ApplicationDTO | null} The withdrawn application or null
+     *                                 in case of an error while contacting the database.
+     */
+    async withdrawApplication(username, applicationId) {
+        const applicationDTO = await this.recruitmentDAO.withdrawApplication(username, parseInt(applicationId));
+        return applicationDTO;
+    }
+
     /**
      * Gets detailed information regarding a specific job application.
      *
@@ -159,6 +666,126 @@ class Controller {
         return applicationDTO;
     }
 
+    /**
+     * Gets the history of the status changes of a specific job application,
+     * with who made each change and when.
+     *
+     * @param {number} applicationId The requested application's ID, must be a positive integer.
+     * @return {DecisionHistoryDTO | null} The status changes of the application or null
+     *                                     in case of an error while contacting the database.
+     */
+    async getDecisionHistory(applicationId) {
+        const decisionHistoryDTO = await this.recruitmentDAO.getDecisionHistory(parseInt(applicationId));
+        return decisionHistoryDTO;
+    }
+
+
+    /**
+     * Gets the notes that recruiters have written on a specific job application, as threads of replies.
+     *
+     * @param {number} applicationId The requested application's ID, must be a positive integer.
+     * @return {ApplicationNotesDTO | null} The notes on the application or null
+     *                                      in case of an error while contacting the database.
+     */
+    async getApplicationNotes(applicationId) {
+        const applicationNotesDTO = await this.recruitmentDAO.getApplicationNotes(parseInt(applicationId));
+        return applicationNotesDTO;
+    }
+
+    /**
+     * Writes a note on a specific job application.
+     *
+     * @param {string} username The username of the recruiter writing the note.
+     * @param {number} applicationId The application's ID, must be a positive integer.
+     * @param {number | undefined} parentId The ID of the note that is replied to, undefined to start a new thread.
+     * @param {string} text The text of the note.
+     * @return {NoteDTO | null} The new note or null in case of an error while contacting the database.
+     */
+    async addApplicationNote(username, applicationId, parentId, text) {
+        const noteDTO = await this.recruitmentDAO.addApplicationNote(username, parseInt(applicationId),
+            parentId === undefined ? null : parseInt(parentId), text.trim());
+        return noteDTO;
+    }
+
+    /**
+     * Edits the text of a note that the recruiter has written.
+     *
+     * @param {string} username The username of the recruiter editing the note.
+     * @param {number} noteId The note's ID, must be a positive integer.
+     * @param {string} text The new text of the note.
+     * @return {NoteDTO | null} The edited note or null in case of an error while contacting the database.
+     */
+    async editApplicationNote(username, noteId, text) {
+        const noteDTO = await this.recruitmentDAO.editApplicationNote(username, parseInt(noteId), text.trim());
+        return noteDTO;
+    }
+
+    /**
+     * Deletes a note that the recruiter has written, the replies to the note are kept.
+     *
+     * @param {string} username The username of the recruiter deleting the note.
+     * @param {number} noteId The note's ID, must be a positive integer.
+     * @return {NoteDTO | null} The deleted note or null in case of an error while contacting the database.
+     */
+    async deleteApplicationNote(username, noteId) {
+        const noteDTO = await this.recruitmentDAO.deleteApplicationNote(username, parseInt(noteId));
+        return noteDTO;
+    }
+
+    /**
+     * Gets the criteria that the recruiters score applications against.
+     *
+     * @return {[ScoreCriterionDTO] | null} The scoring criteria or null
+     *                                      in case of an error while contacting the database.
+     */
+    async getScoreCriteria() {
+        const scoreCriteria = await this.recruitmentDAO.getScoreCriteria();
+        return scoreCriteria;
+    }
+
+    /**
+     * Adds a criterion that the recruiters can score applications against.
+     *
+     * @param {string} name The name of the criterion.
+     * @param {string | undefined} description What the recruiters should consider when scoring the criterion.
+     * @param {number} minScore The lowest score of the scale.
+     * @param {number} maxScore The highest score of the scale.
+     * @return {ScoreCriterionDTO | null} The new criterion or null in case of an error while contacting the database.
+     */
+    async addScoreCriterion(name, description, minScore, maxScore) {
+        const scoreCriterionDTO = await this.recruitmentDAO.addScoreCriterion(name.trim(),
+            description === undefined ? null : description.trim(), parseInt(minScore), parseInt(maxScore));
+        return scoreCriterionDTO;
+    }
+
+    /**
+     * Scores a specific job application against one or more criteria,
+     * replacing the scores that the recruiter has given these criteria before.
+     *
+     * @param {string} username The username of the recruiter scoring the application.
+     * @param {number} applicationId The application's ID, must be a positive integer.
+     * @param {[{criterionId, score}]} scores The scores, at most one per criterion.
+     * @return {ApplicationScoresDTO | null} The aggregated scores of the application or null
+     *                                       in case of an error while contacting the database.
+     */
+    async scoreApplication(username, applicationId, scores) {
+        const applicationScoresDTO = await this.recruitmentDAO.scoreApplication(username, parseInt(applicationId),
+            scores.map((score) => ({criterionID: parseInt(score.criterionId), score: parseInt(score.score)})));
+        return applicationScoresDTO;
+    }
+
+    /**
+     * Gets the scores that the recruiters have given a specific job application, aggregated per criterion.
+     *
+     * @param {string} username The username of the recruiter requesting the scores.
+     * @param {number} applicationId The application's ID, must be a positive integer.
+     * @return {ApplicationScoresDTO | null} The aggregated scores of the application or null
+     *                                       in case of an error while contacting the database.
+     */
+    async getApplicationScores(username, applicationId) {
+        const applicationScoresDTO = await this.recruitmentDAO.getApplicationScores(username, parseInt(applicationId));
+        return applicationScoresDTO;
+    }
 
     /**
      * Submits a decision regarding a specific job application.
@@ -166,22 +793,101 @@ class Controller {
      * @param {string} username The username of the recruiter taking the decision.
      * @param {number} applicationId The job application's ID, must be a positive integer.
      * @param {string} decision The taken decision, must be either 'Unhandled', 'Accepted' or 'Rejected'.
+     * @param {number | null} version The version of the application that the decision is based on,
+     *                              or null in order to decide upon any version.
      * @return {DecisionDTO | null} The registered decision for the application or null
      *                              in case of an error while contacting the database.
      */
-    async submitApplicationDecision(username, applicationId, decision) {
-        const decisionDTO = await this.recruitmentDAO.submitApplicationDecision(username, applicationId, decision);
+    async submitApplicationDecision(username, applicationId, decision, version) {
+        const decisionDTO = await this.recruitmentDAO.submitApplicationDecision(username, applicationId, decision,
+            version);
         return decisionDTO;
     }
 
+    /**
+     * Submits decisions regarding several job applications at once.
+     *
+     * @param {string} username The username of the recruiter taking the decisions.
+     * @param {[{applicationId, decision, version}]} decisions The decisions, each with the version of
+     *                                                         the application that it is based on.
+     * @param {string} mode Optional, 'bestEffort' in order to register the decisions without errors
+     *                      even though others have errors, the decisions are registered atomically otherwise.
+     * @return {BulkDecisionDTO | null} The result of every decision or null
+     *                                  in case of an error while contacting the database.
+     */
+    async submitApplicationDecisions(username, decisions, mode) {
+        const bulkDecisionDTO = await this.recruitmentDAO.submitApplicationDecisions(username,
+            decisions.map((decision) => ({
+                applicationID: parseInt(decision.applicationId),
+                decision: decision.decision,
+                version: parseInt(decision.version),
+            })),
+            mode || bulkDecisionModeEnum.Atomic);
+        return bulkDecisionDTO;
+    }
+
+    /**
+     * Revises the decision of a job application that has already been decided,
+     * or reopens it when the new decision is 'Unhandled'.
+     *
+     * @param {string} username The username of the recruiter revising the decision.
+     * @param {number} applicationId The job application's ID, must be a positive integer.
+     * @param {string} decision The new decision, must be either 'Unhandled', 'Accepted' or 'Rejected'.
+     * @param {string} reason The reason to revise the decision.
+     * @return {DecisionDTO | null} The decision that the application has after the revision or null
+     *                              in case of an error while contacting the database.
+     */
+    async reviseApplicationDecision(username, applicationId, decision, reason) {
+        const decisionDTO = await this.recruitmentDAO.reviseApplicationDecision(username, parseInt(applicationId),
+            decision, reason.trim());
+        return decisionDTO;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _createPasswordResetMail(passwordResetDTO) {
+        const text = `Hello ${passwordResetDTO.username},\n\n` +
+            'A password reset was requested for your account. Use the following link to choose a new password:\n' +
+            `${process.env.CORS_HOST}/resetPassword?token=${passwordResetDTO.token}\n\n` +
+            `The link can only be used once and expires in ${this.recruitmentDAO.PASSWORD_RESET_TTL_MINUTES} minutes. ` +
+            'If you did not request a password reset, you can ignore this mail.';
+        return new MailDTO(passwordResetDTO.email, 'Reset your password', text);
+    }
+
     // eslint-disable-next-line require-jsdoc
-    async _createApplicationFilterDTO(name, competenceId, dateFrom, dateTo, page) {
-        let requestedName = name;
+    _createEmailVerificationMail(emailVerificationDTO) {
+        const text = `Hello ${emailVerificationDTO.username},\n\n` +
+            'Please confirm that this is your email address by using the following link:\n' +
+            `${process.env.CORS_HOST}/verifyEmail?token=${emailVerificationDTO.token}\n\n` +
+            `The link can only be used once and expires in ${this.recruitmentDAO.EMAIL_VERIFICATION_TTL_HOURS} hours. ` +
+            'You cannot apply for a job until your email address is verified.';
+        return new MailDTO(emailVerificationDTO.email, 'Verify your email address', text);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _createCompetenceExperiences(competences) {
+        return competences.map((competence) => ({
+            competenceID: parseInt(competence.competenceId),
+            yearsOfExperience: competence.yearsOfExperience,
+        }));
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _createAvailabilityPeriods(availabilities) {
+        return availabilities.map((availability) => ({
+            dateFrom: availability.dateFrom,
+            dateTo: availability.dateTo,
+        }));
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _createApplicationFilterDTO(name, competenceId, dateFrom, dateTo, page, pageSize, hideWithdrawn, sortBy,
+        sortOrder, filters = {}, cursor) {
+        let requestedName = name.trim().replace(/\s+/g, ' ');
         let requestedDateForm = dateFrom;
         let requestedDateTo = dateTo;
         let requestedCompetenceId = parseInt(competenceId);
-        let requestedPage = parseInt(page);
-        if (name === '') {
+        let requestedPage = parseInt(page) || filterEmptyParamEnum.Page;
+        if (requestedName === '') {
             requestedName = filterEmptyParamEnum.Name;
         }
         if (requestedDateForm === '') {
@@ -196,7 +902,42 @@ class Controller {
         if (page === 0) {
             requestedPage = filterEmptyParamEnum.Page;
         }
-        const applicationFilterDTO = new ApplicationFilterDTO(requestedName, requestedCompetenceId, requestedDateForm, requestedDateTo, requestedPage);
+        let requestedPageSize = applicationPageSizeEnum.Default;
+        if (pageSize !== undefined) {
+            requestedPageSize = parseInt(pageSize);
+        }
+        let requestedSortBy = sortBy || applicationSortEnum.ID;
+        let requestedSortOrder = sortOrder;
+        if (requestedSortOrder === undefined) {
+            // The best scored applications are the interesting ones, so they come first by default.
+            requestedSortOrder = requestedSortBy === applicationSortEnum.AverageScore ? sortOrderEnum.Desc : sortOrderEnum.Asc;
+        }
+        let requestedCursor = null;
+        if (cursor === '') {
+            requestedCursor = {direction: cursorDirectionEnum.Next, position: null};
+        } else if (cursor !== undefined) {
+            const decodedCursor = ApplicationCursor.decode(cursor);
+            requestedSortBy = decodedCursor.sortBy;
+            requestedSortOrder = decodedCursor.sortOrder;
+            requestedCursor = {filters: decodedCursor.filters, direction: decodedCursor.direction,
+                position: decodedCursor.position};
+        }
+        const requestedDecisions = [].concat(filters.decisions || []);
+        let requestedJobId = filterEmptyParamEnum.JobID;
+        if (filters.jobId !== undefined) {
+            requestedJobId = parseInt(filters.jobId);
+        }
+        let requestedMinExperience = filterEmptyParamEnum.Experience;
+        if (filters.minExperience !== undefined) {
+            requestedMinExperience = parseFloat(filters.minExperience);
+        }
+        let requestedMaxExperience = filterEmptyParamEnum.Experience;
+        if (filters.maxExperience !== undefined) {
+            requestedMaxExperience = parseFloat(filters.maxExperience);
+        }
+        const applicationFilterDTO = new ApplicationFilterDTO(requestedName, requestedCompetenceId, requestedDateForm, requestedDateTo, requestedPage,
+            requestedPageSize, hideWithdrawn === true, requestedSortBy, requestedSortOrder, requestedDecisions,
+            requestedJobId, requestedMinExperience, requestedMaxExperience, requestedCursor);
         return applicationFilterDTO;
     }
 }
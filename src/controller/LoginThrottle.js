@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * Protects the signin against password guessing. Failed signin attempts are tracked
+ * per username and per client IP address, and once a limit is reached further attempts
+ * are locked out for a period that doubles with every additional failure.
+ */
+class LoginThrottle {
+    /**
+     * Constructs an instance of {LoginThrottle}.
+     *
+     * @param {LoginAttemptStore} loginAttemptStore The store that keeps track of the failed attempts.
+     */
+    constructor(loginAttemptStore) {
+        this.loginAttemptStore = loginAttemptStore;
+    }
+
+    /**
+     * The number of failed attempts for a username before it is locked out.
+     */
+    static get USERNAME_FAILURE_LIMIT() {
+        return 5;
+    }
+
+    /**
+     * The number of failed attempts for a client IP address before it is locked out.
+     * It is higher than the username limit since several users may share an IP address.
+     */
+    static get IP_FAILURE_LIMIT() {
+        return 20;
+    }
+
+    /**
+     * The lockout period once a limit is reached, in seconds.
+     */
+    static get BASE_LOCKOUT_SECONDS() {
+        return 60;
+    }
+
+    /**
+     * The longest lockout period, in seconds.
+     */
+    static get MAX_LOCKOUT_SECONDS() {
+        return 60 * 60;
+    }
+
+    /**
+     * The number of minutes that a failed attempt is remembered.
+     */
+    static get FAILURE_WINDOW_MINUTES() {
+        return 24 * 60;
+    }
+
+    /**
+     * Gets the number of seconds until a signin attempt is allowed again.
+     *
+     * @param {string} username The username that is signing in.
+     * @param {string} clientIP The IP address of the client that is signing in.
+     * @return {number} The seconds until the lockout ends, or 0 if the attempt is allowed.
+     */
+    async getRetryAfter(username, clientIP) {
+        const usernameRetryAfter = await this._getLockoutRemaining(this._usernameKey(username),
+            LoginThrottle.USERNAME_FAILURE_LIMIT);
+        const ipRetryAfter = await this._getLockoutRemaining(this._ipKey(clientIP),
+            LoginThrottle.IP_FAILURE_LIMIT);
+        return Math.max(usernameRetryAfter, ipRetryAfter);
+    }
+
+    /**
+     * Records a failed signin attempt for both the username and the client IP address.
+     *
+     * @param {string} username The username that failed to sign in.
+     * @param {string} clientIP The IP address of the client that failed to sign in.
+     */
+    async recordFailure(username, clientIP) {
+        await this.loginAttemptStore.recordFailure(this._usernameKey(username), LoginThrottle.FAILURE_WINDOW_MINUTES);
+        await this.loginAttemptStore.recordFailure(this._ipKey(clientIP), LoginThrottle.FAILURE_WINDOW_MINUTES);
+    }
+
+    /**
+     * Records a successful signin, which forgets the failed attempts for the username.
+     * The failed attempts for the client IP address are kept, otherwise signing in to
+     * an own account would reset the limit for guessing the passwords of others.
+     *
+     * @param {string} username The username that signed in.
+     */
+    async recordSuccess(username) {
+        await this.loginAttemptStore.clearFailures(this._usernameKey(username));
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _getLockoutRemaining(key, failureLimit) {
+        const failures = await this.loginAttemptStore.getFailures(key);
+        if (failures === null || failures.failureCount < failureLimit) {
+            return 0;
+        }
+        const lockoutSeconds = Math.min(
+            LoginThrottle.BASE_LOCKOUT_SECONDS * 2 ** (failures.failureCount - failureLimit),
+            LoginThrottle.MAX_LOCKOUT_SECONDS,
+        );
+        const lockedUntil = failures.lastFailureAt.getTime() + lockoutSeconds * 1000;
+        return Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000));
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _usernameKey(username) {
+        return `username:${username.toLowerCase()}`;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _ipKey(clientIP) {
+        return `ip:${clientIP}`;
+    }
+}
+
+module.exports = LoginThrottle;
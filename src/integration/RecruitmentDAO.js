@@ -2,6 +2,7 @@
 
 const {Client, types} = require('pg');
 const pbkdf2 = require('pbkdf2');
+const crypto = require('crypto');
 const UserDTO = require('../model/UserDTO');
 const recruitmentRoles = require('../util/rolesEnum');
 const userErrorCodes = require('../util/userErrCodes');
@@ -12,10 +13,32 @@ const registrationErrEnum = require('../util/registrationErrEnum');
 const ApplicationsListDTO = require('../model/ApplicationsListDTO');
 const filterEmptyParamEnum = require('../util/filterEmptyParamEnum');
 const ApplicationDTO = require('../model/ApplicationDTO');
+const AttachmentDTO = require('../model/AttachmentDTO');
 const applicationErrorCodes = require('../util/applicationErrorCodes');
 const DecisionDTO = require('../model/DecisionDTO');
+const DecisionHistoryDTO = require('../model/DecisionHistoryDTO');
+const BulkDecisionDTO = require('../model/BulkDecisionDTO');
+const bulkDecisionModeEnum = require('../util/bulkDecisionModeEnum');
+const NoteDTO = require('../model/NoteDTO');
+const ApplicationNotesDTO = require('../model/ApplicationNotesDTO');
+const noteErrorCodes = require('../util/noteErrorCodes');
+const ScoreCriterionDTO = require('../model/ScoreCriterionDTO');
+const ApplicationScoresDTO = require('../model/ApplicationScoresDTO');
+const scoreErrorCodes = require('../util/scoreErrorCodes');
+const applicationSortEnum = require('../util/applicationSortEnum');
+const sortOrderEnum = require('../util/sortOrderEnum');
+const cursorDirectionEnum = require('../util/cursorDirectionEnum');
+const ApplicationCursor = require('../util/ApplicationCursor');
 const decisionsEnum = require('../util/decisionsEnum');
 const decisionErrorCodes = require('../util/decisionErrorCodes');
+const PasswordResetDTO = require('../model/PasswordResetDTO');
+const EmailVerificationDTO = require('../model/EmailVerificationDTO');
+const SessionDTO = require('../model/SessionDTO');
+const ProfileDTO = require('../model/ProfileDTO');
+const PersonalDataDTO = require('../model/PersonalDataDTO');
+const TwoFactorDTO = require('../model/TwoFactorDTO');
+const TotpEnrollmentDTO = require('../model/TotpEnrollmentDTO');
+const Totp = require('../util/Totp');
 
 /**
  * Responsible for the database management.
@@ -44,7 +67,13 @@ class RecruitmentDAO {
         });
 
         this.logger = new Logger('DatabaseHandler');
-        this.PAGELIMIT = 25;
+        this.PASSWORD_RESET_TTL_MINUTES = 30;
+        this.EMAIL_VERIFICATION_TTL_HOURS = 48;
+        this.SESSION_TTL_DAYS = 7;
+        this.PASSWORD_HASH_PARAMS = {N: 2 ** (parseInt(process.env.PASSWORD_HASH_COST) || 15), r: 8, p: 1};
+        this.RECOVERY_CODE_COUNT = 10;
+        this.TOTP_ISSUER = process.env.TOTP_ISSUER || 'Recruitment';
+        this.MAX_ATTACHMENTS = 10;
     }
 
     /**
@@ -67,22 +96,21 @@ class RecruitmentDAO {
 
     /**
    * Check whether the information of the login are correct.
+   * Password hashes in the legacy or an outdated format are upgraded to the current format
+   * on a successful login.
    * @param {String} username The username of the profile.
    * @param {String} password The password related to the user.
    * @return {UserDTO | null} An object containing the username and the role of the user
    *                           The role ID is either 0 for Invalid, 1 for Recruiter,
-   *                            2 for Applicant. Null in case something went wrong.
+   *                            2 for Applicant, 3 for Admin. Null in case something went wrong.
    */
     async signinUser(username, password) {
-        const passwordHash = await this._generatePasswordHash(username, password);
-
         const checkLoginQuery = {
-            text: `SELECT login_info.username, person.role_id
+            text: `SELECT login_info.username, login_info.password, login_info.person_id, person.role_id
             FROM    login_info
                     INNER JOIN person ON (login_info.person_id = person.id)
-            WHERE   login_info.username = $1 AND
-                    login_info.password = $2`,
-            values: [username, passwordHash],
+            WHERE   login_info.username = $1`,
+            values: [username],
         };
 
         try {
@@ -96,10 +124,26 @@ class RecruitmentDAO {
 
             const results = await this._runQuery(checkLoginQuery);
 
+            const storedHash = results.rowCount > 0 ? results.rows[0].password : null;
+            const verification = await this._verifyPassword(username, password, storedHash);
+
             let retValue;
-            if (results.rowCount <= 0) {
+            if (results.rowCount <= 0 || !verification.valid) {
                 retValue = new UserDTO(username, recruitmentRoles.Invalid, userErrorCodes.LoginFailure);
             } else {
+                if (verification.needsRehash) {
+                    const passwordHash = await this._generatePasswordHash(password);
+
+                    const upgradeHashQuery = {
+                        text: `UPDATE public.login_info
+                SET     password = $1
+                WHERE   person_id = $2`,
+                        values: [passwordHash, results.rows[0].person_id],
+                    };
+
+                    await this._runQuery(upgradeHashQuery);
+                }
+
                 retValue = new UserDTO(results.rows[0].username, results.rows[0].role_id, userErrorCodes.OK);
             }
 
@@ -120,7 +164,7 @@ class RecruitmentDAO {
    *                            2 for Applicant. Null in case something went wrong.
    */
     async signupUser(signupDTO) {
-        const passwordHash = await this._generatePasswordHash(signupDTO.username, signupDTO.password);
+        const passwordHash = await this._generatePasswordHash(signupDTO.password);
 
         const checkEmailQuery = {
             text: `SELECT    *
@@ -184,17 +228,20 @@ class RecruitmentDAO {
     }
 
     /**
-   * Get all the jobs and their respective competences.
-   * @return {JobDTO | null} An array of an objects that hold the information about the jobs and
-   *                  competences. Null in case something went wrong.
+   * Get the personal data of the user.
+   * @param {String} username The username of the user.
+   * @return {ProfileDTO | null} An object holding the personal data of the user.
+   *                              The error code is InvalidUsername in case the user does not exist.
+   *                              Null in case something went wrong.
    */
-    async getJobs() {
-        let jobID = 0;
-
-        const getJobsQuery = {
-            text: `SELECT        job.*
-            FROM        job
-            ORDER BY    job ASC`,
+    async getProfile(username) {
+        const getProfileQuery = {
+            text: `SELECT   login_info.username, person.first_name, person.last_name, person.personal_number,
+                            login_info.email, login_info.email_verified
+            FROM    login_info
+                    INNER JOIN person ON (login_info.person_id = person.id)
+            WHERE   login_info.username = $1`,
+            values: [username],
         };
 
         try {
@@ -206,27 +253,20 @@ class RecruitmentDAO {
 
             await this._runQuery('BEGIN');
 
-            const jobRes = await this._runQuery(getJobsQuery);
-
-            const jobs = [];
+            const profileRes = await this._runQuery(getProfileQuery);
 
-            for (let i = 0; i < jobRes.rowCount; i++) {
-                jobID = jobRes.rows[i].id;
-                const getJobCompetencesQuery = {
-                    text: `SELECT        competence.id, competence.type
-                FROM        competence
-                WHERE   competence.job_id = $1
-                ORDER BY    competence ASC`,
-                    values: [jobID],
-                };
-                const competences = await this._runQuery(getJobCompetencesQuery);
+            let retValue;
 
-                jobs[i] = new JobDTO(jobRes.rows[i].id, jobRes.rows[i].name, competences.rows);
+            if (profileRes.rowCount <= 0) {
+                retValue = new ProfileDTO(username, 'DUMMY', 'DUMMY', '', 'dummy@dummy.dummy', false,
+                    userErrorCodes.InvalidUsername);
+            } else {
+                retValue = this._createProfileDTO(profileRes.rows[0]);
             }
 
             await this._runQuery('COMMIT');
 
-            return jobs;
+            return retValue;
         } catch (err) {
             this.logger.logException(err);
             return null;
@@ -234,16 +274,45 @@ class RecruitmentDAO {
     }
 
     /**
-   * Register a new application for the applicant.
-   * @param {ApplicationInfoDTO} applicationInfoDTO An object that has all the info about the
-   *                                                new application. Username, competence id,
-   *                                                availability from and to periods.
-   * @return {RegistrationDTO | null} An object with the id of the new registered application.
-   *                                   any failure of registration will result in an error code
-   *                                   indicating the reason, the error code are enumerated
-   *                                   in registrationErrEnum.js. Null in case something went wrong.
+   * Update the names and the email address of the user. A new email address is marked as unverified.
+   * @param {ProfileUpdateDTO} profileUpdateDTO The new personal data of the user.
+   * @return {ProfileDTO | null} An object holding the updated personal data of the user.
+   *                              The error code is InvalidUsername in case the user does not exist,
+   *                              or ExistentEmail in case another user has the email address.
+   *                              Null in case something went wrong.
    */
-    async registerNewApplication(applicationInfoDTO) {
+    async updateProfile(profileUpdateDTO) {
+        const checkEmailQuery = {
+            text: `SELECT    *
+            FROM    login_info
+            WHERE    login_info.email = $1 AND login_info.username <> $2`,
+            values: [profileUpdateDTO.email, profileUpdateDTO.username],
+        };
+
+        const updatePersonQuery = {
+            text: `UPDATE public.person
+            SET     first_name = $1, last_name = $2
+            WHERE   id = (SELECT login_info.person_id FROM login_info WHERE login_info.username = $3)`,
+            values: [profileUpdateDTO.firstName, profileUpdateDTO.lastName, profileUpdateDTO.username],
+        };
+
+        const updateLoginInfoQuery = {
+            text: `UPDATE public.login_info
+            SET     email = $1::TEXT,
+                    email_verified = CASE WHEN email = $1::TEXT THEN email_verified ELSE FALSE END
+            WHERE   username = $2`,
+            values: [profileUpdateDTO.email, profileUpdateDTO.username],
+        };
+
+        const getProfileQuery = {
+            text: `SELECT   login_info.username, person.first_name, person.last_name, person.personal_number,
+                            login_info.email, login_info.email_verified
+            FROM    login_info
+                    INNER JOIN person ON (login_info.person_id = person.id)
+            WHERE   login_info.username = $1`,
+            values: [profileUpdateDTO.username],
+        };
+
         try {
             const connection = await this._checkConnection();
 
@@ -252,91 +321,94 @@ class RecruitmentDAO {
             }
 
             await this._runQuery('BEGIN');
-            let registrationConfirmation;
-            let errorChecker = false;
 
-            const personID = await this._getPersonID(applicationInfoDTO.username);
+            const emailCheck = await this._runQuery(checkEmailQuery);
 
-            if (personID === -1) {
-                registrationConfirmation = new RegistrationDTO(0, registrationErrEnum.InvalidUsername);
-                errorChecker = true;
-            } else {
-                const roleID = await this._getRoleID(personID);
+            let retValue;
 
-                if (roleID === -1 || roleID === recruitmentRoles.Recruiter) {
-                    registrationConfirmation = new RegistrationDTO(0, registrationErrEnum.InvalidRole);
-                    errorChecker = true;
+            if (emailCheck.rowCount > 0) {
+                retValue = new ProfileDTO(profileUpdateDTO.username, profileUpdateDTO.firstName, profileUpdateDTO.lastName,
+                    '', profileUpdateDTO.email, false, userErrorCodes.ExistentEmail);
+            } else {
+                await this._runQuery(updatePersonQuery);
+                const updateRes = await this._runQuery(updateLoginInfoQuery);
+
+                if (updateRes.rowCount <= 0) {
+                    retValue = new ProfileDTO(profileUpdateDTO.username, profileUpdateDTO.firstName, profileUpdateDTO.lastName,
+                        '', profileUpdateDTO.email, false, userErrorCodes.InvalidUsername);
+                } else {
+                    const profileRes = await this._runQuery(getProfileQuery);
+                    retValue = this._createProfileDTO(profileRes.rows[0]);
                 }
             }
 
-            const checkCompetenceQuery = {
-                text: `SELECT    competence.id AS competence_id
-            FROM    competence
-            WHERE    competence.id = $1`,
-                values: [applicationInfoDTO.competenceID],
-            };
+            await this._runQuery('COMMIT');
 
-            const checkApplicationQuery = {
-                text: `SELECT    application.id AS application_id
-            FROM    application
-                  INNER JOIN applicant_availability ON 
-                              (applicant_availability.application_id = application.id)
-            WHERE    application.person_id = $1 AND
-                  application.competence_id = $2 AND
-                  applicant_availability.from_date <= DATE($3) AND
-                  applicant_availability.to_date >= DATE($4)`,
-                values: [personID, applicationInfoDTO.competenceID, applicationInfoDTO.dateFrom,
-                    applicationInfoDTO.dateTo],
-            };
+            return retValue;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
 
-            const checkApplicationRes = await this._runQuery(checkApplicationQuery);
-            const checkCompetenceRes = await this._runQuery(checkCompetenceQuery);
+    /**
+   * Change the password of the user, after checking the current password.
+   * Every other session of the user is revoked.
+   * @param {String} username The username of the user.
+   * @param {String} currentPassword The current password of the user.
+   * @param {String} newPassword The new password of the user.
+   * @param {Integer} sessionID The id of the session that the change is made in, it is kept active.
+   * @return {UserDTO | null} An object containing the username and the role of the user.
+   *                           The error code is LoginFailure in case the current password is wrong.
+   *                           Null in case something went wrong.
+   */
+    async changePassword(username, currentPassword, newPassword, sessionID) {
+        const checkLoginQuery = {
+            text: `SELECT login_info.password, login_info.person_id, person.role_id
+            FROM    login_info
+                    INNER JOIN person ON (login_info.person_id = person.id)
+            WHERE   login_info.username = $1
+            FOR UPDATE OF login_info`,
+            values: [username],
+        };
 
-            if (checkCompetenceRes.rowCount <= 0) {
-                registrationConfirmation = new RegistrationDTO(0, registrationErrEnum.InvalidCompetence);
-                errorChecker = true;
-            }
+        try {
+            const connection = await this._checkConnection();
 
-            if (checkApplicationRes.rowCount > 0) {
-                registrationConfirmation = new RegistrationDTO(checkApplicationRes.rows[0].application_id,
-                    registrationErrEnum.ExistentApplication);
-                errorChecker = true;
+            if (!connection) {
+                return null;
             }
 
-            if (!errorChecker) {
-                const newApplicationQuery = {
-                    text: `INSERT INTO public.application(years_of_experience, competence_id, person_id)
-                            VALUES ($1, $2, $3) RETURNING application.id AS application_id`,
-                    values: [applicationInfoDTO.yearsOfExperience, applicationInfoDTO.competenceID,
-                        personID],
-                };
+            await this._runQuery('BEGIN');
 
-                const newApplicationRes = await this._runQuery(newApplicationQuery);
+            const loginRes = await this._runQuery(checkLoginQuery);
 
-                const registeredApplicationID = newApplicationRes.rows[0].application_id;
+            const storedHash = loginRes.rowCount > 0 ? loginRes.rows[0].password : null;
+            const verification = await this._verifyPassword(username, currentPassword, storedHash);
 
-                const newApplicationStatusQuery = {
-                    text: `INSERT INTO public.application_status(decision, recruiter_id, application_id)
-                            VALUES ('Unhandled', null, $1)`,
-                    values: [registeredApplicationID],
-                };
+            let retValue;
+
+            if (loginRes.rowCount <= 0 || !verification.valid) {
+                retValue = new UserDTO(username, recruitmentRoles.Invalid, userErrorCodes.LoginFailure);
+            } else {
+                const passwordHash = await this._generatePasswordHash(newPassword);
 
-                const newApplicantAvailabilityQuery = {
-                    text: `INSERT INTO public.applicant_availability(from_date, to_date, person_id, application_id)
-                            VALUES ($1, $2, $3, $4)`,
-                    values: [applicationInfoDTO.dateFrom, applicationInfoDTO.dateTo,
-                        personID, registeredApplicationID],
+                const updatePasswordQuery = {
+                    text: `UPDATE public.login_info
+                SET     password = $1
+                WHERE   person_id = $2`,
+                    values: [passwordHash, loginRes.rows[0].person_id],
                 };
 
-                await this._runQuery(newApplicationStatusQuery);
-                await this._runQuery(newApplicantAvailabilityQuery);
+                await this._runQuery(updatePasswordQuery);
+                await this._revokeSessions(loginRes.rows[0].person_id, sessionID);
 
-                registrationConfirmation = new RegistrationDTO(registeredApplicationID, registrationErrEnum.OK);
+                retValue = new UserDTO(username, loginRes.rows[0].role_id, userErrorCodes.OK);
             }
 
             await this._runQuery('COMMIT');
 
-            return registrationConfirmation;
+            return retValue;
         } catch (err) {
             this.logger.logException(err);
             return null;
@@ -344,86 +416,76 @@ class RecruitmentDAO {
     }
 
     /**
-   * Get the applications that are filtered with specific parameters.
-   * @param {ApplicationFilterDTO} applicationFilterDTO An object holding the necessary information
-   *                                                    about the filtering parameters that the
-   *                                                    applications will fullfil.
-   * @return {ApplicationsListDTO | null} An object with the filtered applications info.
-   *                                       Null in case something went wrong.
+   * Get all the personal data that is linked to the user, that is the profile,
+   * the registered applications with their availability and decision, and the sessions.
+   * @param {String} username The username of the user.
+   * @return {PersonalDataDTO | null} An object holding all the personal data of the user.
+   *                                   The error code is InvalidUsername in case the user does not exist.
+   *                                   Null in case something went wrong.
    */
-    async getApplicationsList(applicationFilterDTO) {
-        const offset = await this._getOffset(applicationFilterDTO.page, this.PAGELIMIT);
+    async exportPersonalData(username) {
+        const getProfileQuery = {
+            text: `SELECT   login_info.username, login_info.person_id, person.first_name, person.last_name,
+                            person.personal_number, login_info.email, login_info.email_verified
+            FROM    login_info
+                    INNER JOIN person ON (login_info.person_id = person.id)
+            WHERE   login_info.username = $1`,
+            values: [username],
+        };
 
         try {
-            const applicationsRes = await this._getApplications(applicationFilterDTO);
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
 
-            let retList;
+            await this._runQuery('BEGIN');
 
-            const applicationsList = [];
+            const profileRes = await this._runQuery(getProfileQuery);
 
-            for (let i = 0; i < applicationsRes.rowCount; i++) {
-                applicationsList[i] = {
-                    applicationID: applicationsRes.rows[i].application_id,
-                    firstName: applicationsRes.rows[i].first_name,
-                    lastName: applicationsRes.rows[i].last_name,
-                };
-            }
+            let retValue;
 
-            retList = [...applicationsList];
+            if (profileRes.rowCount <= 0) {
+                retValue = new PersonalDataDTO({username}, [], [], new Date(), userErrorCodes.InvalidUsername);
+            } else {
+                const personID = profileRes.rows[0].person_id;
+
+                const getApplicationsQuery = {
+                    text: `SELECT   application.id AS application_id
+                    FROM    application
+                    WHERE   application.person_id = $1
+                    ORDER BY application.id ASC`,
+                    values: [personID],
+                };
 
-            if (applicationFilterDTO.page > filterEmptyParamEnum.Page) {
-                const limitApplicationsList = [];
+                const getSessionsQuery = {
+                    text: `SELECT   user_session.created_at, user_session.expires_at, user_session.revoked_at
+                    FROM    user_session
+                    WHERE   user_session.person_id = $1
+                    ORDER BY user_session.created_at ASC`,
+                    values: [personID],
+                };
 
-                for (let i = 0; i < this.PAGELIMIT; i++) {
-                    const offsetIndex = i + offset;
+                const applicationsRes = await this._runQuery(getApplicationsQuery);
+                const sessionsRes = await this._runQuery(getSessionsQuery);
 
-                    if (offsetIndex >= applicationsList.length) {
-                        break;
-                    }
+                const applications = await this._getApplicationsByID(
+                    applicationsRes.rows.map((row) => row.application_id));
 
-                    limitApplicationsList[i] = applicationsList[offsetIndex];
-                }
+                const sessions = sessionsRes.rows.map((row) => ({
+                    createdAt: row.created_at,
+                    expiresAt: row.expires_at,
+                    revokedAt: row.revoked_at,
+                }));
 
-                retList = [...limitApplicationsList];
+                retValue = new PersonalDataDTO(this._createProfileDTO(profileRes.rows[0]),
+                    applications, sessions, new Date(), userErrorCodes.OK);
             }
 
-            return new ApplicationsListDTO(retList);
-        } catch (err) {
-            this.logger.logException(err);
-            return null;
-        }
-    }
-
-    /**
-   * Get the total number of the application that are filtered with the specific parameters.
-   * @param {ApplicationFilterDTO} applicationFilterDTO An object holding the necessary information
-   *                                                    about the filtering parameters that the
-   *                                                    applications will fullfil.
-   * @return {Integer | null} The total amount of the filtered applications.
-   *                           Null in case something went wrong.
-   */
-    async getApplicationsCount(applicationFilterDTO) {
-        try {
-            const applicationsRes = await this._getApplications(applicationFilterDTO);
-            return applicationsRes.rowCount;
-        } catch (err) {
-            this.logger.logException(err);
-            return null;
-        }
-    }
+            await this._runQuery('COMMIT');
 
-    /**
-   * Get how many pages are the filtered applications separated into.
-   * @param {ApplicationFilterDTO} applicationFilterDTO An object holding the necessary information
-   *                                                    about the filtering parameters that the
-   *                                                    applications will fullfil.
-   * @return {Integer | null} the total count of the pages. Null in case something went wrong.
-   */
-    async getPageCount(applicationFilterDTO) {
-        try {
-            const applicationsRes = await this._getApplications(applicationFilterDTO);
-            const pageCount = Math.ceil(applicationsRes.rowCount / this.PAGELIMIT);
-            return pageCount;
+            return retValue;
         } catch (err) {
             this.logger.logException(err);
             return null;
@@ -431,25 +493,23 @@ class RecruitmentDAO {
     }
 
     /**
-   * Get all the information related to the application desired.
-   * @param {Integer} applicationID the id for the specific application.
-   * @return {ApplicationDTO | null} An object holding all the related information for the
-   *                                  desired application. Null in case something went wrong.
+   * Erase the account of the user, after checking the password. The person and login data is anonymized,
+   * while the applications, availability periods and decisions are kept for statistics.
+   * The tokens and sessions of the user are removed, so the account can not be used anymore.
+   * @param {String} username The username of the user.
+   * @param {String} password The password of the user, confirming the erasure.
+   * @return {UserDTO | null} An object containing the username and the role of the erased user.
+   *                           The error code is LoginFailure in case the password is wrong.
+   *                           Null in case something went wrong.
    */
-    async getApplication(applicationID) {
-        const getApplicationQuery = {
-            text: `SELECT   application.id AS application_id, person.first_name, person.last_name,
-                      competence.id AS competence_id, competence.type, application.years_of_experience,
-                      applicant_availability.from_date, applicant_availability.to_date,
-                      application_status.decision
-            FROM      application
-                      INNER JOIN person ON (application.person_id = person.id)
-                      INNER JOIN competence ON (application.competence_id = competence.id)
-                      INNER JOIN applicant_availability ON (applicant_availability.application_id = application.id)
-                      INNER JOIN application_status ON (application_status.application_id = application.id)
-            WHERE     application.id = $1
-            ORDER BY  applicant_availability.to_date DESC`,
-            values: [applicationID],
+    async eraseAccount(username, password) {
+        const checkLoginQuery = {
+            text: `SELECT login_info.password, login_info.person_id, person.role_id
+            FROM    login_info
+                    INNER JOIN person ON (login_info.person_id = person.id)
+            WHERE   login_info.username = $1
+            FOR UPDATE OF login_info, person`,
+            values: [username],
         };
 
         try {
@@ -459,35 +519,62 @@ class RecruitmentDAO {
                 return null;
             }
 
-            let retApplication;
-
             await this._runQuery('BEGIN');
 
-            const applicationRes = await this._runQuery(getApplicationQuery);
+            const loginRes = await this._runQuery(checkLoginQuery);
+
+            const storedHash = loginRes.rowCount > 0 ? loginRes.rows[0].password : null;
+            const verification = await this._verifyPassword(username, password, storedHash);
+
+            let retValue;
 
-            if (applicationRes.rowCount <= 0) {
-                retApplication = new ApplicationDTO(applicationID, 'DUMMY', 'DUMMY',
-                    {id: 999999, type: 'DUMMY'}, 0,
-                    '1212-12-12', '1212-12-12', 'Unhandled',
-                    applicationErrorCodes.InvalidID);
+            if (loginRes.rowCount <= 0 || !verification.valid) {
+                retValue = new UserDTO(username, recruitmentRoles.Invalid, userErrorCodes.LoginFailure);
             } else {
-                retApplication = new ApplicationDTO(applicationRes.rows[0].application_id,
-                    applicationRes.rows[0].first_name,
-                    applicationRes.rows[0].last_name,
-                    {
-                        id: applicationRes.rows[0].competence_id,
-                        type: applicationRes.rows[0].type,
-                    },
-                    applicationRes.rows[0].years_of_experience,
-                    applicationRes.rows[0].from_date,
-                    applicationRes.rows[0].to_date,
-                    applicationRes.rows[0].decision,
-                    applicationErrorCodes.OK);
+                const personID = loginRes.rows[0].person_id;
+
+                const anonymizePersonQuery = {
+                    text: `UPDATE public.person
+                SET     first_name = 'Erased', last_name = 'Erased', personal_number = NULL, erased_at = NOW()
+                WHERE   id = $1`,
+                    values: [personID],
+                };
+
+                // The empty password never matches a hash, so the account can not be signed in to again.
+                // The placeholder username and email fail the signup validation, so no one can sign up with them.
+                const anonymizeLoginQuery = {
+                    text: `UPDATE public.login_info
+                SET     username = 'erased-' || person_id, email = 'erased-' || person_id || '@erased_invalid',
+                        password = '', email_verified = FALSE, totp_secret = NULL, totp_enabled = FALSE
+                WHERE   person_id = $1`,
+                    values: [personID],
+                };
+
+                // The attached files are removed from the attachment storage by the caller.
+                const deleteAttachmentsQuery = {
+                    text: `DELETE FROM public.application_attachment
+                USING   application
+                WHERE   application_attachment.application_id = application.id AND application.person_id = $1`,
+                    values: [personID],
+                };
+
+                await this._runQuery(anonymizePersonQuery);
+                await this._runQuery(anonymizeLoginQuery);
+                await this._runQuery(deleteAttachmentsQuery);
+
+                for (const table of ['password_reset_token', 'email_verification_token', 'user_session', 'recovery_code']) {
+                    await this._runQuery({
+                        text: `DELETE FROM public.${table} WHERE person_id = $1`,
+                        values: [personID],
+                    });
+                }
+
+                retValue = new UserDTO(username, loginRes.rows[0].role_id, userErrorCodes.OK);
             }
 
             await this._runQuery('COMMIT');
 
-            return retApplication;
+            return retValue;
         } catch (err) {
             this.logger.logException(err);
             return null;
@@ -495,15 +582,22 @@ class RecruitmentDAO {
     }
 
     /**
-   * Register the decision that was taken about an application. Keeping in mind that only recruiters
-   * have the privilege to do that.
-   * @param {String} username The username that is related to the recruiter.
-   * @param {Integer} applicationID The id for the application that is decided upon.
-   * @param {String} decision The decision taken about the application.
-   * @return {DecisionDTO | null} An object holding the decision that was registered to the application.
-   *                              Null in case something went wrong.
+   * Get the two-factor authentication state of the user.
+   * @param {String} username The username of the user.
+   * @return {TwoFactorDTO | null} An object telling whether TOTP is enabled and whether a second factor is required.
+   *                                The error code is InvalidUsername in case the user does not exist.
+   *                                Null in case something went wrong.
    */
-    async submitApplicationDecision(username, applicationID, decision) {
+    async getTwoFactorStatus(username) {
+        const getStatusQuery = {
+            text: `SELECT   login_info.totp_enabled, role.two_factor_required
+            FROM    login_info
+                    INNER JOIN person ON (login_info.person_id = person.id)
+                    INNER JOIN role ON (person.role_id = role.id)
+            WHERE   login_info.username = $1`,
+            values: [username],
+        };
+
         try {
             const connection = await this._checkConnection();
 
@@ -513,50 +607,2388 @@ class RecruitmentDAO {
 
             await this._runQuery('BEGIN');
 
-            let retDecision;
-            const personID = await this._getPersonID(username);
-            const applicationChecker = await this._checkApplication(applicationID);
-
-            if (personID === -1) {
-                retDecision = new DecisionDTO(decisionsEnum.Unhandled, decisionErrorCodes.InvalidUsername);
+            const statusRes = await this._runQuery(getStatusQuery);
 
-                const roleID = await this._getRoleID(personID);
+            let retValue;
 
-                if (roleID === -1 || roleID === recruitmentRoles.Applicant) {
-                    retDecision = new DecisionDTO(decisionsEnum.Unhandled, decisionErrorCodes.InvalidRole);
-                }
-            } else if (applicationChecker.applicationStatusID === -1) {
-                retDecision = new DecisionDTO(decisionsEnum.Unhandled, decisionErrorCodes.InvalidApplication);
-            } else if (applicationChecker.decision !== decisionsEnum.Unhandled) {
-                retDecision = new DecisionDTO(applicationChecker.decision, decisionErrorCodes.ExistentDecision);
-            } else if (decision !== decisionsEnum.Unhandled &&
-                decision !== decisionsEnum.Accepted &&
-                decision !== decisionsEnum.Rejected) {
-                retDecision = new DecisionDTO(decisionsEnum.Unhandled, decisionErrorCodes.InvalidDecision);
+            if (statusRes.rowCount <= 0) {
+                retValue = new TwoFactorDTO(username, false, false, userErrorCodes.InvalidUsername);
             } else {
-                const submitDecisionQuery = {
-                    text: `UPDATE public.application_status
-                SET     decision= $1, recruiter_id= $2
-                WHERE   application_id = $3;`,
-                    values: [decision, personID, applicationID],
-                };
-
-                await this._runQuery(submitDecisionQuery);
-
-                retDecision = new DecisionDTO(decision, decisionErrorCodes.OK);
+                retValue = new TwoFactorDTO(username, statusRes.rows[0].totp_enabled,
+                    statusRes.rows[0].totp_enabled || statusRes.rows[0].two_factor_required, userErrorCodes.OK);
             }
 
             await this._runQuery('COMMIT');
 
-            return retDecision;
+            return retValue;
         } catch (err) {
             this.logger.logException(err);
             return null;
         }
     }
 
-    // eslint-disable-next-line require-jsdoc
-    async _getRoleID(personID) {
+    /**
+   * Start the TOTP enrollment of the user by storing a new secret. The secret is not used for signin
+   * until the enrollment is confirmed with a code from the authenticator.
+   * @param {String} username The username of the user.
+   * @return {TotpEnrollmentDTO | null} An object holding the new secret and its provisioning URI.
+   *                                     The error code is TwoFactorEnabled in case TOTP is already enabled,
+   *                                     or InvalidUsername in case the user does not exist.
+   *                                     Null in case something went wrong.
+   */
+    async startTotpEnrollment(username) {
+        const secret = Totp.generateSecret();
+
+        const checkEnabledQuery = {
+            text: `SELECT   login_info.totp_enabled
+            FROM    login_info
+            WHERE   login_info.username = $1
+            FOR UPDATE`,
+            values: [username],
+        };
+
+        const storeSecretQuery = {
+            text: `UPDATE public.login_info
+            SET     totp_secret = $1, totp_last_time_step = NULL
+            WHERE   username = $2`,
+            values: [secret, username],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const enabledRes = await this._runQuery(checkEnabledQuery);
+
+            let retValue;
+
+            if (enabledRes.rowCount <= 0) {
+                retValue = new TotpEnrollmentDTO(username, '', '', [], userErrorCodes.InvalidUsername);
+            } else if (enabledRes.rows[0].totp_enabled) {
+                retValue = new TotpEnrollmentDTO(username, '', '', [], userErrorCodes.TwoFactorEnabled);
+            } else {
+                await this._runQuery(storeSecretQuery);
+                const provisioningURI = Totp.getProvisioningURI(secret, username, this.TOTP_ISSUER);
+                retValue = new TotpEnrollmentDTO(username, secret, provisioningURI, [], userErrorCodes.OK);
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retValue;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Confirm the TOTP enrollment of the user with a code from the authenticator, which enables TOTP
+   * and creates new recovery codes. The session that the enrollment is confirmed in has completed
+   * the second factor.
+   * @param {String} username The username of the user.
+   * @param {String} code The code shown by the authenticator.
+   * @param {Integer} sessionID The id of the session that the enrollment is confirmed in.
+   * @return {TotpEnrollmentDTO | null} An object holding the recovery codes.
+   *                                     The error code is InvalidSecondFactor in case the code is wrong or
+   *                                     no enrollment was started, or TwoFactorEnabled in case TOTP is already enabled.
+   *                                     Null in case something went wrong.
+   */
+    async confirmTotpEnrollment(username, code, sessionID) {
+        const getSecretQuery = {
+            text: `SELECT   login_info.person_id, login_info.totp_secret, login_info.totp_enabled
+            FROM    login_info
+            WHERE   login_info.username = $1
+            FOR UPDATE`,
+            values: [username],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const secretRes = await this._runQuery(getSecretQuery);
+
+            let retValue;
+
+            if (secretRes.rowCount > 0 && secretRes.rows[0].totp_enabled) {
+                retValue = new TotpEnrollmentDTO(username, '', '', [], userErrorCodes.TwoFactorEnabled);
+            } else if (secretRes.rowCount <= 0 || secretRes.rows[0].totp_secret === null ||
+                Totp.findTimeStep(secretRes.rows[0].totp_secret, code) === null) {
+                retValue = new TotpEnrollmentDTO(username, '', '', [], userErrorCodes.InvalidSecondFactor);
+            } else {
+                const personID = secretRes.rows[0].person_id;
+
+                const enableQuery = {
+                    text: `UPDATE public.login_info
+                SET     totp_enabled = TRUE, totp_last_time_step = $1
+                WHERE   person_id = $2`,
+                    values: [Totp.findTimeStep(secretRes.rows[0].totp_secret, code), personID],
+                };
+
+                const completeSessionQuery = {
+                    text: `UPDATE public.user_session
+                SET     second_factor_completed = TRUE
+                WHERE   id = $1 AND person_id = $2`,
+                    values: [sessionID, personID],
+                };
+
+                await this._runQuery(enableQuery);
+                await this._runQuery(completeSessionQuery);
+                const recoveryCodes = await this._replaceRecoveryCodes(personID);
+
+                retValue = new TotpEnrollmentDTO(username, '', '', recoveryCodes, userErrorCodes.OK);
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retValue;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Verify the second factor of the user, either a TOTP code or an unused recovery code.
+   * A TOTP code is only accepted once, and a recovery code is used up.
+   * @param {String} username The username of the user.
+   * @param {String} code The TOTP code or the recovery code.
+   * @return {boolean | null} true if the code was accepted, false otherwise.
+   *                          Null in case something went wrong.
+   */
+    async verifySecondFactor(username, code) {
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const personID = await this._verifySecondFactor(username, code);
+
+            await this._runQuery('COMMIT');
+
+            return personID !== null;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Disable TOTP for the user after verifying the second factor, and remove the recovery codes.
+   * @param {String} username The username of the user.
+   * @param {String} code A TOTP code or a recovery code.
+   * @return {TwoFactorDTO | null} An object holding the two-factor authentication state of the user.
+   *                                The error code is TwoFactorMandatory in case the role of the user requires
+   *                                a second factor, or InvalidSecondFactor in case the code is not accepted.
+   *                                Null in case something went wrong.
+   */
+    async disableTotp(username, code) {
+        const checkRoleQuery = {
+            text: `SELECT   role.two_factor_required
+            FROM    login_info
+                    INNER JOIN person ON (login_info.person_id = person.id)
+                    INNER JOIN role ON (person.role_id = role.id)
+            WHERE   login_info.username = $1`,
+            values: [username],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const roleRes = await this._runQuery(checkRoleQuery);
+
+            let retValue;
+
+            if (roleRes.rowCount > 0 && roleRes.rows[0].two_factor_required) {
+                retValue = new TwoFactorDTO(username, true, true, userErrorCodes.TwoFactorMandatory);
+            } else {
+                const personID = await this._verifySecondFactor(username, code);
+
+                if (personID === null) {
+                    retValue = new TwoFactorDTO(username, true, true, userErrorCodes.InvalidSecondFactor);
+                } else {
+                    const disableQuery = {
+                        text: `UPDATE public.login_info
+                    SET     totp_enabled = FALSE, totp_secret = NULL, totp_last_time_step = NULL
+                    WHERE   person_id = $1`,
+                        values: [personID],
+                    };
+
+                    const deleteRecoveryCodesQuery = {
+                        text: `DELETE FROM public.recovery_code WHERE person_id = $1`,
+                        values: [personID],
+                    };
+
+                    await this._runQuery(disableQuery);
+                    await this._runQuery(deleteRecoveryCodesQuery);
+
+                    retValue = new TwoFactorDTO(username, false, false, userErrorCodes.OK);
+                }
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retValue;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Set whether the users of a role must complete a second factor before using their permissions.
+   * @param {Integer} roleID The id of the role.
+   * @param {boolean} required Whether a second factor is required.
+   * @return {boolean | null} true if the role was updated, false in case the role does not exist.
+   *                          Null in case something went wrong.
+   */
+    async setTwoFactorRequired(roleID, required) {
+        const updateRoleQuery = {
+            text: `UPDATE public.role
+            SET     two_factor_required = $1
+            WHERE   id = $2`,
+            values: [required, roleID],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const updateRes = await this._runQuery(updateRoleQuery);
+
+            await this._runQuery('COMMIT');
+
+            return updateRes.rowCount > 0;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Create a new single-use password reset token for the user with the specified email.
+   * Only the hash of the token is stored, the token itself is returned so that it can be sent to the user.
+   * The token expires after PASSWORD_RESET_TTL_MINUTES minutes.
+   * @param {String} email The email address of the user that requested the reset.
+   * @return {PasswordResetDTO | null} An object holding the username, the email and the token of the user.
+   *                                    The error code is InvalidEmail in case no user has the email.
+   *                                    Null in case something went wrong.
+   */
+    async createPasswordResetToken(email) {
+        const getUserQuery = {
+            text: `SELECT   login_info.username, login_info.person_id
+            FROM    login_info
+            WHERE   login_info.email = $1`,
+            values: [email],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const userRes = await this._runQuery(getUserQuery);
+
+            let retValue;
+
+            if (userRes.rowCount <= 0) {
+                retValue = new PasswordResetDTO('DUMMY', email, '', userErrorCodes.InvalidEmail);
+            } else {
+                const token = await this._generateToken();
+                const tokenHash = await this._hashToken(token);
+
+                const newTokenQuery = {
+                    text: `INSERT INTO public.password_reset_token(person_id, token_hash, expires_at)
+                            VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+                    values: [userRes.rows[0].person_id, tokenHash, this.PASSWORD_RESET_TTL_MINUTES],
+                };
+
+                await this._runQuery(newTokenQuery);
+
+                retValue = new PasswordResetDTO(userRes.rows[0].username, email, token, userErrorCodes.OK);
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retValue;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Reset the password of the user that the reset token belongs to. The token must be unused and
+   * not expired, and all the outstanding reset tokens of the user are used up by a successful reset.
+   * Every session of the user is revoked.
+   * @param {String} token The password reset token that was sent to the user.
+   * @param {String} password The new password of the user.
+   * @return {UserDTO | null} An object containing the username and the role of the user.
+   *                           The error code is InvalidResetToken in case the token is unknown,
+   *                           expired or already used. Null in case something went wrong.
+   */
+    async resetPassword(token, password) {
+        const tokenHash = await this._hashToken(token);
+
+        const checkTokenQuery = {
+            text: `SELECT   login_info.username, login_info.person_id, person.role_id
+            FROM    password_reset_token
+                    INNER JOIN login_info ON (login_info.person_id = password_reset_token.person_id)
+                    INNER JOIN person ON (person.id = password_reset_token.person_id)
+            WHERE   password_reset_token.token_hash = $1 AND
+                    password_reset_token.used_at IS NULL AND
+                    password_reset_token.expires_at > NOW()
+            FOR UPDATE OF password_reset_token`,
+            values: [tokenHash],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const tokenRes = await this._runQuery(checkTokenQuery);
+
+            let retValue;
+
+            if (tokenRes.rowCount <= 0) {
+                retValue = new UserDTO('DUMMY', recruitmentRoles.Invalid, userErrorCodes.InvalidResetToken);
+            } else {
+                const {username, person_id: personID, role_id: roleID} = tokenRes.rows[0];
+                const passwordHash = await this._generatePasswordHash(password);
+
+                const updatePasswordQuery = {
+                    text: `UPDATE public.login_info
+                SET     password = $1
+                WHERE   person_id = $2`,
+                    values: [passwordHash, personID],
+                };
+
+                const useTokensQuery = {
+                    text: `UPDATE public.password_reset_token
+                SET     used_at = NOW()
+                WHERE   person_id = $1 AND used_at IS NULL`,
+                    values: [personID],
+                };
+
+                await this._runQuery(updatePasswordQuery);
+                await this._runQuery(useTokensQuery);
+                await this._revokeSessions(personID);
+
+                retValue = new UserDTO(username, roleID, userErrorCodes.OK);
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retValue;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Create a new single-use email verification token for the current email address of the user.
+   * Only the hash of the token is stored, the token itself is returned so that it can be sent to the user.
+   * The token expires after EMAIL_VERIFICATION_TTL_HOURS hours.
+   * @param {String} username The username of the user whose email is verified.
+   * @return {EmailVerificationDTO | null} An object holding the username, the email and the token of the user.
+   *                                        The error code is InvalidUsername in case the user does not exist,
+   *                                        or VerifiedEmail in case the email is already verified.
+   *                                        Null in case something went wrong.
+   */
+    async createEmailVerificationToken(username) {
+        const getUserQuery = {
+            text: `SELECT   login_info.email, login_info.person_id, login_info.email_verified
+            FROM    login_info
+            WHERE   login_info.username = $1`,
+            values: [username],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const userRes = await this._runQuery(getUserQuery);
+
+            let retValue;
+
+            if (userRes.rowCount <= 0) {
+                retValue = new EmailVerificationDTO(username, 'dummy@dummy.dummy', '', userErrorCodes.InvalidUsername);
+            } else if (userRes.rows[0].email_verified) {
+                retValue = new EmailVerificationDTO(username, userRes.rows[0].email, '', userErrorCodes.VerifiedEmail);
+            } else {
+                const token = await this._generateToken();
+                const tokenHash = await this._hashToken(token);
+
+                const newTokenQuery = {
+                    text: `INSERT INTO public.email_verification_token(person_id, email, token_hash, expires_at)
+                            VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))`,
+                    values: [userRes.rows[0].person_id, userRes.rows[0].email, tokenHash,
+                        this.EMAIL_VERIFICATION_TTL_HOURS],
+                };
+
+                await this._runQuery(newTokenQuery);
+
+                retValue = new EmailVerificationDTO(username, userRes.rows[0].email, token, userErrorCodes.OK);
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retValue;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Mark the email address of the user that the verification token belongs to as verified.
+   * The token must be unused, not expired and issued for the current email address of the user.
+   * @param {String} token The email verification token that was sent to the user.
+   * @return {UserDTO | null} An object containing the username and the role of the user.
+   *                           The error code is InvalidVerificationToken in case the token is unknown,
+   *                           expired, already used or issued for another email address.
+   *                           Null in case something went wrong.
+   */
+    async verifyEmail(token) {
+        const tokenHash = await this._hashToken(token);
+
+        const checkTokenQuery = {
+            text: `SELECT   login_info.username, login_info.person_id, person.role_id
+            FROM    email_verification_token
+                    INNER JOIN login_info ON (login_info.person_id = email_verification_token.person_id)
+                    INNER JOIN person ON (person.id = email_verification_token.person_id)
+            WHERE   email_verification_token.token_hash = $1 AND
+                    email_verification_token.email = login_info.email AND
+                    email_verification_token.used_at IS NULL AND
+                    email_verification_token.expires_at > NOW()
+            FOR UPDATE OF email_verification_token`,
+            values: [tokenHash],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const tokenRes = await this._runQuery(checkTokenQuery);
+
+            let retValue;
+
+            if (tokenRes.rowCount <= 0) {
+                retValue = new UserDTO('DUMMY', recruitmentRoles.Invalid, userErrorCodes.InvalidVerificationToken);
+            } else {
+                const {username, person_id: personID, role_id: roleID} = tokenRes.rows[0];
+
+                const verifyEmailQuery = {
+                    text: `UPDATE public.login_info
+                SET     email_verified = TRUE
+                WHERE   person_id = $1`,
+                    values: [personID],
+                };
+
+                const useTokensQuery = {
+                    text: `UPDATE public.email_verification_token
+                SET     used_at = NOW()
+                WHERE   person_id = $1 AND used_at IS NULL`,
+                    values: [personID],
+                };
+
+                await this._runQuery(verifyEmailQuery);
+                await this._runQuery(useTokensQuery);
+
+                retValue = new UserDTO(username, roleID, userErrorCodes.OK);
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retValue;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Create a new session for the user, which expires after SESSION_TTL_DAYS days.
+   * Only the hash of the refresh token is stored, the token itself is returned so that it can be sent to the user.
+   * A user with TOTP enabled can only sign in by completing the second factor, so the session
+   * of such a user starts with the second factor completed.
+   * @param {String} username The username of the user that signed in.
+   * @return {SessionDTO | null} An object holding the id and the refresh token of the new session.
+   *                              The error code is InvalidUsername in case the user does not exist.
+   *                              Null in case something went wrong.
+   */
+    async createSession(username) {
+        const getUserQuery = {
+            text: `SELECT   login_info.person_id, person.role_id, login_info.totp_enabled, role.two_factor_required
+            FROM    login_info
+                    INNER JOIN person ON (login_info.person_id = person.id)
+                    INNER JOIN role ON (person.role_id = role.id)
+            WHERE   login_info.username = $1`,
+            values: [username],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const userRes = await this._runQuery(getUserQuery);
+
+            let retValue;
+
+            if (userRes.rowCount <= 0) {
+                retValue = new SessionDTO(0, username, recruitmentRoles.Invalid, '', null,
+                    {completed: false, required: false}, userErrorCodes.InvalidUsername);
+            } else {
+                const refreshToken = await this._generateToken();
+                const refreshTokenHash = await this._hashToken(refreshToken);
+
+                const newSessionQuery = {
+                    text: `INSERT INTO public.user_session(person_id, refresh_token_hash, expires_at,
+                                second_factor_completed)
+                            VALUES ($1, $2, NOW() + make_interval(days => $3), $4)
+                            RETURNING user_session.id, user_session.expires_at`,
+                    values: [userRes.rows[0].person_id, refreshTokenHash, this.SESSION_TTL_DAYS,
+                        userRes.rows[0].totp_enabled],
+                };
+
+                const newSessionRes = await this._runQuery(newSessionQuery);
+
+                const secondFactor = {
+                    completed: userRes.rows[0].totp_enabled,
+                    required: userRes.rows[0].totp_enabled || userRes.rows[0].two_factor_required,
+                };
+
+                retValue = new SessionDTO(newSessionRes.rows[0].id, username, userRes.rows[0].role_id,
+                    refreshToken, newSessionRes.rows[0].expires_at, secondFactor, userErrorCodes.OK);
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retValue;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Rotate the refresh token of the session that the refresh token belongs to.
+   * Presenting a refresh token that was already rotated indicates that it was stolen,
+   * and revokes the session.
+   * @param {String} refreshToken The current refresh token of the session.
+   * @return {SessionDTO | null} An object holding the session with its new refresh token.
+   *                              The error code is InvalidSession in case the session is unknown,
+   *                              revoked or expired. Null in case something went wrong.
+   */
+    async refreshSession(refreshToken) {
+        const refreshTokenHash = await this._hashToken(refreshToken);
+
+        const checkSessionQuery = {
+            text: `SELECT   user_session.id, user_session.expires_at,
+                            user_session.refresh_token_hash = $1 AS is_current,
+                            user_session.second_factor_completed, login_info.username, person.role_id,
+                            login_info.totp_enabled OR role.two_factor_required AS second_factor_required
+            FROM    user_session
+                    INNER JOIN login_info ON (login_info.person_id = user_session.person_id)
+                    INNER JOIN person ON (person.id = user_session.person_id)
+                    INNER JOIN role ON (role.id = person.role_id)
+            WHERE   (user_session.refresh_token_hash = $1 OR
+                    user_session.previous_refresh_token_hash = $1) AND
+                    user_session.revoked_at IS NULL AND
+                    user_session.expires_at > NOW()
+            FOR UPDATE OF user_session`,
+            values: [refreshTokenHash],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const sessionRes = await this._runQuery(checkSessionQuery);
+
+            let retValue = new SessionDTO(0, 'DUMMY', recruitmentRoles.Invalid, '', null,
+                {completed: false, required: false}, userErrorCodes.InvalidSession);
+
+            if (sessionRes.rowCount > 0 && !sessionRes.rows[0].is_current) {
+                const revokeSessionQuery = {
+                    text: `UPDATE public.user_session
+                SET     revoked_at = NOW()
+                WHERE   id = $1`,
+                    values: [sessionRes.rows[0].id],
+                };
+
+                await this._runQuery(revokeSessionQuery);
+            } else if (sessionRes.rowCount > 0) {
+                const newRefreshToken = await this._generateToken();
+                const newRefreshTokenHash = await this._hashToken(newRefreshToken);
+
+                const rotateTokenQuery = {
+                    text: `UPDATE public.user_session
+                SET     previous_refresh_token_hash = refresh_token_hash, refresh_token_hash = $1
+                WHERE   id = $2`,
+                    values: [newRefreshTokenHash, sessionRes.rows[0].id],
+                };
+
+                await this._runQuery(rotateTokenQuery);
+
+                const secondFactor = {
+                    completed: sessionRes.rows[0].second_factor_completed,
+                    required: sessionRes.rows[0].second_factor_required,
+                };
+
+                retValue = new SessionDTO(sessionRes.rows[0].id, sessionRes.rows[0].username, sessionRes.rows[0].role_id,
+                    newRefreshToken, sessionRes.rows[0].expires_at, secondFactor, userErrorCodes.OK);
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retValue;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Check whether the session is active, that is it exists and is neither revoked nor expired.
+   * @param {Integer} sessionID The id of the session.
+   * @return {boolean | null} true if the session is active, false otherwise.
+   *                          Null in case something went wrong.
+   */
+    async isSessionActive(sessionID) {
+        const checkSessionQuery = {
+            text: `SELECT   user_session.id
+            FROM    user_session
+            WHERE   user_session.id = $1 AND
+                    user_session.revoked_at IS NULL AND
+                    user_session.expires_at > NOW()`,
+            values: [sessionID],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const sessionRes = await this._runQuery(checkSessionQuery);
+
+            await this._runQuery('COMMIT');
+
+            return sessionRes.rowCount > 0;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Revoke the session that the refresh token belongs to.
+   * @param {String} refreshToken The current refresh token of the session.
+   * @return {boolean | null} true if a session was revoked, false otherwise.
+   *                          Null in case something went wrong.
+   */
+    async revokeSession(refreshToken) {
+        const refreshTokenHash = await this._hashToken(refreshToken);
+
+        const revokeSessionQuery = {
+            text: `UPDATE public.user_session
+            SET     revoked_at = NOW()
+            WHERE   refresh_token_hash = $1 AND revoked_at IS NULL`,
+            values: [refreshTokenHash],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const revokeRes = await this._runQuery(revokeSessionQuery);
+
+            await this._runQuery('COMMIT');
+
+            return revokeRes.rowCount > 0;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Get the failed signin attempts that are tracked for the key.
+   * @param {String} key The username or client IP address key that the attempts are tracked for.
+   * @return {{failureCount, lastFailureAt} | null} The number of failed attempts and the time of the last
+   *                                                failed attempt. Null in case there are none or
+   *                                                something went wrong.
+   */
+    async getLoginFailures(key) {
+        const getFailuresQuery = {
+            text: `SELECT   login_attempt.failure_count, login_attempt.last_failure_at
+            FROM    login_attempt
+            WHERE   login_attempt.attempt_key = $1`,
+            values: [key],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const failuresRes = await this._runQuery(getFailuresQuery);
+
+            let retValue = null;
+
+            if (failuresRes.rowCount > 0) {
+                retValue = {
+                    failureCount: failuresRes.rows[0].failure_count,
+                    lastFailureAt: failuresRes.rows[0].last_failure_at,
+                };
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retValue;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Record a failed signin attempt for the key. The count starts over in case the last
+   * failed attempt is older than the window.
+   * @param {String} key The username or client IP address key that the attempts are tracked for.
+   * @param {Integer} windowMinutes The number of minutes that a failed attempt is remembered.
+   * @return {Integer | null} The number of failed attempts within the window.
+   *                           Null in case something went wrong.
+   */
+    async recordLoginFailure(key, windowMinutes) {
+        const recordFailureQuery = {
+            text: `INSERT INTO public.login_attempt(attempt_key, failure_count, last_failure_at)
+            VALUES ($1, 1, NOW())
+            ON CONFLICT (attempt_key) DO UPDATE
+            SET     failure_count = CASE WHEN login_attempt.last_failure_at < NOW() - make_interval(mins => $2)
+                                    THEN 1
+                                    ELSE login_attempt.failure_count + 1
+                                    END,
+                    last_failure_at = NOW()
+            RETURNING login_attempt.failure_count`,
+            values: [key, windowMinutes],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const failureRes = await this._runQuery(recordFailureQuery);
+
+            await this._runQuery('COMMIT');
+
+            return failureRes.rows[0].failure_count;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Forget the failed signin attempts for the key.
+   * @param {String} key The username or client IP address key that the attempts are tracked for.
+   * @return {boolean | null} true if there were failed attempts to forget, false otherwise.
+   *                          Null in case something went wrong.
+   */
+    async clearLoginFailures(key) {
+        const clearFailuresQuery = {
+            text: `DELETE FROM public.login_attempt
+            WHERE   attempt_key = $1`,
+            values: [key],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const clearRes = await this._runQuery(clearFailuresQuery);
+
+            await this._runQuery('COMMIT');
+
+            return clearRes.rowCount > 0;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Get all the jobs and their respective competences.
+   * @return {JobDTO | null} An array of an objects that hold the information about the jobs and
+   *                  competences. Null in case something went wrong.
+   */
+    async getJobs() {
+        let jobID = 0;
+
+        const getJobsQuery = {
+            text: `SELECT        job.*
+            FROM        job
+            ORDER BY    job ASC`,
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const jobRes = await this._runQuery(getJobsQuery);
+
+            const jobs = [];
+
+            for (let i = 0; i < jobRes.rowCount; i++) {
+                jobID = jobRes.rows[i].id;
+                const getJobCompetencesQuery = {
+                    text: `SELECT        competence.id, competence.type
+                FROM        competence
+                WHERE   competence.job_id = $1
+                ORDER BY    competence ASC`,
+                    values: [jobID],
+                };
+                const competences = await this._runQuery(getJobCompetencesQuery);
+
+                jobs[i] = new JobDTO(jobRes.rows[i].id, jobRes.rows[i].name, competences.rows);
+            }
+
+            await this._runQuery('COMMIT');
+
+            return jobs;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Register a new application for the applicant.
+   * @param {ApplicationInfoDTO} applicationInfoDTO An object that has all the info about the
+   *                                                new application. Username, the competences
+   *                                                with their years of experience and the
+   *                                                availability periods.
+   * @return {RegistrationDTO | null} An object with the id of the new registered application.
+   *                                   any failure of registration will result in an error code
+   *                                   indicating the reason, the error code are enumerated
+   *                                   in registrationErrEnum.js. Null in case something went wrong.
+   */
+    async registerNewApplication(applicationInfoDTO) {
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            let registrationConfirmation;
+            let errorChecker = false;
+
+            // The applicant is looked up before the transaction, since every lookup commits on its own.
+            const personID = await this._getPersonID(applicationInfoDTO.username);
+
+            if (personID === -1) {
+                registrationConfirmation = new RegistrationDTO(0, registrationErrEnum.InvalidUsername);
+                errorChecker = true;
+            } else {
+                const roleID = await this._getRoleID(personID);
+
+                if (roleID !== recruitmentRoles.Applicant) {
+                    registrationConfirmation = new RegistrationDTO(0, registrationErrEnum.InvalidRole);
+                    errorChecker = true;
+                } else if (!(await this._isEmailVerified(personID))) {
+                    registrationConfirmation = new RegistrationDTO(0, registrationErrEnum.UnverifiedEmail);
+                    errorChecker = true;
+                }
+            }
+
+            await this._runQuery('BEGIN');
+
+            const competenceIDs = applicationInfoDTO.competences.map((competence) => competence.competenceID);
+
+            // An application that is not withdrawn, and shares a competence and covers one of the new periods.
+            const checkApplicationQuery = {
+                text: `SELECT    application.id AS application_id
+            FROM    application
+                  INNER JOIN application_competence ON
+                              (application_competence.application_id = application.id)
+                  INNER JOIN applicant_availability ON 
+                              (applicant_availability.application_id = application.id)
+                  INNER JOIN application_status ON
+                              (application_status.application_id = application.id)
+            WHERE    application.person_id = $1 AND
+                  application_competence.competence_id = ANY($2::INTEGER[]) AND
+                  application_status.decision <> $5 AND
+                  EXISTS (SELECT 1
+                          FROM unnest($3::DATE[], $4::DATE[]) AS period(from_date, to_date)
+                          WHERE applicant_availability.from_date <= period.from_date AND
+                                applicant_availability.to_date >= period.to_date)`,
+                values: [personID, competenceIDs,
+                    applicationInfoDTO.availabilities.map((availability) => availability.dateFrom),
+                    applicationInfoDTO.availabilities.map((availability) => availability.dateTo),
+                    decisionsEnum.Withdrawn],
+            };
+
+            const checkApplicationRes = await this._runQuery(checkApplicationQuery);
+            const competencesExist = await this._competencesExist(competenceIDs);
+
+            if (!competencesExist) {
+                registrationConfirmation = new RegistrationDTO(0, registrationErrEnum.InvalidCompetence);
+                errorChecker = true;
+            }
+
+            if (checkApplicationRes.rowCount > 0) {
+                registrationConfirmation = new RegistrationDTO(checkApplicationRes.rows[0].application_id,
+                    registrationErrEnum.ExistentApplication);
+                errorChecker = true;
+            }
+
+            if (!errorChecker) {
+                const newApplicationQuery = {
+                    text: `INSERT INTO public.application(person_id)
+                            VALUES ($1) RETURNING application.id AS application_id`,
+                    values: [personID],
+                };
+
+                const newApplicationRes = await this._runQuery(newApplicationQuery);
+
+                const registeredApplicationID = newApplicationRes.rows[0].application_id;
+
+                const newApplicationStatusQuery = {
+                    text: `INSERT INTO public.application_status(decision, recruiter_id, application_id)
+                            VALUES ('Unhandled', null, $1)`,
+                    values: [registeredApplicationID],
+                };
+
+                await this._runQuery(newApplicationStatusQuery);
+                await this._insertApplicationDetails(registeredApplicationID, personID,
+                    applicationInfoDTO.competences, applicationInfoDTO.availabilities);
+
+                registrationConfirmation = new RegistrationDTO(registeredApplicationID, registrationErrEnum.OK);
+            }
+
+            await this._runQuery('COMMIT');
+
+            return registrationConfirmation;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Get the applications that are filtered with specific parameters, either a page by its number
+   * or the page after or before the cursor of the filter.
+   * @param {ApplicationFilterDTO} applicationFilterDTO An object holding the necessary information
+   *                                                    about the filtering parameters that the
+   *                                                    applications will fullfil.
+   * @return {ApplicationsListDTO | null} An object with the filtered applications info, and the cursors
+   *                                       of the next and previous pages when paging with a cursor.
+   *                                       The error code is InvalidCursor in case the cursor was created
+   *                                       with other filters. Null in case something went wrong.
+   */
+    async getApplicationsList(applicationFilterDTO) {
+        try {
+            const cursor = applicationFilterDTO.cursor;
+            if (cursor !== null && cursor.position !== null &&
+                cursor.filters !== ApplicationCursor.hashFilters(applicationFilterDTO)) {
+                return new ApplicationsListDTO([], null, null, applicationErrorCodes.InvalidCursor);
+            }
+
+            const applicationsRes = await this._getApplications(applicationFilterDTO);
+            let rows = applicationsRes.rows;
+            let nextCursor = null;
+            let prevCursor = null;
+
+            if (cursor !== null) {
+                const hasMore = rows.length > applicationFilterDTO.pageSize;
+                rows = rows.slice(0, applicationFilterDTO.pageSize);
+
+                if (cursor.direction === cursorDirectionEnum.Previous) {
+                    rows.reverse();
+                }
+                if (rows.length > 0) {
+                    const morePrevious = cursor.direction === cursorDirectionEnum.Previous ? hasMore : cursor.position !== null;
+                    const moreNext = cursor.direction === cursorDirectionEnum.Next ? hasMore : true;
+                    if (morePrevious) {
+                        prevCursor = this._createApplicationCursor(applicationFilterDTO, rows[0], cursorDirectionEnum.Previous);
+                    }
+                    if (moreNext) {
+                        nextCursor = this._createApplicationCursor(applicationFilterDTO, rows[rows.length - 1],
+                            cursorDirectionEnum.Next);
+                    }
+                }
+            }
+
+            const applicationsList = rows.map((row) => ({
+                applicationID: row.application_id,
+                firstName: row.first_name,
+                lastName: row.last_name,
+                averageScore: row.average_score,
+            }));
+
+            return new ApplicationsListDTO(applicationsList, nextCursor, prevCursor, applicationErrorCodes.OK);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Get the total number of the application that are filtered with the specific parameters.
+   * @param {ApplicationFilterDTO} applicationFilterDTO An object holding the necessary information
+   *                                                    about the filtering parameters that the
+   *                                                    applications will fullfil.
+   * @return {Integer | null} The total amount of the filtered applications.
+   *                           Null in case something went wrong.
+   */
+    async getApplicationsCount(applicationFilterDTO) {
+        try {
+            return await this._countApplications(applicationFilterDTO);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Get how many pages are the filtered applications separated into, with the page size of the filter.
+   * @param {ApplicationFilterDTO} applicationFilterDTO An object holding the necessary information
+   *                                                    about the filtering parameters that the
+   *                                                    applications will fullfil.
+   * @return {Integer | null} the total count of the pages. Null in case something went wrong.
+   */
+    async getPageCount(applicationFilterDTO) {
+        try {
+            const applicationsCount = await this._countApplications(applicationFilterDTO);
+            const pageCount = Math.ceil(applicationsCount / applicationFilterDTO.pageSize);
+            return pageCount;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Get all the information related to the application desired.
+   * @param {Integer} applicationID the id for the specific application.
+   * @return {ApplicationDTO | null} An object holding all the related information for the
+   *                                  desired application. Null in case something went wrong.
+   */
+    async getApplication(applicationID) {
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            let retApplication;
+
+            await this._runQuery('BEGIN');
+
+            const applications = await this._getApplicationsByID([applicationID]);
+
+            if (applications.length <= 0) {
+                retApplication = this._createDummyApplicationDTO(applicationID, applicationErrorCodes.InvalidID);
+            } else {
+                retApplication = applications[0];
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retApplication;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Get all the applications that the user has registered, with the current decision of each application.
+   * @param {String} username The username of the applicant.
+   * @return {[ApplicationDTO] | null} An array holding the applications of the user, the newest application first.
+   *                                    Null in case something went wrong.
+   */
+    async getOwnApplications(username) {
+        const getOwnApplicationsQuery = {
+            text: `SELECT   application.id AS application_id
+            FROM      application
+                      INNER JOIN login_info ON (login_info.person_id = application.person_id)
+            WHERE     login_info.username = $1
+            ORDER BY  application.id DESC`,
+            values: [username],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const applicationsRes = await this._runQuery(getOwnApplicationsQuery);
+
+            const applications = await this._getApplicationsByID(applicationsRes.rows.map((row) => row.application_id));
+
+            await this._runQuery('COMMIT');
+
+            return applications;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Replace the competences and the availability periods of an application.
+   * Only the applicant that the application belongs to can update it, and only while it is Unhandled.
+   * @param {ApplicationUpdateDTO} applicationUpdateDTO An object holding the application id and the new values.
+   * @return {ApplicationDTO | null} An object holding the updated application.
+   *                                  The error code is InvalidID in case the application does not exist,
+   *                                  NotOwner in case it belongs to someone else, ExistentDecision in case
+   *                                  it is no longer Unhandled, or InvalidCompetence in case a competence
+   *                                  does not exist. Null in case something went wrong.
+   */
+    async updateApplication(applicationUpdateDTO) {
+        const applicationID = applicationUpdateDTO.applicationID;
+
+        const updateVersionQuery = {
+            text: `UPDATE public.application_status SET version = version + 1 WHERE application_id = $1`,
+            values: [applicationID],
+        };
+
+        const deleteCompetencesQuery = {
+            text: `DELETE FROM public.application_competence WHERE application_id = $1`,
+            values: [applicationID],
+        };
+
+        const deleteAvailabilitiesQuery = {
+            text: `DELETE FROM public.applicant_availability WHERE application_id = $1`,
+            values: [applicationID],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            // Looked up before the transaction, since the lookup commits on its own.
+            const personID = await this._getPersonID(applicationUpdateDTO.username);
+
+            await this._runQuery('BEGIN');
+
+            let errorCode = await this._checkApplicationChange(applicationID, applicationUpdateDTO.username);
+
+            const competenceIDs = applicationUpdateDTO.competences.map((competence) => competence.competenceID);
+
+            if (errorCode === applicationErrorCodes.OK && !(await this._competencesExist(competenceIDs))) {
+                errorCode = applicationErrorCodes.InvalidCompetence;
+            }
+
+            let retApplication;
+
+            if (errorCode !== applicationErrorCodes.OK) {
+                retApplication = this._createDummyApplicationDTO(applicationID, errorCode);
+            } else {
+                await this._runQuery(deleteCompetencesQuery);
+                await this._runQuery(deleteAvailabilitiesQuery);
+                await this._insertApplicationDetails(applicationID, personID,
+                    applicationUpdateDTO.competences, applicationUpdateDTO.availabilities);
+                await this._runQuery(updateVersionQuery);
+
+                [retApplication] = await this._getApplicationsByID([applicationID]);
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retApplication;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Register a file that the applicant has attached to an application, the content of the file
+   * is expected to be stored under the storage key already. Only the applicant that the application
+   * belongs to can attach files to it, and only while it is Unhandled.
+   * @param {String} username The username of the applicant.
+   * @param {Integer} applicationID The id of the application.
+   * @param {String} storageKey The key that the content of the file is stored under.
+   * @param {String} filename The name of the uploaded file.
+   * @param {String} mimeType The type of the file.
+   * @param {Integer} size The size of the file in bytes.
+   * @param {String} category What the file is, one of the categories in attachmentCategoriesEnum.js.
+   * @return {AttachmentDTO | null} An object holding the metadata of the attachment.
+   *                                The error code is InvalidID in case the application does not exist,
+   *                                NotOwner in case it belongs to someone else, ExistentDecision in case
+   *                                it is no longer Unhandled, or TooManyAttachments in case it already
+   *                                has the maximum number of attachments. Null in case something went wrong.
+   */
+    async addApplicationAttachment(username, applicationID, storageKey, filename, mimeType, size, category) {
+        const countAttachmentsQuery = {
+            text: `SELECT   COUNT(*)::INTEGER AS attachment_count
+            FROM      application_attachment
+            WHERE     application_attachment.application_id = $1`,
+            values: [applicationID],
+        };
+
+        const addAttachmentQuery = {
+            text: `INSERT INTO public.application_attachment(application_id, storage_key, filename, mime_type,
+                                                             size_bytes, category)
+                    VALUES ($1, $2, $3, $4, $5, $6) RETURNING application_attachment.id`,
+            values: [applicationID, storageKey, filename, mimeType, size, category],
+        };
+
+        const updateVersionQuery = {
+            text: `UPDATE public.application_status SET version = version + 1 WHERE application_id = $1`,
+            values: [applicationID],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            let errorCode = await this._checkApplicationChange(applicationID, username);
+
+            if (errorCode === applicationErrorCodes.OK) {
+                const countAttachmentsRes = await this._runQuery(countAttachmentsQuery);
+
+                if (countAttachmentsRes.rows[0].attachment_count >= this.MAX_ATTACHMENTS) {
+                    errorCode = applicationErrorCodes.TooManyAttachments;
+                }
+            }
+
+            let retAttachment;
+
+            if (errorCode !== applicationErrorCodes.OK) {
+                retAttachment = this._createDummyAttachmentDTO(applicationID, errorCode);
+            } else {
+                const addAttachmentRes = await this._runQuery(addAttachmentQuery);
+                await this._runQuery(updateVersionQuery);
+
+                const attachmentRes = await this._runQuery({
+                    text: `${this._getAttachmentsQueryText()}
+            WHERE     application_attachment.id = $1`,
+                    values: [addAttachmentRes.rows[0].id],
+                });
+
+                retAttachment = this._createAttachmentDTO(attachmentRes.rows[0]);
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retAttachment;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Get the metadata of a file that is attached to an application, and the key that its content is stored under.
+   * Only the applicant that the application belongs to and users who can read all applications can get it.
+   * @param {String} username The username of the user that requests the file.
+   * @param {Integer} attachmentID The id of the attachment.
+   * @param {boolean} canReadAll Whether the user can read the attachments of all the applications.
+   * @return {{attachmentDTO, storageKey} | null} The metadata of the attachment and its storage key,
+   *                                              the storage key is null in case of an error. The error code
+   *                                              is InvalidAttachment in case the attachment does not exist,
+   *                                              or NotOwner in case the user can not read it.
+   *                                              Null in case something went wrong.
+   */
+    async getAttachment(username, attachmentID, canReadAll) {
+        const getAttachmentQuery = {
+            text: `SELECT   application_attachment.storage_key, login_info.username
+            FROM      application_attachment
+                      INNER JOIN application ON (application.id = application_attachment.application_id)
+                      INNER JOIN login_info ON (login_info.person_id = application.person_id)
+            WHERE     application_attachment.id = $1`,
+            values: [attachmentID],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            let retAttachment = {attachmentDTO: null, storageKey: null};
+            const ownerRes = await this._runQuery(getAttachmentQuery);
+
+            if (ownerRes.rowCount <= 0) {
+                retAttachment.attachmentDTO = this._createDummyAttachmentDTO(999999,
+                    applicationErrorCodes.InvalidAttachment);
+            } else if (!canReadAll && ownerRes.rows[0].username !== username) {
+                retAttachment.attachmentDTO = this._createDummyAttachmentDTO(999999, applicationErrorCodes.NotOwner);
+            } else {
+                const attachmentRes = await this._runQuery({
+                    text: `${this._getAttachmentsQueryText()}
+            WHERE     application_attachment.id = $1`,
+                    values: [attachmentID],
+                });
+
+                retAttachment = {
+                    attachmentDTO: this._createAttachmentDTO(attachmentRes.rows[0]),
+                    storageKey: ownerRes.rows[0].storage_key,
+                };
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retAttachment;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Get the storage keys of all the files that a user has attached to applications.
+   * @param {String} username The username of the user.
+   * @return {[String] | null} The storage keys. Null in case something went wrong.
+   */
+    async getAttachmentStorageKeys(username) {
+        const getStorageKeysQuery = {
+            text: `SELECT   application_attachment.storage_key
+            FROM      application_attachment
+                      INNER JOIN application ON (application.id = application_attachment.application_id)
+                      INNER JOIN login_info ON (login_info.person_id = application.person_id)
+            WHERE     login_info.username = $1`,
+            values: [username],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const storageKeysRes = await this._runQuery(getStorageKeysQuery);
+
+            await this._runQuery('COMMIT');
+
+            return storageKeysRes.rows.map((row) => row.storage_key);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Withdraw an application, so that it is no longer considered by the recruiters.
+   * Only the applicant that the application belongs to can withdraw it, and only while it is Unhandled.
+   * @param {String} username The username of the applicant.
+   * @param {Integer} applicationID The id of the application.
+   * @return {ApplicationDTO | null} An object holding the withdrawn application.
+   *                                  The error code is InvalidID in case the application does not exist,
+   *                                  NotOwner in case it belongs to someone else, or ExistentDecision in case
+   *                                  it is no longer Unhandled. Null in case something went wrong.
+   */
+    async withdrawApplication(username, applicationID) {
+        const withdrawApplicationQuery = {
+            text: `UPDATE public.application_status
+            SET     decision = $1, version = version + 1
+            WHERE   application_id = $2`,
+            values: [decisionsEnum.Withdrawn, applicationID],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const errorCode = await this._checkApplicationChange(applicationID, username);
+
+            let retApplication;
+
+            if (errorCode !== applicationErrorCodes.OK) {
+                retApplication = this._createDummyApplicationDTO(applicationID, errorCode);
+            } else {
+                await this._runQuery(withdrawApplicationQuery);
+                await this._recordDecision(applicationID, decisionsEnum.Withdrawn, decisionsEnum.Unhandled, null, null);
+
+                [retApplication] = await this._getApplicationsByID([applicationID]);
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retApplication;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Register the decision that was taken about an application. Keeping in mind that only recruiters
+   * have the privilege to do that.
+   * @param {String} username The username that is related to the recruiter.
+   * @param {Integer} applicationID The id for the application that is decided upon.
+   * @param {String} decision The decision taken about the application.
+   * @param {Integer | null} version The version of the application that the recruiter based the decision on,
+   *                                 or null in order to decide upon any version of the application.
+   * @return {DecisionDTO | null} An object holding the decision that was registered to the application.
+   *                              The error code is StaleVersion in case the application has been changed
+   *                              since the given version. Null in case something went wrong.
+   */
+    async submitApplicationDecision(username, applicationID, decision, version) {
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            // Looked up before the transaction, since the lookups commit on their own and would end it early.
+            const personID = await this._getPersonID(username);
+            const roleID = personID === -1 ? -1 : await this._getRoleID(personID);
+            const applicationChecker = await this._checkApplication(applicationID);
+
+            await this._runQuery('BEGIN');
+
+            let retDecision;
+            let staleVersion = false;
+
+            if (personID === -1) {
+                retDecision = new DecisionDTO(decisionsEnum.Unhandled, 0, decisionErrorCodes.InvalidUsername);
+            } else if (roleID === -1 || roleID === recruitmentRoles.Applicant) {
+                retDecision = new DecisionDTO(decisionsEnum.Unhandled, 0, decisionErrorCodes.InvalidRole);
+            } else if (applicationChecker.applicationStatusID === -1) {
+                retDecision = new DecisionDTO(decisionsEnum.Unhandled, 0, decisionErrorCodes.InvalidApplication);
+            } else if (version !== null && applicationChecker.version !== version) {
+                retDecision = new DecisionDTO(applicationChecker.decision, applicationChecker.version,
+                    decisionErrorCodes.StaleVersion);
+            } else if (applicationChecker.decision !== decisionsEnum.Unhandled) {
+                retDecision = new DecisionDTO(applicationChecker.decision, 0, decisionErrorCodes.ExistentDecision);
+            } else if (decision !== decisionsEnum.Unhandled &&
+                decision !== decisionsEnum.Accepted &&
+                decision !== decisionsEnum.Rejected) {
+                retDecision = new DecisionDTO(decisionsEnum.Unhandled, 0, decisionErrorCodes.InvalidDecision);
+            } else {
+                // The version is checked again, in case another recruiter decided after the check above.
+                const submitDecisionQuery = {
+                    text: `UPDATE public.application_status
+                SET     decision= $1, recruiter_id= $2, version = version + 1
+                WHERE   application_id = $3 AND version = $4
+                RETURNING application_status.version;`,
+                    values: [decision, personID, applicationID, applicationChecker.version],
+                };
+
+                const submitDecisionRes = await this._runQuery(submitDecisionQuery);
+
+                if (submitDecisionRes.rowCount <= 0) {
+                    staleVersion = true;
+                } else {
+                    if (decision !== decisionsEnum.Unhandled) {
+                        await this._recordDecision(applicationID, decision, applicationChecker.decision, personID, null);
+                    }
+
+                    retDecision = new DecisionDTO(decision, submitDecisionRes.rows[0].version, decisionErrorCodes.OK);
+                }
+            }
+
+            await this._runQuery('COMMIT');
+
+            if (staleVersion) {
+                const currentApplication = await this._checkApplication(applicationID);
+
+                retDecision = new DecisionDTO(currentApplication.decision, currentApplication.version,
+                    decisionErrorCodes.StaleVersion);
+            }
+
+            return retDecision;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Register the decisions that were taken about several applications at once.
+   * Every decision is checked like a single decision, including the version of the application.
+   * @param {String} username The username that is related to the recruiter.
+   * @param {[{applicationID, decision, version}]} decisions The decisions, at most one per application.
+   * @param {String} mode In atomic mode no decision is registered in case any of them has an error,
+   *                      in best effort mode the decisions without errors are registered anyway.
+   * @return {BulkDecisionDTO | null} An object holding the result of every decision.
+   *                                  Null in case something went wrong.
+   */
+    async submitApplicationDecisions(username, decisions, mode) {
+        // The decisions are checked and registered by one statement, since statements of other requests
+        // may run on the same connection in between and would end up in a transaction spanning several.
+        const submitDecisionsQuery = {
+            text: `WITH input AS (
+                SELECT  *
+                FROM    unnest($1::INTEGER[], $2::INTEGER[], $3::VARCHAR[]) AS input(application_id, version, decision)
+            ), locked AS (
+                SELECT    application_status.application_id, application_status.decision,
+                          application_status.version
+                FROM      application_status
+                WHERE     application_status.application_id IN (SELECT input.application_id FROM input)
+                ORDER BY  application_status.application_id ASC
+                FOR UPDATE
+            ), valid AS (
+                SELECT  input.application_id, input.version, input.decision
+                FROM    input
+                JOIN    locked ON locked.application_id = input.application_id
+                WHERE   $4::INTEGER IS NOT NULL
+                        AND locked.version = input.version
+                        AND locked.decision = 'Unhandled'
+                        AND input.decision IN ('Unhandled', 'Accepted', 'Rejected')
+            ), updated AS (
+                UPDATE  public.application_status
+                SET     decision = valid.decision, recruiter_id = $4, version = application_status.version + 1
+                FROM    valid
+                WHERE   application_status.application_id = valid.application_id
+                        AND application_status.version = valid.version
+                        AND (NOT $5::BOOLEAN OR (SELECT COUNT(*) FROM valid) = (SELECT COUNT(*) FROM input))
+                RETURNING application_status.application_id, application_status.decision,
+                          application_status.version
+            ), recorded AS (
+                INSERT INTO public.application_decision(application_id, decision, previous_decision,
+                                                        recruiter_id, previous_decision_id)
+                    SELECT  updated.application_id, updated.decision, 'Unhandled', $4,
+                            (SELECT   MAX(application_decision.id)
+                             FROM     application_decision
+                             WHERE    application_decision.application_id = updated.application_id)
+                    FROM    updated
+                    WHERE   updated.decision <> 'Unhandled'
+            )
+            SELECT    locked.application_id, locked.decision, locked.version,
+                      updated.decision AS new_decision, updated.version AS new_version
+            FROM      locked
+            LEFT JOIN updated ON updated.application_id = locked.application_id`,
+            values: [
+                decisions.map((decision) => decision.applicationID),
+                decisions.map((decision) => decision.version),
+                decisions.map((decision) => decision.decision),
+                null,
+                mode !== bulkDecisionModeEnum.BestEffort,
+            ],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            const personID = await this._getPersonID(username);
+            const roleID = personID === -1 ? -1 : await this._getRoleID(personID);
+
+            if (personID !== -1 && roleID !== -1 && roleID !== recruitmentRoles.Applicant) {
+                submitDecisionsQuery.values[3] = personID;
+            }
+
+            // The rows are locked in the order of their id, so that concurrent bulk decisions cannot deadlock.
+            // In atomic mode nothing is updated unless every decision is valid on the locked rows.
+            const submitDecisionsRes = await this._runQuery(submitDecisionsQuery);
+
+            const results = decisions.map((item) => {
+                const status = submitDecisionsRes.rows.find((row) => row.application_id === item.applicationID);
+                let errorCode = decisionErrorCodes.OK;
+
+                if (personID === -1) {
+                    errorCode = decisionErrorCodes.InvalidUsername;
+                } else if (roleID === -1 || roleID === recruitmentRoles.Applicant) {
+                    errorCode = decisionErrorCodes.InvalidRole;
+                } else if (status === undefined) {
+                    errorCode = decisionErrorCodes.InvalidApplication;
+                } else if (status.version !== item.version) {
+                    errorCode = decisionErrorCodes.StaleVersion;
+                } else if (status.decision !== decisionsEnum.Unhandled) {
+                    errorCode = decisionErrorCodes.ExistentDecision;
+                } else if (item.decision !== decisionsEnum.Unhandled &&
+                    item.decision !== decisionsEnum.Accepted &&
+                    item.decision !== decisionsEnum.Rejected) {
+                    errorCode = decisionErrorCodes.InvalidDecision;
+                }
+
+                const submitted = status !== undefined && status.new_version !== null;
+
+                return {
+                    applicationID: item.applicationID,
+                    decision: submitted ? status.new_decision : (status === undefined ? decisionsEnum.Unhandled : status.decision),
+                    version: submitted ? status.new_version : (status === undefined ? 0 : status.version),
+                    errorCode: errorCode,
+                };
+            });
+
+            const committed = mode === bulkDecisionModeEnum.BestEffort ||
+                results.every((result) => result.errorCode === decisionErrorCodes.OK);
+
+            // The decisions without errors were not registered either, so they are not reported as OK.
+            if (!committed) {
+                results.filter((result) => result.errorCode === decisionErrorCodes.OK)
+                    .forEach((result) => result.errorCode = decisionErrorCodes.RolledBack);
+            }
+
+            return new BulkDecisionDTO(mode, results, committed);
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Revise the decision that was taken about an application, or reopen it by reverting it to Unhandled.
+   * The decision that is replaced is kept in the chain of previous decisions of the application.
+   * @param {String} username The username of the recruiter that revises the decision.
+   * @param {Integer} applicationID The id of the application that was decided upon.
+   * @param {String} decision The new decision, either Unhandled, Accepted or Rejected.
+   * @param {String} reason The reason to revise the decision.
+   * @return {DecisionDTO | null} An object holding the decision that the application has afterwards.
+   *                              The error code is NotDecided in case the application is still Unhandled,
+   *                              WithdrawnApplication in case it was withdrawn by the applicant, or
+   *                              InvalidDecision in case the new decision is the same as the current one, or
+   *                              StaleVersion in case the decision changed before it could be revised.
+   *                              Null in case something went wrong.
+   */
+    async reviseApplicationDecision(username, applicationID, decision, reason) {
+        const lockApplicationStatusQuery = {
+            text: `SELECT   application_status.decision
+            FROM      application_status
+            WHERE     application_status.application_id = $1
+            FOR UPDATE`,
+            values: [applicationID],
+        };
+
+        const reviseDecisionQuery = {
+            text: `UPDATE public.application_status
+            SET     decision = $1, recruiter_id = $2, version = version + 1
+            WHERE   application_id = $3 AND decision = $4
+            RETURNING application_status.version`,
+            values: [decision, null, applicationID, null],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            // Looked up before the transaction, since the lookups commit on their own and would release the lock.
+            const personID = await this._getPersonID(username);
+            const roleID = personID === -1 ? -1 : await this._getRoleID(personID);
+
+            await this._runQuery('BEGIN');
+
+            let retDecision;
+            const applicationStatusRes = await this._runQuery(lockApplicationStatusQuery);
+
+            if (personID === -1) {
+                retDecision = new DecisionDTO(decisionsEnum.Unhandled, 0, decisionErrorCodes.InvalidUsername);
+            } else if (roleID === -1 || roleID === recruitmentRoles.Applicant) {
+                retDecision = new DecisionDTO(decisionsEnum.Unhandled, 0, decisionErrorCodes.InvalidRole);
+            } else if (applicationStatusRes.rowCount <= 0) {
+                retDecision = new DecisionDTO(decisionsEnum.Unhandled, 0, decisionErrorCodes.InvalidApplication);
+            } else {
+                const currentDecision = applicationStatusRes.rows[0].decision;
+
+                if (currentDecision === decisionsEnum.Unhandled) {
+                    retDecision = new DecisionDTO(currentDecision, 0, decisionErrorCodes.NotDecided);
+                } else if (currentDecision === decisionsEnum.Withdrawn) {
+                    retDecision = new DecisionDTO(currentDecision, 0, decisionErrorCodes.WithdrawnApplication);
+                } else if (decision === currentDecision || decision === decisionsEnum.Withdrawn) {
+                    retDecision = new DecisionDTO(currentDecision, 0, decisionErrorCodes.InvalidDecision);
+                } else {
+                    // A reopened application has no deciding recruiter until it is decided again.
+                    if (decision !== decisionsEnum.Unhandled) {
+                        reviseDecisionQuery.values[1] = personID;
+                    }
+                    reviseDecisionQuery.values[3] = currentDecision;
+
+                    const reviseDecisionRes = await this._runQuery(reviseDecisionQuery);
+
+                    if (reviseDecisionRes.rowCount <= 0) {
+                        retDecision = new DecisionDTO(currentDecision, 0, decisionErrorCodes.StaleVersion);
+                    } else {
+                        await this._recordDecision(applicationID, decision, currentDecision, personID, reason);
+
+                        retDecision = new DecisionDTO(decision, reviseDecisionRes.rows[0].version, decisionErrorCodes.OK);
+                    }
+                }
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retDecision;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Get the history of the status changes of an application, with the recruiter that made each change
+   * and the time that it was made.
+   * @param {Integer} applicationID The id of the application.
+   * @return {DecisionHistoryDTO | null} An object holding the status changes from the oldest to the latest.
+   *                                     The error code is InvalidApplication in case the application
+   *                                     does not exist. Null in case something went wrong.
+   */
+    async getDecisionHistory(applicationID) {
+        const getDecisionHistoryQuery = {
+            text: `SELECT   application_decision.decision, application_decision.previous_decision,
+                      application_decision.reason, application_decision.decided_at,
+                      application_decision.recruiter_id, login_info.username,
+                      person.first_name, person.last_name
+            FROM      application_decision
+                      LEFT JOIN person ON (person.id = application_decision.recruiter_id)
+                      LEFT JOIN login_info ON (login_info.person_id = application_decision.recruiter_id)
+            WHERE     application_decision.application_id = $1
+            ORDER BY  application_decision.id ASC`,
+            values: [applicationID],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            let retHistory;
+            const applicationChecker = await this._checkApplication(applicationID);
+
+            if (applicationChecker.applicationStatusID === -1) {
+                retHistory = new DecisionHistoryDTO(applicationID, [], decisionErrorCodes.InvalidApplication);
+            } else {
+                const decisionHistoryRes = await this._runQuery(getDecisionHistoryQuery);
+
+                const changes = decisionHistoryRes.rows.map((row) => ({
+                    decision: row.decision,
+                    previousDecision: row.previous_decision,
+                    recruiter: row.recruiter_id === null ? null : {
+                        username: row.username,
+                        firstName: row.first_name,
+                        lastName: row.last_name,
+                    },
+                    reason: row.reason,
+                    decidedAt: row.decided_at,
+                }));
+
+                retHistory = new DecisionHistoryDTO(applicationID, changes, decisionErrorCodes.OK);
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retHistory;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Get the notes that recruiters have written on an application, as threads of replies.
+   * @param {Integer} applicationID The id of the application.
+   * @return {ApplicationNotesDTO | null} An object holding the threads from the oldest to the latest.
+   *                                      The error code is InvalidApplication in case the application
+   *                                      does not exist. Null in case something went wrong.
+   */
+    async getApplicationNotes(applicationID) {
+        const getNotesQuery = {
+            text: `${this._getNotesQueryText()}
+            WHERE     application_note.application_id = $1
+            ORDER BY  application_note.id ASC`,
+            values: [applicationID],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            let retNotes;
+            const applicationChecker = await this._checkApplication(applicationID);
+
+            if (applicationChecker.applicationStatusID === -1) {
+                retNotes = new ApplicationNotesDTO(applicationID, [], noteErrorCodes.InvalidApplication);
+            } else {
+                const notesRes = await this._runQuery(getNotesQuery);
+
+                const notes = new Map();
+                const threads = [];
+
+                // The notes are ordered by id, so a parent note is always created before its replies.
+                for (const row of notesRes.rows) {
+                    const note = this._createNoteDTO(row);
+                    notes.set(note.noteID, note);
+
+                    if (note.parentID === null) {
+                        threads.push(note);
+                    } else {
+                        notes.get(note.parentID).replies.push(note);
+                    }
+                }
+
+                retNotes = new ApplicationNotesDTO(applicationID, threads, noteErrorCodes.OK);
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retNotes;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Write a note on an application, either starting a new thread or replying to another note.
+   * @param {String} username The username of the recruiter that writes the note.
+   * @param {Integer} applicationID The id of the application.
+   * @param {Integer | null} parentID The id of the note that is replied to, null to start a new thread.
+   * @param {String} text The text of the note.
+   * @return {NoteDTO | null} An object holding the new note. The error code is InvalidApplication in case
+   *                          the application does not exist, or InvalidParent in case the replied note
+   *                          does not exist on the same application or has been deleted.
+   *                          Null in case something went wrong.
+   */
+    async addApplicationNote(username, applicationID, parentID, text) {
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            // Looked up before the transaction, since the lookups commit on their own.
+            const personID = await this._getPersonID(username);
+            const applicationChecker = await this._checkApplication(applicationID);
+
+            await this._runQuery('BEGIN');
+
+            let retNote;
+            const parentNote = parentID === null ? null : await this._getNote(parentID);
+
+            if (applicationChecker.applicationStatusID === -1) {
+                retNote = this._createDummyNoteDTO(applicationID, noteErrorCodes.InvalidApplication);
+            } else if (parentID !== null && (parentNote === null || parentNote.text === null ||
+                parentNote.application_id !== applicationID)) {
+                retNote = this._createDummyNoteDTO(applicationID, noteErrorCodes.InvalidParent);
+            } else {
+                const addNoteQuery = {
+                    text: `INSERT INTO public.application_note(application_id, author_id, parent_id, text)
+                            VALUES ($1, $2, $3, $4) RETURNING application_note.id`,
+                    values: [applicationID, personID, parentID, text],
+                };
+
+                const addNoteRes = await this._runQuery(addNoteQuery);
+
+                retNote = this._createNoteDTO(await this._getNote(addNoteRes.rows[0].id));
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retNote;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Change the text of a note, only the recruiter that wrote the note can edit it.
+   * @param {String} username The username of the recruiter that edits the note.
+   * @param {Integer} noteID The id of the note.
+   * @param {String} text The new text of the note.
+   * @return {NoteDTO | null} An object holding the edited note, without its replies. The error code is
+   *                          InvalidNote in case the note does not exist or has been deleted, or NotAuthor
+   *                          in case someone else wrote it. Null in case something went wrong.
+   */
+    async editApplicationNote(username, noteID, text) {
+        const editNoteQuery = {
+            text: `UPDATE public.application_note
+            SET     text = $1, updated_at = NOW()
+            WHERE   id = $2`,
+            values: [text, noteID],
+        };
+
+        return await this._changeOwnNote(username, noteID, editNoteQuery);
+    }
+
+    /**
+   * Delete a note, only the recruiter that wrote the note can delete it.
+   * The replies to the note are kept, while the text of the note is removed.
+   * @param {String} username The username of the recruiter that deletes the note.
+   * @param {Integer} noteID The id of the note.
+   * @return {NoteDTO | null} An object holding the deleted note, without its replies. The error code is
+   *                          InvalidNote in case the note does not exist or has already been deleted,
+   *                          or NotAuthor in case someone else wrote it. Null in case something went wrong.
+   */
+    async deleteApplicationNote(username, noteID) {
+        const deleteNoteQuery = {
+            text: `UPDATE public.application_note
+            SET     text = NULL, deleted_at = NOW()
+            WHERE   id = $1`,
+            values: [noteID],
+        };
+
+        return await this._changeOwnNote(username, noteID, deleteNoteQuery);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _changeOwnNote(username, noteID, changeNoteQuery) {
+        const lockNoteQuery = {
+            text: `SELECT   application_note.id FROM application_note WHERE application_note.id = $1 FOR UPDATE`,
+            values: [noteID],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            // Looked up before the transaction, since the lookup commits on its own and would release the lock.
+            const personID = await this._getPersonID(username);
+
+            await this._runQuery('BEGIN');
+
+            let retNote;
+            await this._runQuery(lockNoteQuery);
+            const note = await this._getNote(noteID);
+
+            if (note === null || note.text === null) {
+                retNote = this._createDummyNoteDTO(note === null ? 999999 : note.application_id,
+                    noteErrorCodes.InvalidNote);
+            } else if (note.author_id !== personID) {
+                retNote = this._createDummyNoteDTO(note.application_id, noteErrorCodes.NotAuthor);
+            } else {
+                await this._runQuery(changeNoteQuery);
+
+                retNote = this._createNoteDTO(await this._getNote(noteID));
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retNote;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _getNotesQueryText() {
+        return `SELECT   application_note.id, application_note.application_id, application_note.parent_id,
+                      application_note.author_id, application_note.text, application_note.created_at,
+                      application_note.updated_at, login_info.username, person.first_name, person.last_name
+            FROM      application_note
+                      INNER JOIN person ON (person.id = application_note.author_id)
+                      LEFT JOIN login_info ON (login_info.person_id = application_note.author_id)`;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _getNote(noteID) {
+        const getNoteQuery = {
+            text: `${this._getNotesQueryText()}
+            WHERE     application_note.id = $1`,
+            values: [noteID],
+        };
+
+        const noteRes = await this._runQuery(getNoteQuery);
+
+        return noteRes.rowCount > 0 ? noteRes.rows[0] : null;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _createNoteDTO(row) {
+        return new NoteDTO(row.id, row.application_id, row.parent_id,
+            {username: row.username, firstName: row.first_name, lastName: row.last_name},
+            row.text, row.created_at, row.updated_at, [], noteErrorCodes.OK);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _createDummyNoteDTO(applicationID, errorCode) {
+        return new NoteDTO(999999, applicationID, null, {username: 'DUMMY', firstName: 'DUMMY', lastName: 'DUMMY'},
+            'DUMMY', new Date(0), null, [], errorCode);
+    }
+
+    /**
+   * Get the criteria that the recruiters score applications against.
+   * @return {[ScoreCriterionDTO] | null} An array holding the criteria ordered by their id.
+   *                                      Null in case something went wrong.
+   */
+    async getScoreCriteria() {
+        const getScoreCriteriaQuery = {
+            text: `SELECT   score_criterion.id, score_criterion.name, score_criterion.description,
+                      score_criterion.min_score, score_criterion.max_score
+            FROM      score_criterion
+            ORDER BY  score_criterion.id ASC`,
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            const scoreCriteriaRes = await this._runQuery(getScoreCriteriaQuery);
+
+            await this._runQuery('COMMIT');
+
+            return scoreCriteriaRes.rows.map((row) => this._createScoreCriterionDTO(row));
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Add a criterion that the recruiters can score applications against.
+   * @param {String} name The name of the criterion, which must not be used by another criterion.
+   * @param {String | null} description What the recruiters should consider when scoring the criterion.
+   * @param {Integer} minScore The lowest score of the scale.
+   * @param {Integer} maxScore The highest score of the scale, must be greater than the lowest score.
+   * @return {ScoreCriterionDTO | null} An object holding the new criterion. The error code is ExistentCriterion
+   *                                    in case the name is already used. Null in case something went wrong.
+   */
+    async addScoreCriterion(name, description, minScore, maxScore) {
+        const checkNameQuery = {
+            text: `SELECT   score_criterion.id FROM score_criterion WHERE LOWER(score_criterion.name) = LOWER($1)`,
+            values: [name],
+        };
+
+        const addScoreCriterionQuery = {
+            text: `INSERT INTO public.score_criterion(name, description, min_score, max_score)
+                    VALUES ($1, $2, $3, $4)
+                    RETURNING id, name, description, min_score, max_score`,
+            values: [name, description, minScore, maxScore],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            await this._runQuery('BEGIN');
+
+            let retCriterion;
+            const checkNameRes = await this._runQuery(checkNameQuery);
+
+            if (checkNameRes.rowCount > 0) {
+                retCriterion = new ScoreCriterionDTO(checkNameRes.rows[0].id, name, description, minScore, maxScore,
+                    scoreErrorCodes.ExistentCriterion);
+            } else {
+                const addScoreCriterionRes = await this._runQuery(addScoreCriterionQuery);
+
+                retCriterion = this._createScoreCriterionDTO(addScoreCriterionRes.rows[0]);
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retCriterion;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Score an application against one or more criteria, replacing the scores that the recruiter
+   * has given these criteria on the application before.
+   * @param {String} username The username of the recruiter.
+   * @param {Integer} applicationID The id of the application.
+   * @param {[{criterionID, score}]} scores The scores, at most one per criterion.
+   * @return {ApplicationScoresDTO | null} An object holding the aggregated scores of the application.
+   *                                       The error code is InvalidApplication in case the application
+   *                                       does not exist, InvalidCriterion in case a criterion does not exist,
+   *                                       or InvalidScore in case a score is outside the scale of its criterion.
+   *                                       Null in case something went wrong.
+   */
+    async scoreApplication(username, applicationID, scores) {
+        const getCriteriaQuery = {
+            text: `SELECT   score_criterion.id, score_criterion.min_score, score_criterion.max_score
+            FROM      score_criterion
+            WHERE     score_criterion.id = ANY($1::INTEGER[])`,
+            values: [scores.map((score) => score.criterionID)],
+        };
+
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            // Looked up before the transaction, since the lookups commit on their own and would split the scores.
+            const personID = await this._getPersonID(username);
+            const applicationChecker = await this._checkApplication(applicationID);
+
+            await this._runQuery('BEGIN');
+
+            let errorCode = scoreErrorCodes.OK;
+            const criteriaRes = await this._runQuery(getCriteriaQuery);
+
+            if (applicationChecker.applicationStatusID === -1) {
+                errorCode = scoreErrorCodes.InvalidApplication;
+            } else if (criteriaRes.rowCount !== scores.length) {
+                errorCode = scoreErrorCodes.InvalidCriterion;
+            } else if (scores.some((score) => {
+                const criterion = criteriaRes.rows.find((row) => row.id === score.criterionID);
+                return score.score < criterion.min_score || score.score > criterion.max_score;
+            })) {
+                errorCode = scoreErrorCodes.InvalidScore;
+            }
+
+            let retScores;
+
+            if (errorCode !== scoreErrorCodes.OK) {
+                retScores = new ApplicationScoresDTO(applicationID, null, 0, [], [], errorCode);
+            } else {
+                for (const score of scores) {
+                    const scoreApplicationQuery = {
+                        text: `INSERT INTO public.application_score(application_id, recruiter_id, criterion_id, score)
+                                VALUES ($1, $2, $3, $4)
+                                ON CONFLICT (application_id, recruiter_id, criterion_id)
+                                DO UPDATE SET score = EXCLUDED.score, scored_at = NOW()`,
+                        values: [applicationID, personID, score.criterionID, score.score],
+                    };
+
+                    await this._runQuery(scoreApplicationQuery);
+                }
+
+                retScores = await this._getApplicationScores(applicationID, personID);
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retScores;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    /**
+   * Get the scores that the recruiters have given an application, aggregated per criterion.
+   * @param {String} username The username of the recruiter that requests the scores.
+   * @param {Integer} applicationID The id of the application.
+   * @return {ApplicationScoresDTO | null} An object holding the aggregated scores of the application and the
+   *                                       scores given by the requesting recruiter. The error code is
+   *                                       InvalidApplication in case the application does not exist.
+   *                                       Null in case something went wrong.
+   */
+    async getApplicationScores(username, applicationID) {
+        try {
+            const connection = await this._checkConnection();
+
+            if (!connection) {
+                return null;
+            }
+
+            const personID = await this._getPersonID(username);
+            const applicationChecker = await this._checkApplication(applicationID);
+
+            await this._runQuery('BEGIN');
+
+            let retScores;
+
+            if (applicationChecker.applicationStatusID === -1) {
+                retScores = new ApplicationScoresDTO(applicationID, null, 0, [], [], scoreErrorCodes.InvalidApplication);
+            } else {
+                retScores = await this._getApplicationScores(applicationID, personID);
+            }
+
+            await this._runQuery('COMMIT');
+
+            return retScores;
+        } catch (err) {
+            this.logger.logException(err);
+            return null;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _getApplicationScores(applicationID, personID) {
+        const getCriteriaScoresQuery = {
+            text: `SELECT   score_criterion.id, score_criterion.name,
+                      AVG(application_score.score)::FLOAT AS average_score,
+                      COUNT(application_score.id)::INTEGER AS score_count
+            FROM      application_score
+                      INNER JOIN score_criterion ON (score_criterion.id = application_score.criterion_id)
+            WHERE     application_score.application_id = $1
+            GROUP BY  score_criterion.id
+            ORDER BY  score_criterion.id ASC`,
+            values: [applicationID],
+        };
+
+        const getTotalScoreQuery = {
+            text: `SELECT   AVG(application_score.score)::FLOAT AS average_score,
+                      COUNT(DISTINCT application_score.recruiter_id)::INTEGER AS recruiter_count
+            FROM      application_score
+            WHERE     application_score.application_id = $1`,
+            values: [applicationID],
+        };
+
+        const getOwnScoresQuery = {
+            text: `SELECT   application_score.criterion_id, application_score.score
+            FROM      application_score
+            WHERE     application_score.application_id = $1 AND application_score.recruiter_id = $2
+            ORDER BY  application_score.criterion_id ASC`,
+            values: [applicationID, personID],
+        };
+
+        const criteriaScoresRes = await this._runQuery(getCriteriaScoresQuery);
+        const totalScoreRes = await this._runQuery(getTotalScoreQuery);
+        const ownScoresRes = await this._runQuery(getOwnScoresQuery);
+
+        return new ApplicationScoresDTO(applicationID,
+            totalScoreRes.rows[0].average_score,
+            totalScoreRes.rows[0].recruiter_count,
+            criteriaScoresRes.rows.map((row) => ({
+                criterionID: row.id,
+                name: row.name,
+                averageScore: row.average_score,
+                scoreCount: row.score_count,
+            })),
+            ownScoresRes.rows.map((row) => ({criterionID: row.criterion_id, score: row.score})),
+            scoreErrorCodes.OK);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _createScoreCriterionDTO(row) {
+        return new ScoreCriterionDTO(row.id, row.name, row.description, row.min_score, row.max_score,
+            scoreErrorCodes.OK);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _recordDecision(applicationID, decision, previousDecision, recruiterID, reason) {
+        const recordDecisionQuery = {
+            text: `INSERT INTO public.application_decision(application_id, decision, previous_decision,
+                                                           recruiter_id, reason, previous_decision_id)
+                    VALUES ($1, $2, $3, $4, $5, (SELECT   MAX(application_decision.id)
+                                                 FROM     application_decision
+                                                 WHERE    application_decision.application_id = $1))`,
+            values: [applicationID, decision, previousDecision, recruiterID, reason],
+        };
+
+        await this._runQuery(recordDecisionQuery);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _getRoleID(personID) {
         const getRoleIDQuery = {
             text: `SELECT   person.role_id
                     FROM    person
@@ -583,11 +3015,39 @@ class RecruitmentDAO {
         }
     }
 
+    // eslint-disable-next-line require-jsdoc
+    async _isEmailVerified(personID) {
+        const getEmailVerifiedQuery = {
+            text: `SELECT   login_info.email_verified
+                    FROM    login_info
+                    WHERE   login_info.person_id = $1`,
+            values: [personID],
+        };
+
+        try {
+            let emailVerified = false;
+
+            await this._runQuery('BEGIN');
+
+            const emailVerifiedRes = await this._runQuery(getEmailVerifiedQuery);
+
+            if (emailVerifiedRes.rowCount > 0) {
+                emailVerified = emailVerifiedRes.rows[0].email_verified;
+            }
+
+            await this._runQuery('COMMIT');
+
+            return emailVerified;
+        } catch (err) {
+            throw err;
+        }
+    }
+
     // eslint-disable-next-line require-jsdoc
     async _checkApplication(applicationID) {
         const checkApplicationQuery = {
             text: `SELECT   application_status.id,
-                            application_status.decision
+                            application_status.decision, application_status.version
                 FROM        application_status
                 WHERE       application_status.application_id = $1`,
             values: [applicationID],
@@ -600,7 +3060,7 @@ class RecruitmentDAO {
                 return null;
             }
 
-            let applicationExistent = {applicationStatusID: -1, decision: decisionsEnum.Unhandled};
+            let applicationExistent = {applicationStatusID: -1, decision: decisionsEnum.Unhandled, version: 0};
 
             await this._runQuery('BEGIN');
 
@@ -610,6 +3070,7 @@ class RecruitmentDAO {
                 applicationExistent = {
                     applicationStatusID: checkApplicationRes.rows[0].id,
                     decision: checkApplicationRes.rows[0].decision,
+                    version: checkApplicationRes.rows[0].version,
                 };
             }
 
@@ -622,11 +3083,89 @@ class RecruitmentDAO {
     }
 
     // eslint-disable-next-line require-jsdoc
-    async _getApplications(applicationFilterDTO) {
+    _getApplicationsSortColumn(sortBy) {
+        // The names refer to the columns selected in _getApplications.
+        const sortColumns = {
+            [applicationSortEnum.ID]: 'application_id',
+            [applicationSortEnum.AverageScore]: 'average_score',
+            [applicationSortEnum.LastName]: 'last_name',
+            [applicationSortEnum.FirstName]: 'first_name',
+            [applicationSortEnum.Experience]: 'years_of_experience',
+            [applicationSortEnum.AvailabilityStart]: 'availability_start',
+            [applicationSortEnum.SubmittedAt]: 'submitted_at',
+            [applicationSortEnum.Decision]: 'decision',
+        };
+        return sortColumns[sortBy];
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _getApplicationsOrder(sortBy, sortOrder, reversed) {
+        const sortColumn = this._getApplicationsSortColumn(sortBy);
+        const ascending = (sortOrder === sortOrderEnum.Asc) !== reversed;
+        const direction = ascending ? 'ASC' : 'DESC';
+
+        if (sortBy === applicationSortEnum.ID) {
+            return `application_id ${direction}`;
+        }
+        // Applications with the same value are ordered by id, so that the order is stable between pages.
+        // Unscored applications come last in both directions, and first when the order is reversed.
+        return `${sortColumn} ${direction} ${reversed ? 'NULLS FIRST' : 'NULLS LAST'},
+                      application_id ${reversed ? 'DESC' : 'ASC'}`;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _createApplicationCursor(applicationFilterDTO, row, direction) {
+        return ApplicationCursor.encode({
+            filters: ApplicationCursor.hashFilters(applicationFilterDTO),
+            sortBy: applicationFilterDTO.sortBy,
+            sortOrder: applicationFilterDTO.sortOrder,
+            direction: direction,
+            position: {
+                sortValue: applicationFilterDTO.sortBy === applicationSortEnum.ID ? null : row.sort_value,
+                applicationID: row.application_id,
+            },
+        });
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _getApplicationsKeyset(applicationFilterDTO, values) {
+        const cursor = applicationFilterDTO.cursor;
+        if (cursor === null || cursor.position === null) {
+            return 'TRUE';
+        }
+
+        const sortColumn = this._getApplicationsSortColumn(applicationFilterDTO.sortBy);
+        let sortValue = cursor.position.sortValue;
+        if (applicationFilterDTO.sortBy === applicationSortEnum.ID) {
+            sortValue = cursor.position.applicationID;
+        }
+        values.push(cursor.position.applicationID);
+        const idParam = `$${values.length}`;
+
+        // The applications after the cursor in the order of _getApplicationsOrder, or before it for the previous page.
+        const after = cursor.direction === cursorDirectionEnum.Next;
+        const comparison = (applicationFilterDTO.sortOrder === sortOrderEnum.Asc) === after ? '>' : '<';
+        const idComparison = after ? '>' : '<';
+
+        if (sortValue === null) {
+            return after ?
+                `(${sortColumn} IS NULL AND application_id > ${idParam})` :
+                `(${sortColumn} IS NOT NULL OR application_id < ${idParam})`;
+        }
+        values.push(sortValue);
+        const valueParam = `$${values.length}`;
+        return `(${sortColumn} ${comparison} ${valueParam}
+                      OR (${sortColumn} = ${valueParam} AND application_id ${idComparison} ${idParam})
+                      ${after ? `OR ${sortColumn} IS NULL` : ''})`;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _getApplicationsFilter(applicationFilterDTO) {
         let name = applicationFilterDTO.name;
         let competenceID = applicationFilterDTO.competenceID;
         let dateFrom = applicationFilterDTO.dateFrom;
         let dateTo = applicationFilterDTO.dateTo;
+        let jobID = applicationFilterDTO.jobID;
 
         if (name === filterEmptyParamEnum.Name) {
             name = '';
@@ -640,62 +3179,315 @@ class RecruitmentDAO {
         if (dateTo === filterEmptyParamEnum.Date) {
             dateTo = '';
         }
+        if (jobID === filterEmptyParamEnum.JobID) {
+            jobID = -1;
+        }
 
-        const getApplicationsQuery = {
-            text: `SELECT   application.id AS application_id,
-                      person.first_name, person.last_name
-                      
-            FROM      application
+        // The competence, job and experience filters have to be met by the same competence of the application.
+        return {
+            text: `FROM      application
                       INNER JOIN person ON (person.id = application.person_id)
-                      INNER JOIN applicant_availability ON (applicant_availability.application_id = application.id)
+                      INNER JOIN application_status ON (application_status.application_id = application.id)
             WHERE     CASE WHEN (($1 = '') IS NOT TRUE) THEN
-                        (person.first_name = $1 OR
-                        person.last_name = $1)
+                        (name_search_text(person.first_name || ' ' || person.last_name)
+                            LIKE '%' || name_search_text($1) || '%' OR
+                        name_search_text($1) <% name_search_text(person.first_name || ' ' || person.last_name))
                       ELSE
                         TRUE
                       END
                       AND
-                      CASE WHEN (($2 = -1) IS NOT TRUE) THEN
-                        application.competence_id = $2
+                      CASE WHEN (($2 = -1 AND $8 = -1 AND $9::NUMERIC = -1 AND $10::NUMERIC = -1) IS NOT TRUE) THEN
+                        EXISTS (SELECT  1
+                                FROM    application_competence
+                                        INNER JOIN competence ON (competence.id = application_competence.competence_id)
+                                WHERE   application_competence.application_id = application.id
+                                        AND ($2 = -1 OR application_competence.competence_id = $2)
+                                        AND ($8 = -1 OR competence.job_id = $8)
+                                        AND ($9::NUMERIC = -1 OR application_competence.years_of_experience >= $9::NUMERIC)
+                                        AND ($10::NUMERIC = -1 OR application_competence.years_of_experience <= $10::NUMERIC))
                       ELSE
                         TRUE
                       END
                       AND
-                      CASE WHEN (($3 = '') IS NOT TRUE) THEN
-                        applicant_availability.from_date >= DATE($3)
+                      EXISTS (SELECT  1
+                              FROM    applicant_availability
+                              WHERE   applicant_availability.application_id = application.id
+                                      AND
+                                      CASE WHEN (($3 = '') IS NOT TRUE) THEN
+                                        applicant_availability.from_date >= DATE($3)
+                                      ELSE
+                                        TRUE
+                                      END
+                                      AND
+                                      CASE WHEN (($4 = '') IS NOT TRUE) THEN
+                                        applicant_availability.to_date <= DATE($4)
+                                      ELSE
+                                        TRUE
+                                      END)
+                      AND role_id = $5
+                      AND
+                      CASE WHEN $6 THEN
+                        application_status.decision <> $7
                       ELSE
                         TRUE
                       END
                       AND
-                      CASE WHEN (($4 = '') IS NOT TRUE) THEN
-                        applicant_availability.to_date <= DATE($4)
+                      CASE WHEN (CARDINALITY($11::TEXT[]) > 0) THEN
+                        application_status.decision = ANY($11::TEXT[])
                       ELSE
                         TRUE
-                      END
-                      AND role_id = $5
-            ORDER BY  application.id ASC`,
-            values: [name, competenceID, dateFrom, dateTo, recruitmentRoles.Applicant],
+                      END`,
+            values: [name, competenceID, dateFrom, dateTo, recruitmentRoles.Applicant,
+                applicationFilterDTO.hideWithdrawn, decisionsEnum.Withdrawn, jobID, applicationFilterDTO.minExperience,
+                applicationFilterDTO.maxExperience, applicationFilterDTO.decisions],
         };
+    }
 
-        try {
-            const connection = await this._checkConnection();
+    // eslint-disable-next-line require-jsdoc
+    async _getApplications(applicationFilterDTO) {
+        const filter = this._getApplicationsFilter(applicationFilterDTO);
+        const values = [...filter.values];
+        const cursor = applicationFilterDTO.cursor;
+
+        // Page 0 lists all the applications, LIMIT NULL is the same as no limit.
+        // With a cursor one more application is fetched, which tells whether there is a page beyond this one.
+        let limit = null;
+        let offset = 0;
+        if (cursor !== null) {
+            limit = applicationFilterDTO.pageSize + 1;
+        } else if (applicationFilterDTO.page > filterEmptyParamEnum.Page) {
+            limit = applicationFilterDTO.pageSize;
+            offset = await this._getOffset(applicationFilterDTO.page, applicationFilterDTO.pageSize);
+        }
 
-            if (!connection) {
-                return null;
+        // The page before a cursor is fetched in the reversed order, and turned back by getApplicationsList.
+        const reversed = cursor !== null && cursor.direction === cursorDirectionEnum.Previous;
+        const keyset = this._getApplicationsKeyset(applicationFilterDTO, values);
+        values.push(limit, offset);
+
+        const getApplicationsQuery = {
+            text: `SELECT   filtered_application.*,
+                      ${this._getApplicationsSortColumn(applicationFilterDTO.sortBy)}::TEXT AS sort_value
+            FROM      (SELECT   application.id AS application_id,
+                                person.first_name, person.last_name,
+                                (SELECT   AVG(application_score.score)::FLOAT
+                                 FROM     application_score
+                                 WHERE    application_score.application_id = application.id) AS average_score,
+                                (SELECT   COALESCE(MAX(application_competence.years_of_experience), 0)
+                                 FROM     application_competence
+                                 WHERE    application_competence.application_id = application.id) AS years_of_experience,
+                                (SELECT   MIN(applicant_availability.from_date)
+                                 FROM     applicant_availability
+                                 WHERE    applicant_availability.application_id = application.id) AS availability_start,
+                                application.submitted_at, application_status.decision
+                      ${filter.text}) AS filtered_application
+            WHERE     ${keyset}
+            ORDER BY  ${this._getApplicationsOrder(applicationFilterDTO.sortBy, applicationFilterDTO.sortOrder, reversed)}
+            LIMIT     $${values.length - 1} OFFSET $${values.length}`,
+            values: values,
+        };
+
+        return await this._runReadQuery(getApplicationsQuery);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _countApplications(applicationFilterDTO) {
+        const filter = this._getApplicationsFilter(applicationFilterDTO);
+
+        const countApplicationsQuery = {
+            text: `SELECT   COUNT(*)::INTEGER AS application_count
+            ${filter.text}`,
+            values: filter.values,
+        };
+
+        const countApplicationsRes = await this._runReadQuery(countApplicationsQuery);
+        return countApplicationsRes.rows[0].application_count;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _runReadQuery(query) {
+        const connection = await this._checkConnection();
+
+        if (!connection) {
+            return null;
+        }
+
+        await this._runQuery('BEGIN');
+
+        const queryRes = await this._runQuery(query);
+
+        await this._runQuery('COMMIT');
+
+        return queryRes;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _getAttachmentsQueryText() {
+        return `SELECT   application_attachment.id, application_attachment.application_id,
+                      application_attachment.filename, application_attachment.mime_type,
+                      application_attachment.size_bytes, application_attachment.category,
+                      application_attachment.uploaded_at
+            FROM      application_attachment`;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _createAttachmentDTO(row) {
+        return new AttachmentDTO(row.id, row.application_id, row.filename, row.mime_type, row.size_bytes,
+            row.category, row.uploaded_at, applicationErrorCodes.OK);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _createDummyAttachmentDTO(applicationID, errorCode) {
+        return new AttachmentDTO(999999, applicationID, 'DUMMY', 'DUMMY', 0, 'Other', new Date(0), errorCode);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _checkApplicationChange(applicationID, username) {
+        const checkOwnerQuery = {
+            text: `SELECT   login_info.username, application_status.decision
+            FROM    application
+                    INNER JOIN application_status ON (application_status.application_id = application.id)
+                    INNER JOIN login_info ON (login_info.person_id = application.person_id)
+            WHERE   application.id = $1
+            FOR UPDATE OF application_status`,
+            values: [applicationID],
+        };
+
+        const ownerRes = await this._runQuery(checkOwnerQuery);
+
+        if (ownerRes.rowCount <= 0) {
+            return applicationErrorCodes.InvalidID;
+        } else if (ownerRes.rows[0].username !== username) {
+            return applicationErrorCodes.NotOwner;
+        } else if (ownerRes.rows[0].decision !== decisionsEnum.Unhandled) {
+            return applicationErrorCodes.ExistentDecision;
+        }
+        return applicationErrorCodes.OK;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _getApplicationsByID(applicationIDs) {
+        const getApplicationsQuery = {
+            text: `SELECT   application.id AS application_id, person.first_name, person.last_name,
+                      application_status.decision, application_status.version
+            FROM      application
+                      INNER JOIN person ON (application.person_id = person.id)
+                      INNER JOIN application_status ON (application_status.application_id = application.id)
+            WHERE     application.id = ANY($1::INTEGER[])`,
+            values: [applicationIDs],
+        };
+
+        const getCompetencesQuery = {
+            text: `SELECT   application_competence.application_id, competence.id, competence.type,
+                      application_competence.years_of_experience
+            FROM      application_competence
+                      INNER JOIN competence ON (application_competence.competence_id = competence.id)
+            WHERE     application_competence.application_id = ANY($1::INTEGER[])
+            ORDER BY  competence.id ASC`,
+            values: [applicationIDs],
+        };
+
+        const getAvailabilitiesQuery = {
+            text: `SELECT   applicant_availability.application_id, applicant_availability.from_date,
+                      applicant_availability.to_date
+            FROM      applicant_availability
+            WHERE     applicant_availability.application_id = ANY($1::INTEGER[])
+            ORDER BY  applicant_availability.from_date ASC`,
+            values: [applicationIDs],
+        };
+
+        const getAttachmentsQuery = {
+            text: `${this._getAttachmentsQueryText()}
+            WHERE     application_attachment.application_id = ANY($1::INTEGER[])
+            ORDER BY  application_attachment.id ASC`,
+            values: [applicationIDs],
+        };
+
+        const applicationsRes = await this._runQuery(getApplicationsQuery);
+        const competencesRes = await this._runQuery(getCompetencesQuery);
+        const availabilitiesRes = await this._runQuery(getAvailabilitiesQuery);
+        const attachmentsRes = await this._runQuery(getAttachmentsQuery);
+
+        const applications = [];
+
+        for (const applicationID of applicationIDs.map((id) => parseInt(id))) {
+            const applicationRow = applicationsRes.rows.find((row) => row.application_id === applicationID);
+
+            if (applicationRow === undefined) {
+                continue;
             }
 
-            await this._runQuery('BEGIN');
+            const competences = competencesRes.rows
+                .filter((row) => row.application_id === applicationID)
+                .map((row) => ({id: row.id, type: row.type, yearsOfExperience: row.years_of_experience}));
+
+            const availabilities = availabilitiesRes.rows
+                .filter((row) => row.application_id === applicationID)
+                .map((row) => ({dateFrom: row.from_date, dateTo: row.to_date}));
+
+            const attachments = attachmentsRes.rows
+                .filter((row) => row.application_id === applicationID)
+                .map((row) => this._createAttachmentDTO(row));
+
+            applications.push(new ApplicationDTO(applicationRow.application_id,
+                applicationRow.first_name,
+                applicationRow.last_name,
+                competences,
+                availabilities,
+                attachments,
+                applicationRow.decision,
+                applicationRow.version,
+                applicationErrorCodes.OK));
+        }
 
-            const applicationsRes = await this._runQuery(getApplicationsQuery);
+        return applications;
+    }
 
-            await this._runQuery('COMMIT');
+    // eslint-disable-next-line require-jsdoc
+    async _insertApplicationDetails(applicationID, personID, competences, availabilities) {
+        for (const competence of competences) {
+            const newCompetenceQuery = {
+                text: `INSERT INTO public.application_competence(application_id, competence_id, years_of_experience)
+                        VALUES ($1, $2, $3)`,
+                values: [applicationID, competence.competenceID, competence.yearsOfExperience],
+            };
 
-            return applicationsRes;
-        } catch (err) {
-            throw err;
+            await this._runQuery(newCompetenceQuery);
+        }
+
+        for (const availability of availabilities) {
+            const newApplicantAvailabilityQuery = {
+                text: `INSERT INTO public.applicant_availability(from_date, to_date, person_id, application_id)
+                        VALUES ($1, $2, $3, $4)`,
+                values: [availability.dateFrom, availability.dateTo, personID, applicationID],
+            };
+
+            await this._runQuery(newApplicantAvailabilityQuery);
         }
     }
 
+    // eslint-disable-next-line require-jsdoc
+    async _competencesExist(competenceIDs) {
+        const checkCompetencesQuery = {
+            text: `SELECT    competence.id
+            FROM    competence
+            WHERE    competence.id = ANY($1::INTEGER[])`,
+            values: [competenceIDs],
+        };
+
+        const checkCompetencesRes = await this._runQuery(checkCompetencesQuery);
+
+        return checkCompetencesRes.rowCount === new Set(competenceIDs.map((id) => parseInt(id))).size;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _createDummyApplicationDTO(applicationID, errorCode) {
+        return new ApplicationDTO(applicationID, 'DUMMY', 'DUMMY',
+            [{id: 999999, type: 'DUMMY', yearsOfExperience: 0}],
+            [{dateFrom: '1212-12-12', dateTo: '1212-12-12'}], [], 'Unhandled', 0,
+            errorCode);
+    }
+
     // eslint-disable-next-line require-jsdoc
     async _getOffset(page, limit) {
         return (page - 1) * limit;
@@ -761,7 +3553,58 @@ class RecruitmentDAO {
     }
 
     // eslint-disable-next-line require-jsdoc
-    async _generatePasswordHash(username, password) {
+    async _generatePasswordHash(password) {
+        const {N, r, p} = this.PASSWORD_HASH_PARAMS;
+        const salt = crypto.randomBytes(16);
+        const derivedKey = await this._scrypt(password, salt, 32, {N, r, p});
+        return ['scrypt', N, r, p, salt.toString('base64'), derivedKey.toString('base64')].join('$');
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _verifyPassword(username, password, storedHash) {
+        if (storedHash === null) {
+            // Hash anyway, so that unknown usernames take as long as wrong passwords.
+            await this._generatePasswordHash(password);
+            return {valid: false, needsRehash: false};
+        }
+
+        const parts = storedHash.split('$');
+
+        if (parts.length !== 6 || parts[0] !== 'scrypt') {
+            const legacyHash = Buffer.from(await this._generateLegacyPasswordHash(username, password));
+            const storedLegacyHash = Buffer.from(storedHash);
+            const valid = legacyHash.length === storedLegacyHash.length &&
+                crypto.timingSafeEqual(legacyHash, storedLegacyHash);
+            return {valid, needsRehash: true};
+        }
+
+        const [N, r, p] = parts.slice(1, 4).map((param) => parseInt(param));
+        const storedKey = Buffer.from(parts[5], 'base64');
+        const derivedKey = await this._scrypt(password, Buffer.from(parts[4], 'base64'), storedKey.length, {N, r, p});
+        const current = this.PASSWORD_HASH_PARAMS;
+
+        return {
+            valid: crypto.timingSafeEqual(derivedKey, storedKey),
+            needsRehash: N !== current.N || r !== current.r || p !== current.p,
+        };
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _scrypt(password, salt, keyLength, {N, r, p}) {
+        return new Promise((resolve, reject) => {
+            const maxmem = 256 * N * r;
+            crypto.scrypt(password, salt, keyLength, {N, r, p, maxmem}, (err, derivedKey) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(derivedKey);
+                }
+            });
+        });
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _generateLegacyPasswordHash(username, password) {
         const globalSalt = process.env.GLOBAL_SALT;
         const userSalt = globalSalt.concat('_', username);
         const derivedKeyBuffer = pbkdf2.pbkdf2Sync(password, userSalt, 25, 32, 'sha512');
@@ -770,8 +3613,119 @@ class RecruitmentDAO {
     }
 
     // eslint-disable-next-line require-jsdoc
-    async _signupRecruiter(signupDTO) {
-        const passwordHash = await this._generatePasswordHash(signupDTO.username, signupDTO.password);
+    async _revokeSessions(personID, exceptSessionID = null) {
+        const revokeSessionsQuery = {
+            text: `UPDATE public.user_session
+                SET     revoked_at = NOW()
+                WHERE   person_id = $1 AND revoked_at IS NULL AND
+                        ($2::INTEGER IS NULL OR id <> $2)`,
+            values: [personID, exceptSessionID],
+        };
+
+        try {
+            await this._runQuery(revokeSessionsQuery);
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _verifySecondFactor(username, code) {
+        const getSecretQuery = {
+            text: `SELECT   login_info.person_id, login_info.totp_secret, login_info.totp_last_time_step
+            FROM    login_info
+            WHERE   login_info.username = $1 AND login_info.totp_enabled = TRUE
+            FOR UPDATE`,
+            values: [username],
+        };
+
+        const secretRes = await this._runQuery(getSecretQuery);
+
+        if (secretRes.rowCount <= 0) {
+            return null;
+        }
+
+        const personID = secretRes.rows[0].person_id;
+        const lastTimeStep = secretRes.rows[0].totp_last_time_step;
+        const timeStep = Totp.findTimeStep(secretRes.rows[0].totp_secret, code);
+
+        if (timeStep !== null && (lastTimeStep === null || timeStep > parseInt(lastTimeStep))) {
+            const storeTimeStepQuery = {
+                text: `UPDATE public.login_info
+                SET     totp_last_time_step = $1
+                WHERE   person_id = $2`,
+                values: [timeStep, personID],
+            };
+
+            await this._runQuery(storeTimeStepQuery);
+            return personID;
+        }
+
+        const useRecoveryCodeQuery = {
+            text: `UPDATE public.recovery_code
+                SET     used_at = NOW()
+                WHERE   person_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+            values: [personID, await this._hashToken(code.toString().toLowerCase())],
+        };
+
+        const recoveryRes = await this._runQuery(useRecoveryCodeQuery);
+
+        return recoveryRes.rowCount > 0 ? personID : null;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _replaceRecoveryCodes(personID) {
+        const deleteRecoveryCodesQuery = {
+            text: `DELETE FROM public.recovery_code WHERE person_id = $1`,
+            values: [personID],
+        };
+
+        await this._runQuery(deleteRecoveryCodesQuery);
+
+        const recoveryCodes = [];
+
+        for (let i = 0; i < this.RECOVERY_CODE_COUNT; i++) {
+            const recoveryCode = crypto.randomBytes(5).toString('hex');
+
+            const newRecoveryCodeQuery = {
+                text: `INSERT INTO public.recovery_code(person_id, code_hash)
+                VALUES ($1, $2)`,
+                values: [personID, await this._hashToken(recoveryCode)],
+            };
+
+            await this._runQuery(newRecoveryCodeQuery);
+            recoveryCodes.push(recoveryCode);
+        }
+
+        return recoveryCodes;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _createProfileDTO(profileRow) {
+        return new ProfileDTO(profileRow.username, profileRow.first_name, profileRow.last_name,
+            profileRow.personal_number, profileRow.email, profileRow.email_verified, userErrorCodes.OK);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _generateToken() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async _hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+   * Take the new recruiter information and make entries in the database if the user is new.
+   * Only meant to be called on behalf of an administrator.
+   * @param {SignupDTO} signupDTO The needed info about the new recruiter.
+   * @return {UserDTO | null} On object containing the username and the role of the user
+   *                           The role ID is either 0 for Invalid or 1 for Recruiter.
+   *                           Null in case something went wrong.
+   */
+    async signupRecruiter(signupDTO) {
+        const passwordHash = await this._generatePasswordHash(signupDTO.password);
 
         const checkEmailQuery = {
             text: `SELECT    *
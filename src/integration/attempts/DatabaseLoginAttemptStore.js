@@ -0,0 +1,53 @@
+'use strict';
+
+const LoginAttemptStore = require('./LoginAttemptStore');
+
+/**
+ * A login attempt store that keeps the failed signin attempts in the database,
+ * so that they are shared by every instance of the application.
+ * This is the default login attempt store of the application.
+ */
+class DatabaseLoginAttemptStore extends LoginAttemptStore {
+    /**
+     * Constructs an instance of {DatabaseLoginAttemptStore}.
+     *
+     * @param {RecruitmentDAO} recruitmentDAO The DAO used to access the database.
+     */
+    constructor(recruitmentDAO) {
+        super();
+        this.recruitmentDAO = recruitmentDAO;
+    }
+
+    /**
+     * Gets the failed signin attempts of a key.
+     *
+     * @param {string} key The key that the attempts are tracked for.
+     * @return {{failureCount, lastFailureAt} | null} The number of failed attempts and the time of
+     *                                                the last failed attempt, or null if there are none
+     *                                                or something went wrong.
+     */
+    async getFailures(key) {
+        return await this.recruitmentDAO.getLoginFailures(key);
+    }
+
+    /**
+     * Records a failed signin attempt of a key.
+     *
+     * @param {string} key The key that the attempts are tracked for.
+     * @param {number} windowMinutes The number of minutes that a failed attempt is remembered.
+     */
+    async recordFailure(key, windowMinutes) {
+        await this.recruitmentDAO.recordLoginFailure(key, windowMinutes);
+    }
+
+    /**
+     * Forgets the failed signin attempts of a key.
+     *
+     * @param {string} key The key that the attempts are tracked for.
+     */
+    async clearFailures(key) {
+        await this.recruitmentDAO.clearLoginFailures(key);
+    }
+}
+
+module.exports = DatabaseLoginAttemptStore;
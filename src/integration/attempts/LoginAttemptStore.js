@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * The superclass for all login attempt stores.
+ * A login attempt store keeps track of the failed signin attempts per key,
+ * where a key identifies either a username or a client IP address.
+ */
+class LoginAttemptStore {
+    /**
+     * Gets the failed signin attempts of a key.
+     *
+     * @param {string} key The key that the attempts are tracked for.
+     * @return {{failureCount, lastFailureAt} | null} The number of failed attempts and the time of
+     *                                                the last failed attempt, or null if there are none.
+     * @throws {Error} If the subclass does not implement the lookup.
+     */
+    async getFailures(key) {
+        throw new Error(`${this.constructor.name} does not implement getFailures.`);
+    }
+
+    /**
+     * Records a failed signin attempt of a key. Failures that are older than the window
+     * are forgotten, so the count starts over.
+     *
+     * @param {string} key The key that the attempts are tracked for.
+     * @param {number} windowMinutes The number of minutes that a failed attempt is remembered.
+     * @throws {Error} If the subclass does not implement the recording.
+     */
+    async recordFailure(key, windowMinutes) {
+        throw new Error(`${this.constructor.name} does not implement recordFailure.`);
+    }
+
+    /**
+     * Forgets the failed signin attempts of a key.
+     *
+     * @param {string} key The key that the attempts are tracked for.
+     * @throws {Error} If the subclass does not implement the removal.
+     */
+    async clearFailures(key) {
+        throw new Error(`${this.constructor.name} does not implement clearFailures.`);
+    }
+}
+
+module.exports = LoginAttemptStore;
@@ -0,0 +1,58 @@
+'use strict';
+
+const LoginAttemptStore = require('./LoginAttemptStore');
+
+/**
+ * A login attempt store that keeps the failed signin attempts in the memory of the process.
+ * The attempts are neither shared between instances nor kept across restarts,
+ * which makes the store suitable for tests.
+ */
+class MemoryLoginAttemptStore extends LoginAttemptStore {
+    /**
+     * Constructs an instance of {MemoryLoginAttemptStore}.
+     */
+    constructor() {
+        super();
+        this.failures = new Map();
+    }
+
+    /**
+     * Gets the failed signin attempts of a key.
+     *
+     * @param {string} key The key that the attempts are tracked for.
+     * @return {{failureCount, lastFailureAt} | null} The number of failed attempts and the time of
+     *                                                the last failed attempt, or null if there are none.
+     */
+    async getFailures(key) {
+        return this.failures.get(key) || null;
+    }
+
+    /**
+     * Records a failed signin attempt of a key.
+     *
+     * @param {string} key The key that the attempts are tracked for.
+     * @param {number} windowMinutes The number of minutes that a failed attempt is remembered.
+     */
+    async recordFailure(key, windowMinutes) {
+        const now = new Date();
+        const previous = this.failures.get(key);
+        let failureCount = 1;
+
+        if (previous && now - previous.lastFailureAt < windowMinutes * 60 * 1000) {
+            failureCount = previous.failureCount + 1;
+        }
+
+        this.failures.set(key, {failureCount, lastFailureAt: now});
+    }
+
+    /**
+     * Forgets the failed signin attempts of a key.
+     *
+     * @param {string} key The key that the attempts are tracked for.
+     */
+    async clearFailures(key) {
+        this.failures.delete(key);
+    }
+}
+
+module.exports = MemoryLoginAttemptStore;
@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * The superclass for all mail transports.
+ * A mail transport is responsible for delivering the mails sent by the application,
+ * subclasses decide where and how the mails are delivered.
+ */
+class MailTransport {
+    /**
+     * Delivers a mail.
+     *
+     * @param {MailDTO} mailDTO The mail to be delivered.
+     * @throws {Error} If the subclass does not implement the delivery.
+     */
+    async send(mailDTO) {
+        throw new Error(`${this.constructor.name} does not implement send.`);
+    }
+}
+
+module.exports = MailTransport;
@@ -0,0 +1,44 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const MailTransport = require('./MailTransport');
+
+/**
+ * A mail transport that writes every mail as a JSON file to a local outbox directory,
+ * which makes it possible to send mails without a mail server.
+ * This is the default mail transport of the application.
+ */
+class OutboxMailTransport extends MailTransport {
+    /**
+     * Constructs an instance of {OutboxMailTransport}.
+     *
+     * @param {string} directory The outbox directory, defaults to the MAIL_OUTBOX_DIR
+     *                           environment variable or the outbox directory in the project root.
+     */
+    constructor(directory) {
+        super();
+        this.directory = directory || process.env.MAIL_OUTBOX_DIR ||
+            path.join(__dirname, '..', '..', '..', 'outbox');
+    }
+
+    /**
+     * Writes the mail to the outbox directory.
+     *
+     * @param {MailDTO} mailDTO The mail to be delivered.
+     */
+    async send(mailDTO) {
+        await fs.promises.mkdir(this.directory, {recursive: true});
+        const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        const mail = {
+            to: mailDTO.recipient,
+            subject: mailDTO.subject,
+            text: mailDTO.text,
+            date: new Date().toISOString(),
+        };
+        await fs.promises.writeFile(path.join(this.directory, filename), JSON.stringify(mail, null, 4));
+    }
+}
+
+module.exports = OutboxMailTransport;
@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * The superclass for all attachment storages.
+ * An attachment storage keeps the contents of the files that applicants attach to their applications,
+ * while the metadata of the files is kept in the database. Every file is identified by a storage key.
+ */
+class AttachmentStorage {
+    /**
+     * Stores the content of a file.
+     *
+     * @param {string} key The storage key of the file.
+     * @param {Buffer} content The content of the file.
+     * @throws {Error} If the subclass does not implement the storing.
+     */
+    async save(key, content) {
+        throw new Error(`${this.constructor.name} does not implement save.`);
+    }
+
+    /**
+     * Reads the content of a file.
+     *
+     * @param {string} key The storage key of the file.
+     * @return {Buffer} The content of the file.
+     * @throws {Error} If the subclass does not implement the reading.
+     */
+    async read(key) {
+        throw new Error(`${this.constructor.name} does not implement read.`);
+    }
+
+    /**
+     * Removes a file, removing a file that does not exist is not an error.
+     *
+     * @param {string} key The storage key of the file.
+     * @throws {Error} If the subclass does not implement the removal.
+     */
+    async remove(key) {
+        throw new Error(`${this.constructor.name} does not implement remove.`);
+    }
+}
+
+module.exports = AttachmentStorage;
@@ -0,0 +1,64 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const AttachmentStorage = require('./AttachmentStorage');
+
+/**
+ * An attachment storage that keeps every file in a directory on the local filesystem,
+ * named after its storage key. This is the default attachment storage of the application.
+ */
+class LocalAttachmentStorage extends AttachmentStorage {
+    /**
+     * Constructs an instance of {LocalAttachmentStorage}.
+     *
+     * @param {string} directory The storage directory, defaults to the ATTACHMENT_STORAGE_DIR
+     *                           environment variable or the attachments directory in the project root.
+     */
+    constructor(directory) {
+        super();
+        this.directory = directory || process.env.ATTACHMENT_STORAGE_DIR ||
+            path.join(__dirname, '..', '..', '..', 'attachments');
+    }
+
+    /**
+     * Writes the content of a file to the storage directory.
+     *
+     * @param {string} key The storage key of the file.
+     * @param {Buffer} content The content of the file.
+     */
+    async save(key, content) {
+        await fs.promises.mkdir(this.directory, {recursive: true});
+        await fs.promises.writeFile(this._getPath(key), content, {flag: 'wx'});
+    }
+
+    /**
+     * Reads the content of a file from the storage directory.
+     *
+     * @param {string} key The storage key of the file.
+     * @return {Buffer} The content of the file.
+     */
+    async read(key) {
+        return await fs.promises.readFile(this._getPath(key));
+    }
+
+    /**
+     * Removes a file from the storage directory.
+     *
+     * @param {string} key The storage key of the file.
+     */
+    async remove(key) {
+        await fs.promises.rm(this._getPath(key), {force: true});
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    _getPath(key) {
+        // The keys are generated by the application, this only guards against leaving the directory.
+        if (!/^[a-f0-9]+$/.test(key)) {
+            throw new Error(`Invalid attachment storage key ${key}.`);
+        }
+        return path.join(this.directory, key);
+    }
+}
+
+module.exports = LocalAttachmentStorage;
@@ -11,33 +11,35 @@ class ApplicationDTO {
    * @param {Integer} applicationID The id for the application.
    * @param {String} firstName The first name of the person that the application belongs to.
    * @param {String} lastName The last name of the person that the application belongs to.
-   * @param {{id, type}} competence The competence that is related to the application.
-   * @param {Float} yearsOfExperience The year of experience that the person has in the
-   *                                  related competence.
-   * @param {Date} dateFrom The start date that the person is available.
-   * @param {Date} dateTo The end date that the person is available.
+   * @param {[{id, type, yearsOfExperience}]} competences The competences that are related to the application,
+   *                                                     each with the years of experience that the person has in it.
+   * @param {[{dateFrom, dateTo}]} availabilities The periods that the person is available.
+   * @param {[AttachmentDTO]} attachments The metadata of the files that are attached to the application.
    * @param {String} decision The decision that is taken regarding the application.
+   * @param {Integer} version The version of the application, which is incremented on every change.
    * @param {Integer} errorCode The code represent the state of the result.
    *                      It is either Unhandled, Accepted or Rejected.
    */
-    constructor(applicationID, firstName, lastName, competence, yearsOfExperience,
-        dateFrom, dateTo, decision, errorCode) {
+    constructor(applicationID, firstName, lastName, competences, availabilities, attachments, decision, version,
+        errorCode) {
         Validators.isPositiveWholeNumber(applicationID, 'Application ID');
         Validators.isAlphaString(firstName, 'First Name');
         Validators.isAlphaString(lastName, 'Last Name');
-        Validators.isCompetence(competence, 'Competence');
-        Validators.isNonNegativeNumber(yearsOfExperience, 'Years of Experience');
-        Validators.isDateFormat(dateFrom, 'From Date');
-        Validators.isDateFormat(dateTo, 'To Date');
-        Validators.isDecision(decision, 'Decision');
+        competences.forEach((competence) => {
+            Validators.isCompetence(competence, 'Competence');
+            Validators.isNonNegativeNumber(competence.yearsOfExperience, 'Years of Experience');
+        });
+        availabilities.forEach((availability) => Validators.isAvailabilityPeriod(availability, 'Availability'));
+        Validators.isApplicationStatus(decision, 'Decision');
+        Validators.isNonNegativeWholeNumber(version, 'Version');
         this.applicationID = applicationID;
         this.firstName = firstName;
         this.lastName = lastName;
-        this.competence = competence;
-        this.yearsOfExperience = yearsOfExperience;
-        this.dateFrom = dateFrom;
-        this.dateTo = dateTo;
+        this.competences = competences;
+        this.availabilities = availabilities;
+        this.attachments = attachments;
         this.decision = decision;
+        this.version = version;
         this.errorCode = errorCode;
     }
 }
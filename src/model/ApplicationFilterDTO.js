@@ -1,6 +1,8 @@
 'use strict';
 
 const Validators = require('../util/Validators');
+const applicationPageSizeEnum = require('../util/applicationPageSizeEnum');
+const filterEmptyParamEnum = require('../util/filterEmptyParamEnum');
 /**
  * Representing the information for filtering the application list.
  */
@@ -8,7 +10,7 @@ class ApplicationFilterDTO {
     /**
    * Create an instance of the filtering parameters for getting application list.
    * Note that the empty value enumeration are found in filterEmptyParamEnum.js.
-   * @param {String} name The name of the person. NONE string will represent an empty name.
+   * @param {String} name A part of the full name of the person. NONE string will represent an empty name.
    * @param {Integer} competenceID The competence id for the related job.
    *                               0 will represent an empty competence id.
    * @param {Date} dateFrom The start date that the person is available.
@@ -17,18 +19,55 @@ class ApplicationFilterDTO {
    *                      0001-01-01 date will represent an empty end date.
    * @param {Integer} page The page number for the application list, each page will show
    *                       specific number of applications. 0 value for getting all the applications.
+   * @param {Integer} pageSize How many applications each page will show, the bounds are found
+   *                           in applicationPageSizeEnum.js.
+   * @param {boolean} hideWithdrawn Whether the applications that were withdrawn by the applicant are left out.
+   * @param {String} sortBy What the applications are ordered by, the options are found in applicationSortEnum.js.
+   * @param {String} sortOrder Whether the applications are in ascending or descending order,
+   *                           the options are found in sortOrderEnum.js.
+   * @param {[String]} decisions The decisions that the applications have, an empty array will represent
+   *                             applications with any decision.
+   * @param {Integer} jobID The job that the applications have any competence of. 0 will represent an empty job id.
+   * @param {Number} minExperience The least years of experience that the person has in a matching competence.
+   *                               -1 will represent an empty minimum.
+   * @param {Number} maxExperience The most years of experience that the person has in a matching competence.
+   *                               -1 will represent an empty maximum.
+   * @param {{filters, direction, position} | null} cursor The application {sortValue, applicationID} that the page
+   *                               is after or before, in which case the page number is not used, and the hash of the
+   *                               filters that the cursor was created with. A null position will represent the
+   *                               first page, and a null cursor will represent paging by number.
    */
-    constructor(name, competenceID, dateFrom, dateTo, page) {
-        Validators.isAlphaString(name, 'Name');
+    constructor(name, competenceID, dateFrom, dateTo, page, pageSize, hideWithdrawn, sortBy, sortOrder, decisions, jobID,
+        minExperience, maxExperience, cursor) {
+        Validators.isNameSearch(name, 'Name');
         Validators.isNonNegativeWholeNumber(competenceID, 'Competence ID');
         Validators.isDateFormat(dateFrom, 'Date From');
         Validators.isDateFormat(dateTo, 'Date To');
         Validators.isNonNegativeWholeNumber(page, 'Page Number');
+        Validators.isIntegerBetween(pageSize, applicationPageSizeEnum.Min, applicationPageSizeEnum.Max, 'Page Size');
+        Validators.isApplicationSort(sortBy, 'Sort By');
+        Validators.isSortOrder(sortOrder, 'Sort Order');
+        decisions.forEach((decision) => Validators.isApplicationStatus(decision, 'Decision'));
+        Validators.isNonNegativeWholeNumber(jobID, 'Job ID');
+        [minExperience, maxExperience].forEach((experience) => {
+            if (experience !== filterEmptyParamEnum.Experience) {
+                Validators.isYearsOfExperience(experience, 'Experience');
+            }
+        });
         this.name = name;
         this.competenceID = competenceID;
         this.dateFrom = dateFrom;
         this.dateTo = dateTo;
         this.page = page;
+        this.pageSize = pageSize;
+        this.hideWithdrawn = hideWithdrawn;
+        this.sortBy = sortBy;
+        this.sortOrder = sortOrder;
+        this.decisions = decisions;
+        this.jobID = jobID;
+        this.minExperience = minExperience;
+        this.maxExperience = maxExperience;
+        this.cursor = cursor;
     }
 }
 
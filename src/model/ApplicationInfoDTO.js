@@ -8,22 +8,20 @@ class ApplicationInfoDTO {
     /**
    * Create an instance of a new application for and applicant.
    * @param {String} username The username of the user.
-   * @param {Integer} competenceID The competence id for the related job.
-   * @param {Float} yearsOfExperience The year of experience that the user has with the competence.
-   * @param {Date} dateFrom The start date that the user is available.
-   * @param {Date} dateTo The end date that the user is available.
+   * @param {[{competenceID, yearsOfExperience}]} competences The competences of the user, each with
+   *                                                         the years of experience that the user has with it.
+   * @param {[{dateFrom, dateTo}]} availabilities The periods that the user is available.
    */
-    constructor(username, competenceID, yearsOfExperience, dateFrom, dateTo) {
+    constructor(username, competences, availabilities) {
         Validators.isAlphanumericString(username, 'Username');
-        Validators.isPositiveWholeNumber(competenceID, 'Competence ID');
-        Validators.isNonNegativeNumber(yearsOfExperience, 'Years of Experience');
-        Validators.isDateFormat(dateFrom, 'Date From');
-        Validators.isDateFormat(dateTo, 'Date To');
+        Validators.isNonEmptyArray(competences, 'Competences');
+        competences.forEach((competence) => Validators.isCompetenceExperience(competence, 'Competence'));
+        Validators.hasUniqueValues(competences.map((competence) => competence.competenceID), 'Competences');
+        Validators.isNonEmptyArray(availabilities, 'Availabilities');
+        availabilities.forEach((availability) => Validators.isAvailabilityPeriod(availability, 'Availability'));
         this.username = username;
-        this.competenceID = competenceID;
-        this.yearsOfExperience = yearsOfExperience;
-        this.dateFrom = dateFrom;
-        this.dateTo = dateTo;
+        this.competences = competences;
+        this.availabilities = availabilities;
     }
 }
 
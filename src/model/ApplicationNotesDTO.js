@@ -0,0 +1,24 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+/**
+ * Representing the threads of notes that recruiters have written on an application.
+ */
+class ApplicationNotesDTO {
+    /**
+   * Create an instance of the notes on an application.
+   * @param {Integer} applicationID The id of the application.
+   * @param {[NoteDTO]} notes The notes that start a thread, from the oldest to the latest,
+   *                          each holding its replies.
+   * @param {Integer} errorCode The code represent the state of the result,
+   *                            the errors are enumerated in noteErrorCodes.js.
+   */
+    constructor(applicationID, notes, errorCode) {
+        Validators.isPositiveWholeNumber(applicationID, 'Application ID');
+        this.applicationID = applicationID;
+        this.notes = notes;
+        this.errorCode = errorCode;
+    }
+}
+
+module.exports = ApplicationNotesDTO;
@@ -0,0 +1,31 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+/**
+ * Representing the aggregated scores that the recruiters have given an application.
+ */
+class ApplicationScoresDTO {
+    /**
+   * Create an instance of the scores of an application.
+   * @param {Integer} applicationID The id of the application.
+   * @param {Number | null} averageScore The average of all the scores, null in case there are none.
+   * @param {Integer} recruiterCount The number of recruiters that have scored the application.
+   * @param {[{criterionID, name, averageScore, scoreCount}]} criteria The average score per criterion,
+   *                                                                  for the criteria that have been scored.
+   * @param {[{criterionID, score}]} ownScores The scores that the requesting recruiter has given.
+   * @param {Integer} errorCode The code represent the state of the result,
+   *                            the errors are enumerated in scoreErrorCodes.js.
+   */
+    constructor(applicationID, averageScore, recruiterCount, criteria, ownScores, errorCode) {
+        Validators.isPositiveWholeNumber(applicationID, 'Application ID');
+        Validators.isNonNegativeWholeNumber(recruiterCount, 'Recruiter count');
+        this.applicationID = applicationID;
+        this.averageScore = averageScore;
+        this.recruiterCount = recruiterCount;
+        this.criteria = criteria;
+        this.ownScores = ownScores;
+        this.errorCode = errorCode;
+    }
+}
+
+module.exports = ApplicationScoresDTO;
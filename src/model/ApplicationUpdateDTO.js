@@ -0,0 +1,32 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+/**
+ * Representing the changes that an applicant makes to an application that is not handled yet.
+ */
+class ApplicationUpdateDTO {
+    /**
+   * Create an instance of the changes to an application.
+   * @param {String} username The username of the applicant that the application belongs to.
+   * @param {Integer} applicationID The id of the application.
+   * @param {[{competenceID, yearsOfExperience}]} competences The new competences of the applicant,
+   *                                                         replacing the current ones.
+   * @param {[{dateFrom, dateTo}]} availabilities The new periods that the applicant is available,
+   *                                             replacing the current ones.
+   */
+    constructor(username, applicationID, competences, availabilities) {
+        Validators.isAlphanumericString(username, 'Username');
+        Validators.isPositiveWholeNumber(applicationID, 'Application ID');
+        Validators.isNonEmptyArray(competences, 'Competences');
+        competences.forEach((competence) => Validators.isCompetenceExperience(competence, 'Competence'));
+        Validators.hasUniqueValues(competences.map((competence) => competence.competenceID), 'Competences');
+        Validators.isNonEmptyArray(availabilities, 'Availabilities');
+        availabilities.forEach((availability) => Validators.isAvailabilityPeriod(availability, 'Availability'));
+        this.username = username;
+        this.applicationID = applicationID;
+        this.competences = competences;
+        this.availabilities = availabilities;
+    }
+}
+
+module.exports = ApplicationUpdateDTO;
@@ -7,12 +7,22 @@ const Validators = require('../util/Validators');
 class ApplicationsListDTO {
     /**
    * Create an instance of the applications that were filtered.
-   * @param {[{applicationID, firstName, lastName}]} applications An array of objects representing
-   *                                                  the info about the filtered application.
+   * @param {[{applicationID, firstName, lastName, averageScore}]} applications An array of objects representing
+   *                                                  the info about the filtered application, the average
+   *                                                  score is null for an application that is not scored.
+   * @param {String | null} nextCursor The cursor of the next page, null in case there is no next page
+   *                                   or the applications are paged by number.
+   * @param {String | null} prevCursor The cursor of the previous page, null in case there is no previous page
+   *                                   or the applications are paged by number.
+   * @param {Integer} errorCode The code represent the state of the result,
+   *                            the errors are enumerated in applicationErrorCodes.js.
    */
-    constructor(applications) {
+    constructor(applications, nextCursor, prevCursor, errorCode) {
         applications.forEach((application) => Validators.isApplication(application, 'Application'));
         this.applications = applications;
+        this.nextCursor = nextCursor;
+        this.prevCursor = prevCursor;
+        this.errorCode = errorCode;
     }
 }
 
@@ -0,0 +1,36 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+/**
+ * Representing the metadata of a file that is attached to an application.
+ */
+class AttachmentDTO {
+    /**
+   * Create an instance of the metadata of an attachment.
+   * @param {Integer} attachmentID The id of the attachment.
+   * @param {Integer} applicationID The id of the application that the file is attached to.
+   * @param {String} filename The name of the file as it was uploaded.
+   * @param {String} mimeType The type of the file.
+   * @param {Integer} size The size of the file in bytes.
+   * @param {String} category What the file is, the categories are enumerated in attachmentCategoriesEnum.js.
+   * @param {Date} uploadedAt The time that the file was uploaded.
+   * @param {Integer} errorCode The code represent the state of the result,
+   *                            the errors are enumerated in applicationErrorCodes.js.
+   */
+    constructor(attachmentID, applicationID, filename, mimeType, size, category, uploadedAt, errorCode) {
+        Validators.isPositiveWholeNumber(attachmentID, 'Attachment ID');
+        Validators.isPositiveWholeNumber(applicationID, 'Application ID');
+        Validators.isNonNegativeWholeNumber(size, 'Size');
+        Validators.isAttachmentCategory(category, 'Category');
+        this.attachmentID = attachmentID;
+        this.applicationID = applicationID;
+        this.filename = filename;
+        this.mimeType = mimeType;
+        this.size = size;
+        this.category = category;
+        this.uploadedAt = uploadedAt;
+        this.errorCode = errorCode;
+    }
+}
+
+module.exports = AttachmentDTO;
@@ -0,0 +1,30 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+/**
+ * Representing the results of submitting decisions on several applications at once.
+ */
+class BulkDecisionDTO {
+    /**
+   * Create an instance of the results of a bulk decision.
+   * @param {String} mode Whether the decisions were submitted atomically or best effort,
+   *                      the modes are enumerated in bulkDecisionModeEnum.js.
+   * @param {[{applicationID, decision, version, errorCode}]} results The result of every decision in the order
+   *                            they were submitted, the error codes are enumerated in decisionErrorCodes.js.
+   * @param {boolean} committed Whether the decisions without errors were registered, which is false
+   *                            in atomic mode as soon as any decision has an error. The decisions without
+   *                            errors then have the RolledBack error code, and the unchanged decision
+   *                            and version of their application.
+   */
+    constructor(mode, results, committed) {
+        results.forEach((result) => {
+            Validators.isPositiveWholeNumber(result.applicationID, 'Application ID');
+            Validators.isApplicationStatus(result.decision, 'Decision');
+        });
+        this.mode = mode;
+        this.results = results;
+        this.committed = committed;
+    }
+}
+
+module.exports = BulkDecisionDTO;
@@ -9,12 +9,15 @@ class DecisionDTO {
     /**
    * Create an instance of the decision made on the application.
    * @param {String} decision The decision that is taken regarding the application.
+   * @param {Integer} version The version of the application after the decision.
    * @param {Integer} errorCode The code represent the state of the result.
    *                            It is either Unhandled, Accepted or Rejected.
    */
-    constructor(decision, errorCode) {
-        Validators.isDecision(decision, 'Decision');
+    constructor(decision, version, errorCode) {
+        Validators.isApplicationStatus(decision, 'Decision');
+        Validators.isNonNegativeWholeNumber(version, 'Version');
         this.decision = decision;
+        this.version = version;
         this.errorCode = errorCode;
     }
 }
@@ -0,0 +1,30 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+
+/**
+ * Represents the history of the status changes of an application.
+ */
+class DecisionHistoryDTO {
+    /**
+   * Create an instance of the status history of an application.
+   * @param {Integer} applicationID The id of the application.
+   * @param {[{decision, previousDecision, recruiter, reason, decidedAt}]} changes
+   *                            The status changes ordered from the oldest to the latest. The recruiter is
+   *                            an object {username, firstName, lastName}, or null in case the applicant
+   *                            made the change. The reason is null unless a decision was revised.
+   * @param {Integer} errorCode The code represent the state of the result.
+   */
+    constructor(applicationID, changes, errorCode) {
+        Validators.isPositiveWholeNumber(applicationID, 'Application ID');
+        changes.forEach((change) => {
+            Validators.isApplicationStatus(change.decision, 'Decision');
+            Validators.isApplicationStatus(change.previousDecision, 'Previous decision');
+        });
+        this.applicationID = applicationID;
+        this.changes = changes;
+        this.errorCode = errorCode;
+    }
+}
+
+module.exports = DecisionHistoryDTO;
@@ -0,0 +1,27 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+/**
+ * Representing an email verification request for a user.
+ */
+class EmailVerificationDTO {
+    /**
+   * Create an instance of an email verification request.
+   * @param {String} username The username of the user whose email is verified.
+   * @param {String} email The email address that is verified, the token is sent to it.
+   * @param {String} token The single-use verification token in plain text, it is only
+   *                       meant to be sent to the user and is never stored.
+   * @param {Integer} errorCode The code represent the state of the result,
+   *                            the errors are enumerated in userErrCodes.js.
+   */
+    constructor(username, email, token, errorCode) {
+        Validators.isAlphanumericString(username, 'Username');
+        Validators.isEmailFormat(email, 'Email');
+        this.username = username;
+        this.email = email;
+        this.token = token;
+        this.errorCode = errorCode;
+    }
+}
+
+module.exports = EmailVerificationDTO;
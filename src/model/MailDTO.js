@@ -0,0 +1,22 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+/**
+ * Representing a mail that is sent by the application.
+ */
+class MailDTO {
+    /**
+   * Create an instance of a mail.
+   * @param {String} recipient The email address of the recipient.
+   * @param {String} subject The subject of the mail.
+   * @param {String} text The plain text body of the mail.
+   */
+    constructor(recipient, subject, text) {
+        Validators.isEmailFormat(recipient, 'Recipient');
+        this.recipient = recipient;
+        this.subject = subject;
+        this.text = text;
+    }
+}
+
+module.exports = MailDTO;
@@ -0,0 +1,40 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+/**
+ * Representing a note that a recruiter has written on an application.
+ */
+class NoteDTO {
+    /**
+   * Create an instance of a note on an application.
+   * @param {Integer} noteID The id of the note.
+   * @param {Integer} applicationID The id of the application that the note is written on.
+   * @param {Integer | null} parentID The id of the note that this note replies to, null for a new thread.
+   * @param {{username, firstName, lastName}} author The recruiter that wrote the note.
+   * @param {String | null} text The text of the note, null in case the note has been deleted.
+   * @param {Date} createdAt The time that the note was written.
+   * @param {Date | null} updatedAt The time that the note was last edited, null if it never was.
+   * @param {[NoteDTO]} replies The replies to the note, from the oldest to the latest.
+   * @param {Integer} errorCode The code represent the state of the result,
+   *                            the errors are enumerated in noteErrorCodes.js.
+   */
+    constructor(noteID, applicationID, parentID, author, text, createdAt, updatedAt, replies, errorCode) {
+        Validators.isPositiveWholeNumber(noteID, 'Note ID');
+        Validators.isPositiveWholeNumber(applicationID, 'Application ID');
+        if (parentID !== null) {
+            Validators.isPositiveWholeNumber(parentID, 'Parent note ID');
+        }
+        this.noteID = noteID;
+        this.applicationID = applicationID;
+        this.parentID = parentID;
+        this.author = author;
+        this.text = text;
+        this.deleted = text === null;
+        this.createdAt = createdAt;
+        this.updatedAt = updatedAt;
+        this.replies = replies;
+        this.errorCode = errorCode;
+    }
+}
+
+module.exports = NoteDTO;
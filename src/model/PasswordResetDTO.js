@@ -0,0 +1,27 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+/**
+ * Representing a password reset request for a user.
+ */
+class PasswordResetDTO {
+    /**
+   * Create an instance of a password reset request.
+   * @param {String} username The username of the user that requested the reset.
+   * @param {String} email The email address that the reset token is sent to.
+   * @param {String} token The single-use reset token in plain text, it is only
+   *                       meant to be sent to the user and is never stored.
+   * @param {Integer} errorCode The code represent the state of the result,
+   *                            the errors are enumerated in userErrCodes.js.
+   */
+    constructor(username, email, token, errorCode) {
+        Validators.isAlphanumericString(username, 'Username');
+        Validators.isEmailFormat(email, 'Email');
+        this.username = username;
+        this.email = email;
+        this.token = token;
+        this.errorCode = errorCode;
+    }
+}
+
+module.exports = PasswordResetDTO;
@@ -0,0 +1,28 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+/**
+ * Representing all the personal data that is stored about a user.
+ */
+class PersonalDataDTO {
+    /**
+   * Create an instance of the personal data archive of a user.
+   * @param {ProfileDTO} profile The personal data of the user.
+   * @param {[ApplicationDTO]} applications
+   *                            An array holding the applications that the user has registered.
+   * @param {[{createdAt, expiresAt, revokedAt}]} sessions An array holding the sessions of the user.
+   * @param {Date} exportedAt The time that the personal data was exported.
+   * @param {Integer} errorCode The code represent the state of the result,
+   *                            the errors are enumerated in userErrCodes.js.
+   */
+    constructor(profile, applications, sessions, exportedAt, errorCode) {
+        Validators.isAlphanumericString(profile.username, 'Username');
+        this.profile = profile;
+        this.applications = applications;
+        this.sessions = sessions;
+        this.exportedAt = exportedAt;
+        this.errorCode = errorCode;
+    }
+}
+
+module.exports = PersonalDataDTO;
@@ -0,0 +1,34 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+/**
+ * Representing the personal data of a user.
+ */
+class ProfileDTO {
+    /**
+   * Create an instance of the personal data of a user.
+   * @param {String} username The username of the user.
+   * @param {String} firstName The name of the user.
+   * @param {String} lastName The surname of the user.
+   * @param {String} personalNumber The personal number of the user.
+   * @param {String} email The email address of the user.
+   * @param {boolean} emailVerified Whether the email address of the user is verified.
+   * @param {Integer} errorCode The code represent the state of the result,
+   *                            the errors are enumerated in userErrCodes.js.
+   */
+    constructor(username, firstName, lastName, personalNumber, email, emailVerified, errorCode) {
+        Validators.isAlphanumericString(username, 'Username');
+        Validators.isAlphaString(firstName, 'First name');
+        Validators.isAlphaString(lastName, 'Last name');
+        Validators.isEmailFormat(email, 'Email');
+        this.username = username;
+        this.firstName = firstName;
+        this.lastName = lastName;
+        this.personalNumber = personalNumber;
+        this.email = email;
+        this.emailVerified = emailVerified;
+        this.errorCode = errorCode;
+    }
+}
+
+module.exports = ProfileDTO;
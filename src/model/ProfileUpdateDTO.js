@@ -0,0 +1,27 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+/**
+ * Representing the changes that a user makes to the personal data.
+ */
+class ProfileUpdateDTO {
+    /**
+   * Create an instance to hold the new personal data of the user.
+   * @param {String} username The username of the user whose profile is updated.
+   * @param {String} firstName The new name of the user.
+   * @param {String} lastName The new surname of the user.
+   * @param {String} email The new email address of the user.
+   */
+    constructor(username, firstName, lastName, email) {
+        Validators.isAlphanumericString(username, 'Username');
+        Validators.isAlphaString(firstName, 'First name');
+        Validators.isAlphaString(lastName, 'Last name');
+        Validators.isEmailFormat(email, 'Email');
+        this.username = username;
+        this.firstName = firstName;
+        this.lastName = lastName;
+        this.email = email;
+    }
+}
+
+module.exports = ProfileUpdateDTO;
@@ -0,0 +1,31 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+/**
+ * Representing a criterion that the recruiters score applications against.
+ */
+class ScoreCriterionDTO {
+    /**
+   * Create an instance of a scoring criterion.
+   * @param {Integer} criterionID The id of the criterion.
+   * @param {String} name The name of the criterion.
+   * @param {String | null} description What the recruiters should consider when scoring the criterion.
+   * @param {Integer} minScore The lowest score of the scale.
+   * @param {Integer} maxScore The highest score of the scale.
+   * @param {Integer} errorCode The code represent the state of the result,
+   *                            the errors are enumerated in scoreErrorCodes.js.
+   */
+    constructor(criterionID, name, description, minScore, maxScore, errorCode) {
+        Validators.isPositiveWholeNumber(criterionID, 'Criterion ID');
+        Validators.isNonNegativeWholeNumber(minScore, 'Minimum score');
+        Validators.isIntegerBetween(maxScore, minScore + 1, Number.MAX_SAFE_INTEGER, 'Maximum score');
+        this.criterionID = criterionID;
+        this.name = name;
+        this.description = description;
+        this.minScore = minScore;
+        this.maxScore = maxScore;
+        this.errorCode = errorCode;
+    }
+}
+
+module.exports = ScoreCriterionDTO;
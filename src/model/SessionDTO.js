@@ -0,0 +1,35 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+/**
+ * Representing a server side session of a signed in user.
+ */
+class SessionDTO {
+    /**
+   * Create an instance of a session.
+   * @param {Integer} sessionID The id of the session, 0 in case something went wrong.
+   * @param {String} username The username of the user that the session belongs to.
+   * @param {Integer} roleID The role that the user has, the roles are given in the rolesEnum.js.
+   * @param {String} refreshToken The current refresh token of the session in plain text, it is only
+   *                              meant to be sent to the user and is never stored.
+   * @param {Date} expiresAt The time the session expires at, and it can no longer be refreshed.
+   * @param {{completed: boolean, required: boolean}} secondFactor Whether the second factor was completed
+   *                            in the session, and whether the user must complete it to use the permissions.
+   * @param {Integer} errorCode The code represent the state of the result,
+   *                            the errors are enumerated in userErrCodes.js.
+   */
+    constructor(sessionID, username, roleID, refreshToken, expiresAt, secondFactor, errorCode) {
+        Validators.isNonNegativeWholeNumber(sessionID, 'Session ID');
+        Validators.isAlphanumericString(username, 'Username');
+        Validators.isIntegerBetween(roleID, 0, 3, 'roleID');
+        this.sessionID = sessionID;
+        this.username = username;
+        this.roleID = roleID;
+        this.refreshToken = refreshToken;
+        this.expiresAt = expiresAt;
+        this.secondFactor = secondFactor;
+        this.errorCode = errorCode;
+    }
+}
+
+module.exports = SessionDTO;
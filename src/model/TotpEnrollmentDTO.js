@@ -0,0 +1,28 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+/**
+ * Representing an enrollment of a TOTP second factor.
+ */
+class TotpEnrollmentDTO {
+    /**
+   * Create an instance of a TOTP enrollment.
+   * @param {String} username The username of the user that enrolls.
+   * @param {String} secret The base32 encoded secret, for entering it into an authenticator by hand.
+   * @param {String} provisioningURI The otpauth URI that is shown as a QR code.
+   * @param {[String]} recoveryCodes The single-use recovery codes in plain text, they are only
+   *                                 given once the enrollment is confirmed and are never stored.
+   * @param {Integer} errorCode The code represent the state of the result,
+   *                            the errors are enumerated in userErrCodes.js.
+   */
+    constructor(username, secret, provisioningURI, recoveryCodes, errorCode) {
+        Validators.isAlphanumericString(username, 'Username');
+        this.username = username;
+        this.secret = secret;
+        this.provisioningURI = provisioningURI;
+        this.recoveryCodes = recoveryCodes;
+        this.errorCode = errorCode;
+    }
+}
+
+module.exports = TotpEnrollmentDTO;
@@ -0,0 +1,25 @@
+'use strict';
+
+const Validators = require('../util/Validators');
+/**
+ * Representing the two-factor authentication state of a user.
+ */
+class TwoFactorDTO {
+    /**
+   * Create an instance of the two-factor authentication state of a user.
+   * @param {String} username The username of the user.
+   * @param {boolean} enabled Whether the user has enabled a TOTP second factor.
+   * @param {boolean} required Whether the role of the user makes a second factor mandatory.
+   * @param {Integer} errorCode The code represent the state of the result,
+   *                            the errors are enumerated in userErrCodes.js.
+   */
+    constructor(username, enabled, required, errorCode) {
+        Validators.isAlphanumericString(username, 'Username');
+        this.username = username;
+        this.enabled = enabled;
+        this.required = required;
+        this.errorCode = errorCode;
+    }
+}
+
+module.exports = TwoFactorDTO;
@@ -26,10 +26,15 @@ const cors = require('cors');
 app.use(cors({
     origin: process.env.CORS_HOST,
     credentials: true,
+    exposedHeaders: ['ETag'],
 }));
 
 app.set('etag', false);
 
+// The client IP address is used to throttle signin attempts, so it may only be taken
+// from the X-Forwarded-For header when the server runs behind trusted proxies.
+app.set('trust proxy', parseInt(process.env.TRUSTED_PROXY_COUNT) || 0);
+
 app.use((req, res, next) => {
     res.set('Cache-Control', 'no-store');
     next();
@@ -0,0 +1,115 @@
+'use strict';
+
+const crypto = require('crypto');
+const validator = require('validator');
+const applicationSortEnum = require('./applicationSortEnum');
+const sortOrderEnum = require('./sortOrderEnum');
+const cursorDirectionEnum = require('./cursorDirectionEnum');
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?[+-]\d{2}(:\d{2})?$/;
+
+/**
+ * The cursors that the application list is paged with. A cursor points at an application in the list,
+ * by the value that the list is sorted by and the id of the application, and tells whether the page
+ * after or before that application is requested. A cursor is bound to the filters of the list that it was
+ * created for, by a hash of them. The clients only see a cursor as an opaque string.
+ */
+class ApplicationCursor {
+    /**
+     * Encodes a cursor into the string that is sent to the clients.
+     *
+     * @param {{sortBy, sortOrder, filters, direction, position: {sortValue, applicationID}}} cursor The cursor,
+     *                      where the filters are the hash of the filters of the list, and the sort value is
+     *                      the text representation of the value that the list is sorted by.
+     * @return {string} The encoded cursor.
+     */
+    static encode(cursor) {
+        const fields = {
+            f: cursor.filters,
+            s: cursor.sortBy,
+            o: cursor.sortOrder,
+            d: cursor.direction,
+            v: cursor.position.sortValue,
+            i: cursor.position.applicationID,
+        };
+        return Buffer.from(JSON.stringify(fields)).toString('base64url');
+    }
+
+    /**
+     * Decodes a cursor that was sent by a client.
+     *
+     * @param {string} encoded The encoded cursor.
+     * @return {{sortBy, sortOrder, filters, direction, position: {sortValue, applicationID}} | null} The cursor,
+     *                      or null in case the string is not a valid cursor.
+     */
+    static decode(encoded) {
+        let fields;
+        try {
+            fields = JSON.parse(Buffer.from(encoded.toString(), 'base64url').toString());
+        } catch (err) {
+            return null;
+        }
+
+        if (fields === null || typeof fields !== 'object' || typeof fields.f !== 'string' ||
+            !Object.values(applicationSortEnum).includes(fields.s) ||
+            !Object.values(sortOrderEnum).includes(fields.o) ||
+            !Object.values(cursorDirectionEnum).includes(fields.d) ||
+            !Number.isInteger(fields.i) || fields.i < 1 ||
+            !this._isSortValue(fields.s, fields.v)) {
+            return null;
+        }
+
+        return {
+            sortBy: fields.s,
+            sortOrder: fields.o,
+            filters: fields.f,
+            direction: fields.d,
+            position: {sortValue: fields.v, applicationID: fields.i},
+        };
+    }
+
+    /**
+     * Hashes the filters of an application list, so that a cursor can only be used with the same filters.
+     *
+     * @param {ApplicationFilterDTO} applicationFilterDTO The filters of the list.
+     * @return {string} The hash of the filters.
+     */
+    static hashFilters(applicationFilterDTO) {
+        const filters = [
+            applicationFilterDTO.name,
+            applicationFilterDTO.competenceID,
+            applicationFilterDTO.dateFrom,
+            applicationFilterDTO.dateTo,
+            applicationFilterDTO.hideWithdrawn,
+            [...applicationFilterDTO.decisions].sort(),
+            applicationFilterDTO.jobID,
+            applicationFilterDTO.minExperience,
+            applicationFilterDTO.maxExperience,
+        ];
+        return crypto.createHash('sha256').update(JSON.stringify(filters)).digest('base64url').slice(0, 16);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _isSortValue(sortBy, sortValue) {
+        // The sort value ends up as a query parameter, so it must be castable to the type of the sorted column.
+        if (sortBy === applicationSortEnum.ID || (sortBy === applicationSortEnum.AverageScore && sortValue === null)) {
+            return sortValue === null;
+        }
+        if (typeof sortValue !== 'string' || sortValue.length > 100) {
+            return false;
+        }
+        switch (sortBy) {
+        case applicationSortEnum.AverageScore:
+        case applicationSortEnum.Experience:
+            return validator.isFloat(sortValue);
+        case applicationSortEnum.AvailabilityStart:
+            return validator.isDate(sortValue, {format: 'YYYY-MM-DD', strictMode: true, delimiters: ['-']});
+        case applicationSortEnum.SubmittedAt:
+            return TIMESTAMP_PATTERN.test(sortValue);
+        default:
+            return true;
+        }
+    }
+}
+
+module.exports = ApplicationCursor;
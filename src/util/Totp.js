@@ -0,0 +1,135 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Time-based one-time passwords as described in RFC 6238, compatible with
+ * the common authenticator apps. The codes are six digits and change every 30 seconds.
+ */
+class Totp {
+    /**
+     * The number of seconds that a code is valid.
+     */
+    static get PERIOD_SECONDS() {
+        return 30;
+    }
+
+    /**
+     * The number of digits in a code.
+     */
+    static get DIGITS() {
+        return 6;
+    }
+
+    /**
+     * The number of time steps before and after the current one that are accepted,
+     * to allow for clock drift between the server and the authenticator.
+     */
+    static get ALLOWED_DRIFT_STEPS() {
+        return 1;
+    }
+
+    /**
+     * Generates a new random secret.
+     *
+     * @return {string} The secret, base32 encoded.
+     */
+    static generateSecret() {
+        return this._base32Encode(crypto.randomBytes(20));
+    }
+
+    /**
+     * Creates the otpauth URI that authenticator apps read from a QR code.
+     *
+     * @param {string} secret The base32 encoded secret.
+     * @param {string} accountName The name of the account, shown in the authenticator.
+     * @param {string} issuer The name of the service, shown in the authenticator.
+     * @return {string} The provisioning URI.
+     */
+    static getProvisioningURI(secret, accountName, issuer) {
+        const label = encodeURIComponent(`${issuer}:${accountName}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer,
+            algorithm: 'SHA1',
+            digits: this.DIGITS.toString(),
+            period: this.PERIOD_SECONDS.toString(),
+        });
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    /**
+     * Finds the time step that a code belongs to, among the steps allowed around the current time.
+     *
+     * @param {string} secret The base32 encoded secret.
+     * @param {string} code The code entered by the user.
+     * @param {number} time The current time in milliseconds.
+     * @return {number | null} The time step of the code, or null if the code is not valid.
+     */
+    static findTimeStep(secret, code, time = Date.now()) {
+        const currentStep = Math.floor(time / 1000 / this.PERIOD_SECONDS);
+        const codeBuffer = Buffer.from(code.toString());
+        for (let step = currentStep - this.ALLOWED_DRIFT_STEPS; step <= currentStep + this.ALLOWED_DRIFT_STEPS; step++) {
+            const expected = Buffer.from(this.generateCode(secret, step));
+            if (expected.length === codeBuffer.length && crypto.timingSafeEqual(expected, codeBuffer)) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Generates the code of a time step.
+     *
+     * @param {string} secret The base32 encoded secret.
+     * @param {number} timeStep The number of periods since the Unix epoch.
+     * @return {string} The code, padded with leading zeros.
+     */
+    static generateCode(secret, timeStep) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(timeStep));
+        const hmac = crypto.createHmac('sha1', this._base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+        return (binary % (10 ** this.DIGITS)).toString().padStart(this.DIGITS, '0');
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _base32Encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let encoded = '';
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                encoded += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            encoded += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+        return encoded;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    static _base32Decode(encoded) {
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+        for (const char of encoded.replace(/=+$/, '').toUpperCase()) {
+            value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+        return Buffer.from(bytes);
+    }
+}
+
+module.exports = Totp;
@@ -3,6 +3,10 @@
 const assert = require('assert').strict;
 const validator = require('validator');
 const personnummer = require('swedish-personal-identity-number-validator');
+const applicationSortEnum = require('./applicationSortEnum');
+const sortOrderEnum = require('./sortOrderEnum');
+const attachmentTypes = require('./attachmentTypes');
+const attachmentCategoriesEnum = require('./attachmentCategoriesEnum');
 
 /**
  * A class with validation methods. This class contains validation methods
@@ -61,6 +65,23 @@ class Validators {
         );
     }
 
+    /**
+     * Checks that the specified value can be searched for as the name of a person, which is
+     * letters in any alphabet separated by spaces, hyphens or apostrophes, at most 100 characters.
+     *
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isNameSearch(value, varName) {
+        const result = /^[\p{L}' -]{1,100}$/u.test(value.toString()) && /\p{L}/u.test(value.toString());
+        assert(
+            result,
+            `${varName} must consist of at most 100 letters, spaces, hyphens or apostrophes.`,
+        );
+    }
+
     /**
      * Checks if the email is formatted correctly, valid email example (xx.xx@xx.xx.xx).
      * @param {any} value The value to be validated.
@@ -140,6 +161,113 @@ class Validators {
         );
     }
 
+    /**
+     * Check if the value is a free text that holds something else than spaces,
+     * and is at most the given number of characters long.
+     * @param {any} value The value to be validated.
+     * @param {Integer} maxLength The maximum number of characters.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isFreeText(value, maxLength, varName) {
+        const result = typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+        assert(
+            result,
+            `${varName} should be a non empty text of at most ${maxLength} characters.`,
+        );
+    }
+
+    /**
+     * Check if the value is one of the orders that the application list can be sorted in,
+     * which are enumerated in applicationSortEnum.js.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isApplicationSort(value, varName) {
+        const sortOptions = Object.values(applicationSortEnum);
+        assert(
+            sortOptions.includes(value),
+            `${varName} should be one of the following values, ${sortOptions.join(', ')}.`,
+        );
+    }
+
+    /**
+     * Check if the value is one of the directions that a list can be sorted in,
+     * which are enumerated in sortOrderEnum.js.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isSortOrder(value, varName) {
+        const orders = Object.values(sortOrderEnum);
+        assert(
+            orders.includes(value),
+            `${varName} should be one of the following values, ${orders.join(', ')}.`,
+        );
+    }
+
+    /**
+     * Check if the content of a file is of one of the types that can be attached to an application,
+     * both the stated type and the first bytes of the content must match a type in attachmentTypes.js.
+     * @param {String} mimeType The stated type of the file.
+     * @param {Buffer} content The content of the file.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isAttachmentContent(mimeType, content, varName) {
+        const signature = attachmentTypes[mimeType];
+        assert(
+            signature !== undefined && Buffer.isBuffer(content) && content.length >= signature.length &&
+                signature.every((byte, index) => content[index] === byte),
+            `${varName} should be a PDF, PNG, JPEG or DOCX file.`,
+        );
+    }
+
+    /**
+     * Check if the value is one of the categories of attachments, which are enumerated in attachmentCategoriesEnum.js.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isAttachmentCategory(value, varName) {
+        const categories = Object.values(attachmentCategoriesEnum);
+        assert(
+            categories.includes(value),
+            `${varName} should be one of the following values, ${categories.join(', ')}.`,
+        );
+    }
+
+    /**
+     * Check if the value is a score given to a criterion, which is an object {criterionID, score}
+     * where both are whole numbers and the criterion ID is positive.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isCriterionScore(value, varName) {
+        let result = value !== null && typeof value === 'object' && value.criterionID !== undefined &&
+            value.criterionID !== null && validator.isInt(value.criterionID.toString(), {min: 1});
+
+        assert(
+            result,
+            `${varName} criterion ID should be a positive whole number.`,
+        );
+
+        result = value.score !== undefined && value.score !== null && validator.isInt(value.score.toString());
+
+        assert(
+            result,
+            `${varName} should be a whole number.`,
+        );
+    }
+
     /**
      * Check if the value is a valid competence, competence is an object {id, type}
      * @param {any} value The value to be validated.
@@ -163,6 +291,94 @@ class Validators {
         );
     }
 
+    /**
+     * Check if the value is a competence of an applicant, which is an object {competenceID, yearsOfExperience}
+     * where the years of experience could be zero, and is below 100.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isCompetenceExperience(value, varName) {
+        const result = value !== null && typeof value === 'object' && value.competenceID !== undefined &&
+            validator.isInt(value.competenceID.toString(), {min: 1});
+
+        assert(
+            result,
+            `${varName} ID should be a positive whole number.`,
+        );
+
+        this.isYearsOfExperience(value.yearsOfExperience, `${varName} years of experience`);
+    }
+
+    /**
+     * Check if the value is a number of years of experience, which is a non negative number below 100.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isYearsOfExperience(value, varName) {
+        const result = value !== undefined && value !== null && validator.isFloat(value.toString(), {min: 0, max: 99.99});
+
+        assert(
+            result,
+            `${varName} should be a non negative number of years below 100.`,
+        );
+    }
+
+    /**
+     * Check if the value is an availability period, which is an object {dateFrom, dateTo}
+     * with dates formatted as (YYYY-MM-DD), where the period does not end before it starts.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isAvailabilityPeriod(value, varName) {
+        assert(
+            value !== null && typeof value === 'object' && value.dateFrom !== undefined && value.dateTo !== undefined,
+            `${varName} should have a start date and an end date.`,
+        );
+
+        this.isDateFormat(value.dateFrom, `${varName} start date`);
+        this.isDateFormat(value.dateTo, `${varName} end date`);
+
+        assert(
+            value.dateFrom.toString() <= value.dateTo.toString(),
+            `${varName} should not end before it starts.`,
+        );
+    }
+
+    /**
+     * Check if the value is an array holding at least one element.
+     * @param {any} value The value to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static isNonEmptyArray(value, varName) {
+        assert(
+            Array.isArray(value) && value.length > 0,
+            `${varName} should be a list with at least one element.`,
+        );
+    }
+
+    /**
+     * Check that no value occurs more than once in the array.
+     * @param {Array} values The values to be validated.
+     * @param {String} varName The variable name to be included in the assertion error message
+     *                         in case that the validation fails.
+     * @throws {AssertionError} If validation fails.
+     */
+    static hasUniqueValues(values, varName) {
+        const stringValues = values.map((value) => value.toString());
+        assert(
+            new Set(stringValues).size === stringValues.length,
+            `${varName} should not contain duplicates.`,
+        );
+    }
+
     /**
      * Checks if the Date is formatted correctly, valid date example (YYYY-MM-DD).
      * The date will be also validated if it is actual.
@@ -269,6 +485,30 @@ class Validators {
             `${varName} should one of the following values, Unhandled, Accepted or Rejected.`,
         );
     }
+
+    /**
+    * Check if the value is an actual status of an application, which could be either one of the decisions
+    * or Withdrawn. Only the applicant can withdraw an application, so Withdrawn is never a decision.
+    * @param {any} value The value to be validated.
+    * @param {String} varName The variable name to be included in the assertion error message
+    *                         in case that the validation fails.
+    * @throws {AssertionError} If validation fails.
+    */
+    static isApplicationStatus(value, varName) {
+        let result = false;
+
+        if (value.toString() === 'Unhandled' ||
+            value.toString() === 'Accepted' ||
+            value.toString() === 'Rejected' ||
+            value.toString() === 'Withdrawn') {
+            result = true;
+        }
+
+        assert(
+            result,
+            `${varName} should one of the following values, Unhandled, Accepted, Rejected or Withdrawn.`,
+        );
+    }
 }
 
 module.exports = Validators;
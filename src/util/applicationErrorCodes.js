@@ -1,3 +1,4 @@
-const applicationErrorCodes = {'OK': 0, 'InvalidID': 1};
+const applicationErrorCodes = {'OK': 0, 'InvalidID': 1, 'NotOwner': 2, 'ExistentDecision': 3, 'InvalidCompetence': 4,
+    'TooManyAttachments': 5, 'InvalidAttachment': 6, 'InvalidCursor': 7};
 
 module.exports = applicationErrorCodes;
@@ -0,0 +1,3 @@
+const applicationPageSizeEnum = {'Default': 25, 'Min': 1, 'Max': 100};
+
+module.exports = applicationPageSizeEnum;
@@ -0,0 +1,5 @@
+const applicationSortEnum = {'ID': 'id', 'AverageScore': 'averageScore', 'LastName': 'lastName',
+    'FirstName': 'firstName', 'Experience': 'experience', 'AvailabilityStart': 'availabilityStart',
+    'SubmittedAt': 'submittedAt', 'Decision': 'decision'};
+
+module.exports = applicationSortEnum;
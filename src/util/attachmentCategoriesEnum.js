@@ -0,0 +1,4 @@
+const attachmentCategoriesEnum = {'CV': 'CV', 'Certificate': 'Certificate', 'CoverLetter': 'CoverLetter',
+    'Other': 'Other'};
+
+module.exports = attachmentCategoriesEnum;
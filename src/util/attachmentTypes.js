@@ -0,0 +1,9 @@
+// The file types that can be attached to an application, and the bytes that such a file starts with.
+const attachmentTypes = {
+    'application/pdf': [0x25, 0x50, 0x44, 0x46],
+    'image/png': [0x89, 0x50, 0x4e, 0x47],
+    'image/jpeg': [0xff, 0xd8, 0xff],
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': [0x50, 0x4b, 0x03, 0x04],
+};
+
+module.exports = attachmentTypes;
@@ -0,0 +1,3 @@
+const bulkDecisionModeEnum = {'Atomic': 'atomic', 'BestEffort': 'bestEffort'};
+
+module.exports = bulkDecisionModeEnum;
@@ -0,0 +1,3 @@
+const cursorDirectionEnum = {'Next': 'next', 'Previous': 'prev'};
+
+module.exports = cursorDirectionEnum;
@@ -1,6 +1,7 @@
 const decisionErrorCodes = {
     'OK': 0, 'InvalidUsername': 1, 'InvalidApplication': 2, 'ExistentDecision': 3,
-    'InvalidDecision': 4, 'InvalidRole': 5,
+    'InvalidDecision': 4, 'InvalidRole': 5, 'NotDecided': 6, 'WithdrawnApplication': 7,
+    'StaleVersion': 8, 'RolledBack': 9,
 };
 
 module.exports = decisionErrorCodes;
@@ -1,3 +1,4 @@
-const decisionsEnum = {'Unhandled': 'Unhandled', 'Accepted': 'Accepted', 'Rejected': 'Rejected'};
+const decisionsEnum = {'Unhandled': 'Unhandled', 'Accepted': 'Accepted', 'Rejected': 'Rejected',
+    'Withdrawn': 'Withdrawn'};
 
 module.exports = decisionsEnum;
@@ -1,4 +1,4 @@
 const filterEmptyParamEnum = {'Name': 'NONE', 'CompetenceID': 0,
-    'Date': '0001-01-01', 'Page': 0};
+    'Date': '0001-01-01', 'Page': 0, 'JobID': 0, 'Experience': -1};
 
 module.exports = filterEmptyParamEnum;
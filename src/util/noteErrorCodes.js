@@ -0,0 +1,3 @@
+const noteErrorCodes = {'OK': 0, 'InvalidApplication': 1, 'InvalidNote': 2, 'NotAuthor': 3, 'InvalidParent': 4};
+
+module.exports = noteErrorCodes;
@@ -0,0 +1,20 @@
+const permissions = {
+    'JobsRead': 'jobs:read',
+    'ApplicationsCreate': 'applications:create',
+    'OwnApplicationsRead': 'ownapplications:read',
+    'OwnApplicationsManage': 'ownapplications:manage',
+    'AttachmentsRead': 'attachments:read',
+    'ApplicationsRead': 'applications:read',
+    'ApplicationsDecide': 'applications:decide',
+    'ApplicationsRevise': 'applications:revise',
+    'ApplicationNotesManage': 'applicationnotes:manage',
+    'ApplicationsScore': 'applications:score',
+    'ScoreCriteriaManage': 'scorecriteria:manage',
+    'RecruitersCreate': 'recruiters:create',
+    'ProfileManage': 'profile:manage',
+    'PersonalDataManage': 'personaldata:manage',
+    'TwoFactorManage': 'twofactor:manage',
+    'TwoFactorPolicyManage': 'twofactor:policy',
+};
+
+module.exports = permissions;
@@ -1,4 +1,4 @@
 const registrationErrEnum = {'OK': 0, 'InvalidUsername': 1, 'InvalidCompetence': 2,
-    'ExistentApplication': 3, 'InvalidRole': 4};
+    'ExistentApplication': 3, 'InvalidRole': 4, 'UnverifiedEmail': 5};
 
 module.exports = registrationErrEnum;
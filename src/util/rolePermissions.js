@@ -0,0 +1,39 @@
+const recruitmentRoles = require('./rolesEnum');
+const permissions = require('./permissionsEnum');
+
+const rolePermissions = {
+    [recruitmentRoles.Invalid]: [],
+    [recruitmentRoles.Recruiter]: [
+        permissions.JobsRead,
+        permissions.ApplicationsRead,
+        permissions.ApplicationsDecide,
+        permissions.ApplicationsRevise,
+        permissions.ApplicationNotesManage,
+        permissions.ApplicationsScore,
+        permissions.AttachmentsRead,
+        permissions.ProfileManage,
+        permissions.TwoFactorManage,
+    ],
+    [recruitmentRoles.Applicant]: [
+        permissions.JobsRead,
+        permissions.ApplicationsCreate,
+        permissions.OwnApplicationsRead,
+        permissions.OwnApplicationsManage,
+        permissions.AttachmentsRead,
+        permissions.ProfileManage,
+        permissions.PersonalDataManage,
+    ],
+    [recruitmentRoles.Admin]: [
+        permissions.JobsRead,
+        permissions.ApplicationsRead,
+        permissions.ApplicationsRevise,
+        permissions.AttachmentsRead,
+        permissions.RecruitersCreate,
+        permissions.ScoreCriteriaManage,
+        permissions.ProfileManage,
+        permissions.TwoFactorManage,
+        permissions.TwoFactorPolicyManage,
+    ],
+};
+
+module.exports = rolePermissions;
@@ -1,3 +1,3 @@
-const recruitmentRoles = {'Invalid': 0, 'Recruiter': 1, 'Applicant': 2};
+const recruitmentRoles = {'Invalid': 0, 'Recruiter': 1, 'Applicant': 2, 'Admin': 3};
 
 module.exports = recruitmentRoles;
@@ -0,0 +1,4 @@
+const scoreErrorCodes = {'OK': 0, 'InvalidApplication': 1, 'InvalidCriterion': 2, 'InvalidScore': 3,
+    'ExistentCriterion': 4};
+
+module.exports = scoreErrorCodes;
@@ -0,0 +1,3 @@
+const sortOrderEnum = {'Asc': 'asc', 'Desc': 'desc'};
+
+module.exports = sortOrderEnum;
@@ -1,3 +1,6 @@
-const userErrorCodes = {'OK': 0, 'LoginFailure': 1, 'ExistentEmail': 2, 'ExistentUsername': 3};
+const userErrorCodes = {'OK': 0, 'LoginFailure': 1, 'ExistentEmail': 2, 'ExistentUsername': 3,
+    'InvalidEmail': 4, 'InvalidResetToken': 5, 'InvalidVerificationToken': 6, 'VerifiedEmail': 7,
+    'InvalidUsername': 8, 'InvalidSession': 9, 'LockedOut': 10, 'SecondFactorRequired': 11,
+    'InvalidSecondFactor': 12, 'TwoFactorEnabled': 13, 'TwoFactorMandatory': 14};
 
 module.exports = userErrorCodes;
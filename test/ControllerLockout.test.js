@@ -0,0 +1,116 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Controller = require('../src/controller/Controller');
+const LoginThrottle = require('../src/controller/LoginThrottle');
+const MemoryLoginAttemptStore = require('../src/integration/attempts/MemoryLoginAttemptStore');
+const UserDTO = require('../src/model/UserDTO');
+const TwoFactorDTO = require('../src/model/TwoFactorDTO');
+const userErrorCodes = require('../src/util/userErrCodes');
+const recruitmentRoles = require('../src/util/rolesEnum');
+
+const USERNAME = 'anna';
+const PASSWORD = 'annapass1';
+const TOTP_CODE = '123456';
+const CLIENT_IP = '192.0.2.1';
+
+/**
+ * Stands in for the {RecruitmentDAO}, with a single user whose password and TOTP code are fixed.
+ * Counts the calls so that the tests can check that a locked out attempt never reaches the database.
+ */
+class FakeRecruitmentDAO {
+    // eslint-disable-next-line require-jsdoc
+    constructor() {
+        this.calls = 0;
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async signinUser(username, password) {
+        this.calls++;
+        const errorCode = password === PASSWORD ? userErrorCodes.OK : userErrorCodes.LoginFailure;
+        return new UserDTO(username, recruitmentRoles.Applicant, errorCode);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async getTwoFactorStatus(username) {
+        return new TwoFactorDTO(username, false, false, userErrorCodes.OK);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async changePassword(username, currentPassword) {
+        return this.signinUser(username, currentPassword);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async disableTotp(username, code) {
+        this.calls++;
+        if (code !== TOTP_CODE) {
+            return new TwoFactorDTO(username, true, false, userErrorCodes.InvalidSecondFactor);
+        }
+        return new TwoFactorDTO(username, false, false, userErrorCodes.OK);
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async getAttachmentStorageKeys() {
+        return [];
+    }
+
+    // eslint-disable-next-line require-jsdoc
+    async eraseAccount(username, password) {
+        return this.signinUser(username, password);
+    }
+}
+
+// eslint-disable-next-line require-jsdoc
+function createController() {
+    const controller = new Controller(null, new MemoryLoginAttemptStore());
+    controller.recruitmentDAO = new FakeRecruitmentDAO();
+    return controller;
+}
+
+// Each operation that checks the password or a second factor, called with a wrong and a right secret.
+const operations = {
+    signinUser: (controller, right) => controller.signinUser(USERNAME, right ? PASSWORD : 'wrongpass1', CLIENT_IP),
+    changePassword: (controller, right) =>
+        controller.changePassword(USERNAME, right ? PASSWORD : 'wrongpass1', 'newpass123', CLIENT_IP, 1),
+    disableTotp: (controller, right) => controller.disableTotp(USERNAME, right ? TOTP_CODE : '654321', CLIENT_IP),
+    eraseAccount: (controller, right) => controller.eraseAccount(USERNAME, right ? PASSWORD : 'wrongpass1', CLIENT_IP),
+};
+
+for (const [name, operation] of Object.entries(operations)) {
+    test(`${name} counts failures towards the signin lockout`, async () => {
+        const controller = createController();
+        for (let i = 0; i < LoginThrottle.USERNAME_FAILURE_LIMIT; i++) {
+            const result = await operation(controller, false);
+            assert.notStrictEqual(result.errorCode, userErrorCodes.LockedOut);
+        }
+
+        assert.ok(await controller.getSigninRetryAfter(USERNAME, CLIENT_IP) > 0);
+        const signinResult = await operations.signinUser(controller, true);
+        assert.strictEqual(signinResult.errorCode, userErrorCodes.LockedOut);
+    });
+
+    test(`${name} is refused without reaching the database during a lockout`, async () => {
+        const controller = createController();
+        for (let i = 0; i < LoginThrottle.USERNAME_FAILURE_LIMIT; i++) {
+            await operations.signinUser(controller, false);
+        }
+
+        const callsBefore = controller.recruitmentDAO.calls;
+        const result = await operation(controller, true);
+        assert.strictEqual(result.errorCode, userErrorCodes.LockedOut);
+        assert.strictEqual(controller.recruitmentDAO.calls, callsBefore);
+    });
+}
+
+test('a successful signin clears the username failures', async () => {
+    const controller = createController();
+    for (let i = 0; i < LoginThrottle.USERNAME_FAILURE_LIMIT - 1; i++) {
+        await operations.signinUser(controller, false);
+    }
+    assert.strictEqual((await operations.signinUser(controller, true)).errorCode, userErrorCodes.OK);
+
+    await operations.signinUser(controller, false);
+    assert.strictEqual(await controller.getSigninRetryAfter(USERNAME, CLIENT_IP), 0);
+});
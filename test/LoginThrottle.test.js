@@ -0,0 +1,114 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const LoginThrottle = require('../src/controller/LoginThrottle');
+const MemoryLoginAttemptStore = require('../src/integration/attempts/MemoryLoginAttemptStore');
+
+const USERNAME = 'anna';
+const CLIENT_IP = '192.0.2.1';
+
+// eslint-disable-next-line require-jsdoc
+async function failTimes(loginThrottle, times, username, clientIP) {
+    for (let i = 0; i < times; i++) {
+        await loginThrottle.recordFailure(username, clientIP);
+    }
+}
+
+// eslint-disable-next-line require-jsdoc
+function moveLastFailureBack(loginAttemptStore, key, seconds) {
+    const failures = loginAttemptStore.failures.get(key);
+    failures.lastFailureAt = new Date(failures.lastFailureAt.getTime() - seconds * 1000);
+}
+
+// eslint-disable-next-line require-jsdoc
+function createThrottle() {
+    const loginAttemptStore = new MemoryLoginAttemptStore();
+    return {loginAttemptStore, loginThrottle: new LoginThrottle(loginAttemptStore)};
+}
+
+test('allows signin below the username failure limit', async () => {
+    const {loginThrottle} = createThrottle();
+    await failTimes(loginThrottle, LoginThrottle.USERNAME_FAILURE_LIMIT - 1, USERNAME, CLIENT_IP);
+    assert.strictEqual(await loginThrottle.getRetryAfter(USERNAME, CLIENT_IP), 0);
+});
+
+test('locks out the username for the base period once the limit is reached', async () => {
+    const {loginThrottle} = createThrottle();
+    await failTimes(loginThrottle, LoginThrottle.USERNAME_FAILURE_LIMIT, USERNAME, CLIENT_IP);
+    const retryAfter = await loginThrottle.getRetryAfter(USERNAME, '198.51.100.7');
+    assert.ok(retryAfter > LoginThrottle.BASE_LOCKOUT_SECONDS - 2 && retryAfter <= LoginThrottle.BASE_LOCKOUT_SECONDS,
+        `expected about ${LoginThrottle.BASE_LOCKOUT_SECONDS} seconds, got ${retryAfter}`);
+});
+
+test('tracks usernames case-insensitively', async () => {
+    const {loginThrottle} = createThrottle();
+    await failTimes(loginThrottle, LoginThrottle.USERNAME_FAILURE_LIMIT, 'Anna', CLIENT_IP);
+    assert.ok(await loginThrottle.getRetryAfter('ANNA', '198.51.100.7') > 0);
+});
+
+test('doubles the lockout with every failure past the limit', async () => {
+    const {loginThrottle} = createThrottle();
+    await failTimes(loginThrottle, LoginThrottle.USERNAME_FAILURE_LIMIT, USERNAME, CLIENT_IP);
+
+    for (const expected of [120, 240, 480]) {
+        await loginThrottle.recordFailure(USERNAME, CLIENT_IP);
+        const retryAfter = await loginThrottle.getRetryAfter(USERNAME, CLIENT_IP);
+        assert.ok(retryAfter > expected - 2 && retryAfter <= expected, `expected about ${expected} seconds, got ${retryAfter}`);
+    }
+});
+
+test('caps the lockout at the maximum period', async () => {
+    const {loginThrottle} = createThrottle();
+    await failTimes(loginThrottle, LoginThrottle.USERNAME_FAILURE_LIMIT + 10, USERNAME, CLIENT_IP);
+    const retryAfter = await loginThrottle.getRetryAfter(USERNAME, CLIENT_IP);
+    assert.ok(retryAfter > LoginThrottle.MAX_LOCKOUT_SECONDS - 2 && retryAfter <= LoginThrottle.MAX_LOCKOUT_SECONDS,
+        `expected about ${LoginThrottle.MAX_LOCKOUT_SECONDS} seconds, got ${retryAfter}`);
+});
+
+test('counts the retry after from the last failure', async () => {
+    const {loginAttemptStore, loginThrottle} = createThrottle();
+    await failTimes(loginThrottle, LoginThrottle.USERNAME_FAILURE_LIMIT, USERNAME, CLIENT_IP);
+
+    moveLastFailureBack(loginAttemptStore, `username:${USERNAME}`, 45);
+    const retryAfter = await loginThrottle.getRetryAfter(USERNAME, '198.51.100.7');
+    assert.ok(retryAfter > 13 && retryAfter <= 15, `expected about 15 seconds, got ${retryAfter}`);
+
+    moveLastFailureBack(loginAttemptStore, `username:${USERNAME}`, 15);
+    assert.strictEqual(await loginThrottle.getRetryAfter(USERNAME, '198.51.100.7'), 0);
+});
+
+test('locks out a client IP address across usernames once its limit is reached', async () => {
+    const {loginThrottle} = createThrottle();
+    for (let i = 0; i < LoginThrottle.IP_FAILURE_LIMIT - 1; i++) {
+        await loginThrottle.recordFailure(`user${i}`, CLIENT_IP);
+    }
+    assert.strictEqual(await loginThrottle.getRetryAfter('someoneelse', CLIENT_IP), 0);
+
+    await loginThrottle.recordFailure('lastuser', CLIENT_IP);
+    assert.ok(await loginThrottle.getRetryAfter('someoneelse', CLIENT_IP) > 0);
+    assert.strictEqual(await loginThrottle.getRetryAfter('someoneelse', '198.51.100.7'), 0);
+});
+
+test('a successful signin clears the username failures but keeps the IP failures', async () => {
+    const {loginAttemptStore, loginThrottle} = createThrottle();
+    await failTimes(loginThrottle, LoginThrottle.USERNAME_FAILURE_LIMIT - 1, USERNAME, CLIENT_IP);
+    await loginThrottle.recordSuccess(USERNAME);
+
+    assert.strictEqual(await loginAttemptStore.getFailures(`username:${USERNAME}`), null);
+    assert.strictEqual((await loginAttemptStore.getFailures(`ip:${CLIENT_IP}`)).failureCount,
+        LoginThrottle.USERNAME_FAILURE_LIMIT - 1);
+
+    await loginThrottle.recordFailure(USERNAME, CLIENT_IP);
+    assert.strictEqual(await loginThrottle.getRetryAfter(USERNAME, CLIENT_IP), 0);
+});
+
+test('forgets failures that are older than the failure window', async () => {
+    const {loginAttemptStore, loginThrottle} = createThrottle();
+    await failTimes(loginThrottle, LoginThrottle.USERNAME_FAILURE_LIMIT - 1, USERNAME, CLIENT_IP);
+    moveLastFailureBack(loginAttemptStore, `username:${USERNAME}`, LoginThrottle.FAILURE_WINDOW_MINUTES * 60 + 1);
+
+    await loginThrottle.recordFailure(USERNAME, CLIENT_IP);
+    assert.strictEqual((await loginAttemptStore.getFailures(`username:${USERNAME}`)).failureCount, 1);
+    assert.strictEqual(await loginThrottle.getRetryAfter(USERNAME, CLIENT_IP), 0);
+});